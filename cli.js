@@ -0,0 +1,720 @@
+#!/usr/bin/env node
+// ===================================================================
+// AFROPAIRS COMMAND-LINE INTERFACE
+// Usage: afropairs <command> [arguments] [options]
+// ===================================================================
+
+const fs = require('fs').promises;
+const path = require('path');
+const { AfropairPipeline } = require('./index');
+const { loadSource, toCorpusPairs, toDictionaryEntries } = require('./sources');
+const { EXPORTERS, filterRecords, exportRecords } = require('./outputs');
+const { ReviewStore, ReviewServer, latestVersions } = require('./utils/review');
+const { deduplicate } = require('./utils/dedup');
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+// Files translated paragraph by paragraph through sources/ rather than line by line
+const DOCUMENT_EXTENSIONS = ['.pdf', '.html', '.htm', '.docx', '.md', '.csv', '.tsv'];
+
+const USAGE = `Usage: afropairs <command> [arguments] [options]
+
+Commands:
+  translate [sentence]     Translate one sentence (reads stdin when omitted or "-")
+  batch <file>             Translate a file with one sentence per line, JSONL with a "src" field,
+                           or a document (PDF, HTML, DOCX, Markdown, CSV/TSV column) paragraph by paragraph
+  ingest <source>          Import parallel pairs (JSONL, CSV with a header, or TSV src\\ttgt) into the corpus,
+                           or dictionary entries (CSV/TSV with a header) with --into dictionary
+  align <src> <tgt>        Align a document with its translation sentence by sentence and add the pairs to the corpus
+  dedup [output|corpus]    Find duplicate and near-duplicate pairs in the output records (default) or the corpus
+  export                   Export logged records (--format jsonl|json|csv|parquet|tmx|hf)
+  induce                   Learn word and phrase translations from the corpus into <dict>_induced.tsv for review
+  promote                  Add accepted records (auto and human) to the corpus and propose dictionary entries
+  review                   Start the review app for records needing manual review (http://127.0.0.1:8787)
+  stats                    Show dictionary, corpus and output statistics
+
+Options:
+  --src <code>             Source language (default: fr)
+  --tgt <code>             Target language (default: mos)
+  --direction <direction>  forward or reverse (translate tgt -> src with the same resources)
+  --dict <path>            Dictionary TSV (overrides DICT_PATH)
+  --corpus <path>          Corpus JSONL (overrides CORPUS_PATH)
+  --output <path>          Translation records JSONL (overrides OUTPUT_PATH)
+  --llm <provider>         Add LLM candidates: openai, local, anthropic, gemini or mock (overrides LLM_PROVIDER)
+  --llm-model <name>       Model name for --llm (overrides LLM_MODEL)
+  --paraphrases <n>        Ask the LLM for n paraphrases of each source segment (default: 0)
+  --embedding <provider>   Hybrid corpus retrieval with embeddings: openai, local or hashing (overrides EMBEDDING_PROVIDER)
+  --embedding-model <name> Model name, or model directory for local (overrides EMBEDDING_MODEL)
+  --vectors <path>         Persist corpus vectors to this file (overrides VECTOR_STORE_PATH)
+  --align                  Score cross-lingual alignment with the --embedding encoder (must be multilingual)
+  --judge <provider>       Rate translations with an LLM judge (overrides JUDGE_PROVIDER)
+  --judge-model <name>     Model name for --judge (overrides JUDGE_MODEL)
+  --judge-cache <path>     Judge verdict cache (default: judge_cache.json next to --output)
+  --no-dedup               Log every record, even pairs already in the output file
+  --log-level <level>      debug|info|warn|error|silent (overrides LOG_LEVEL)
+  --env <path>             Environment file to load (default: ./.env)
+  --source <name>          ingest: provenance recorded on ingested pairs (default: file name);
+                           export: keep records produced by these stages or documents (comma-separated, e.g. llm,guide.pdf);
+                           promote: source recorded on promoted corpus pairs (default: promoted)
+  --into <target>          ingest: corpus or dictionary (default: corpus)
+  --src-column <name>      ingest: source column of a CSV/TSV (default: language code or "src")
+  --tgt-column <name>      ingest: target column of a CSV/TSV (default: language code or "tgt")
+  --column <name>          batch: column of a CSV/TSV to translate (default: source language code)
+  --min-score <x>          align: keep only sentence pairs scoring at least x (0-1, default: 0);
+                           induce: lowest score of an induced entry (default: 0.1)
+  --min-count <n>          induce: times a pair must be aligned in the corpus (default: 2)
+  --iterations <n>         induce: EM iterations of the word alignment model (default: 5)
+  --format <format>        Export format: jsonl, json, csv, parquet, tmx or hf (default: jsonl)
+  --out <path>             Write export to a file (a directory for hf) instead of stdout; required for parquet and hf;
+                           induce: output TSV (default: <dict>_induced.tsv); dedup: write the deduplicated file there
+  --status <list>          export: keep records with these statuses (comma-separated, e.g. auto_accepted,review_recommended);
+                           promote: statuses to promote (default: auto_accepted,human_accepted)
+  --min-confidence <x>     Export only records with a confidence of at least x (0-1)
+  --license <id>           hf: license in the dataset card (default: other)
+  --min-margin <x>         Export only records whose alignment margin is at least x (unscored records are kept)
+  --include-rejected       export: keep human_rejected records (left out unless --status names them)
+  --include-unknown        export: keep translations with untranslated words (<UNK:...>)
+  --merge                  promote: add short pairs to the dictionary itself instead of <dict>_proposals.tsv
+  --proposals <path>       promote: dictionary proposals TSV (default: <dict>_proposals.tsv)
+  --max-words <n>          promote, induce: longest phrase proposed as a dictionary entry (default: 3)
+  --on <side>              dedup: compare pair (default), src or tgt
+  --threshold <x>          dedup: near-duplicate similarity, estimated Jaccard of character 4-grams (default: 0.85)
+  --in-place               dedup: rewrite the file without the merged duplicates
+  --report <path>          dedup: write the merged clusters as JSON
+  --port <n>               review: port to listen on (overrides REVIEW_PORT, default: 8787)
+  --host <address>         review: address to listen on (default: 127.0.0.1)
+  --reviewer <id>          review: reviewer id pre-filled in the forms
+  --json                   Print machine-readable JSON on stdout
+  -h, --help               Show this help
+
+Exit codes: 0 success, 1 failure, 2 usage error`;
+
+class UsageError extends Error {}
+
+// ===================================================================
+// ARGUMENTS & ENVIRONMENT
+// ===================================================================
+function parseArgs(argv) {
+    const args = { _: [], flags: {} };
+    const booleans = new Set(['json', 'help', 'align', 'merge', 'no-dedup', 'in-place', 'include-rejected', 'include-unknown']);
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '-h' || arg === '--help') {
+            args.flags.help = true;
+        } else if (arg.startsWith('--')) {
+            const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            if (booleans.has(name)) {
+                args.flags[name] = true;
+            } else if (inlineValue !== undefined) {
+                args.flags[name] = inlineValue;
+            } else if (i + 1 < argv.length) {
+                args.flags[name] = argv[++i];
+            } else {
+                throw new UsageError(`Missing value for --${name}`);
+            }
+        } else {
+            args._.push(arg);
+        }
+    }
+
+    return args;
+}
+
+async function loadEnvFile(envPath) {
+    let data;
+    try {
+        data = await fs.readFile(envPath, 'utf-8');
+    } catch (error) {
+        return;
+    }
+
+    for (const line of data.split('\n')) {
+        const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+        if (!match) continue;
+
+        const [, key, rawValue] = match;
+        const value = rawValue.replace(/^(['"])(.*)\1$/, '$2');
+        // Real environment variables win over the file
+        if (process.env[key] === undefined) {
+            process.env[key] = value;
+        }
+    }
+}
+
+function applyLogLevel(level, jsonMode) {
+    if (!LOG_LEVELS.includes(level)) {
+        throw new UsageError(`Unknown log level "${level}" (expected ${LOG_LEVELS.join('|')})`);
+    }
+
+    const threshold = LOG_LEVELS.indexOf(level);
+    const silence = () => {};
+    // Keep stdout clean for --json consumers: progress goes to stderr
+    const info = jsonMode ? console.error.bind(console) : console.log.bind(console);
+
+    console.debug = threshold <= 0 ? info : silence;
+    console.log = threshold <= 1 ? info : silence;
+    console.info = console.log;
+    console.warn = threshold <= 2 ? console.warn.bind(console) : silence;
+    console.error = threshold <= 3 ? console.error.bind(console) : silence;
+}
+
+function resolveConfig(flags) {
+    const llmProvider = flags.llm || process.env.LLM_PROVIDER;
+    const judgeProvider = flags.judge || process.env.JUDGE_PROVIDER;
+    const embeddingProvider = flags.embedding || process.env.EMBEDDING_PROVIDER;
+    const embeddingModel = flags['embedding-model'] || process.env.EMBEDDING_MODEL || null;
+    const vectorsPath = flags.vectors || process.env.VECTOR_STORE_PATH;
+    if (flags.paraphrases !== undefined && !/^\d+$/.test(flags.paraphrases)) {
+        throw new UsageError(`--paraphrases expects a non-negative integer, got "${flags.paraphrases}"`);
+    }
+    return {
+        srcLang: flags.src,
+        tgtLang: flags.tgt,
+        direction: flags.direction,
+        dictPath: flags.dict || process.env.DICT_PATH,
+        corpusPath: flags.corpus || process.env.CORPUS_PATH,
+        outputPath: flags.output || process.env.OUTPUT_PATH,
+        llm: llmProvider ? {
+            provider: llmProvider,
+            model: flags['llm-model'] || process.env.LLM_MODEL || null,
+            paraphrases: flags.paraphrases ? parseInt(flags.paraphrases, 10) : 0
+        } : null,
+        embedding: embeddingProvider ? {
+            provider: embeddingProvider,
+            ...(embeddingProvider === 'local' ? { modelPath: embeddingModel } : { model: embeddingModel })
+        } : null,
+        vectorStore: vectorsPath ? { type: 'file', path: vectorsPath } : null,
+        alignment: Boolean(flags.align),
+        dedup: flags['no-dedup'] ? false : undefined,
+        judge: judgeProvider ? {
+            provider: judgeProvider,
+            model: flags['judge-model'] || process.env.JUDGE_MODEL || null,
+            cachePath: flags['judge-cache'] || process.env.JUDGE_CACHE_PATH || null
+        } : null
+    };
+}
+
+// ===================================================================
+// HELPERS
+// ===================================================================
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf-8');
+}
+
+async function readJsonl(filePath) {
+    const data = await fs.readFile(filePath, 'utf-8');
+    return data
+        .split('\n')
+        .filter(line => line.trim())
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid JSON on line ${index + 1} of ${filePath}`);
+            }
+        });
+}
+
+function parseSentences(data, srcLang) {
+    return data
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .map(line => {
+            if (!line.startsWith('{')) return line;
+            // A sentence may start with a brace ("{note} Je pars."): only valid JSON is read as a record
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                return line;
+            }
+            return entry.src || entry[srcLang] || entry.text;
+        })
+        .filter(Boolean);
+}
+
+function summarizeResult(result) {
+    const { context, ...summary } = result;
+    return summary;
+}
+
+function print(data, jsonMode, text) {
+    process.stdout.write(jsonMode ? JSON.stringify(data) + '\n' : text + '\n');
+}
+
+// ===================================================================
+// COMMANDS
+// ===================================================================
+async function translateCommand(args, config) {
+    let sentence = args._.slice(1).join(' ');
+    if (!sentence || sentence === '-') {
+        sentence = (await readStdin()).trim();
+    }
+    if (!sentence) {
+        throw new UsageError('translate needs a sentence argument or text on stdin');
+    }
+
+    const pipeline = new AfropairPipeline(config);
+    const result = await pipeline.translateSentence(sentence);
+
+    print(summarizeResult(result), args.flags.json, result.success ? result.translation : `Error: ${result.error}`);
+    return result.success ? EXIT_OK : EXIT_FAILURE;
+}
+
+async function batchCommand(args, config) {
+    const file = args._[1];
+    if (!file) {
+        throw new UsageError('batch needs an input file');
+    }
+
+    const pipeline = new AfropairPipeline(config);
+    let batch;
+    if (DOCUMENT_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+        const document = await loadSource(file, { textColumn: args.flags.column || pipeline.config.srcLang });
+        for (const warning of document.warnings || []) console.warn(`${file}: ${warning}`);
+        batch = await pipeline.translateDocument(document);
+    } else {
+        const sentences = parseSentences(await fs.readFile(file, 'utf-8'), pipeline.config.srcLang);
+        batch = await pipeline.batchTranslate(sentences);
+    }
+
+    const output = { ...batch, results: batch.results.map(summarizeResult) };
+    print(output, args.flags.json, `Translated ${batch.successful}/${batch.total} ${batch.document ? 'paragraphs' : 'sentences'}`);
+    return batch.successful === batch.total ? EXIT_OK : EXIT_FAILURE;
+}
+
+async function ingestCommand(args, config) {
+    const source = args._[1];
+    if (!source) {
+        throw new UsageError('ingest needs a source file');
+    }
+
+    const into = args.flags.into || 'corpus';
+    if (!['corpus', 'dictionary'].includes(into)) {
+        throw new UsageError(`Unknown ingest target "${into}" (expected corpus|dictionary)`);
+    }
+
+    const pipeline = new AfropairPipeline(config);
+    if (into === 'dictionary') {
+        return ingestDictionary(args, pipeline, source);
+    }
+    const { src: srcKey, tgt: tgtKey } = pipeline.pair.columns.corpus;
+    const sourceName = args.flags.source || path.basename(source);
+
+    // CSV, and TSV with a header naming the pair columns, go through the table loader; a TSV without one
+    // is the legacy "src <tab> tgt [<tab> origin]" format read below
+    let document = null;
+    if (/\.(csv|tsv)$/i.test(source)) {
+        document = await loadSource(source);
+        const headed = args.flags['src-column'] || [srcKey, 'src'].some(column => document.columns.includes(column));
+        if (/\.tsv$/i.test(source) && !headed) document = null;
+    }
+
+    const pairs = [];
+    if (document) {
+        pairs.push(...toCorpusPairs(document, {
+            srcColumn: args.flags['src-column'] || pickColumn(document, [srcKey, 'src']),
+            tgtColumn: args.flags['tgt-column'] || pickColumn(document, [tgtKey, 'tgt']),
+            source: sourceName
+        }));
+    } else if (/\.jsonl?$/i.test(source)) {
+        for (const entry of await readJsonl(source)) {
+            const src = entry[srcKey] || entry.src;
+            const tgt = entry[tgtKey] || entry.tgt;
+            if (src && tgt) pairs.push({ src, tgt, source: entry.source || sourceName });
+        }
+    } else {
+        const data = await fs.readFile(source, 'utf-8');
+        for (const line of data.split('\n').filter(l => l.trim())) {
+            const [src, tgt, origin] = line.split('\t');
+            if (src && tgt) pairs.push({ src: src.trim(), tgt: tgt.trim(), source: origin || sourceName });
+        }
+    }
+
+    const entries = pairs.map(pair => ({ [srcKey]: pair.src, [tgtKey]: pair.tgt, source: pair.source, sim: 1.0 }));
+    const added = await pipeline.corpusRetriever.appendEntries(entries);
+
+    const corpusPath = pipeline.config.corpusPath;
+    const summary = { read: pairs.length, added, skipped: pairs.length - added, corpus_path: corpusPath };
+    print(summary, args.flags.json, `Ingested ${summary.added} pairs into ${corpusPath} (${summary.skipped} duplicates skipped)`);
+    return EXIT_OK;
+}
+
+function pickColumn(document, candidates) {
+    return candidates.find(column => document.columns.includes(column)) || candidates[candidates.length - 1];
+}
+
+async function ingestDictionary(args, pipeline, source) {
+    const document = await loadSource(source);
+    const { srcLang, tgtLang } = pipeline.config;
+    const columns = {
+        src: args.flags['src-column'] || pickColumn(document, [`${srcLang}_word`, srcLang, 'src']),
+        tgt: args.flags['tgt-column'] || pickColumn(document, [`${tgtLang}_word`, tgtLang, 'tgt'])
+    };
+    for (const field of ['pos', 'score', 'freq', 'notes']) {
+        if (document.columns.includes(field)) columns[field] = field;
+    }
+
+    const store = pipeline.dictLookup.store;
+    await store.load();
+    let added = 0;
+    const entries = toDictionaryEntries(document, columns);
+    for (const entry of entries) {
+        // The TSV is stored in resource direction; a reversed pipeline reads its columns the other way round
+        const resourceEntry = pipeline.pair.reversed ? { ...entry, src: entry.tgt, tgt: entry.src } : entry;
+        if (store.query({ src: resourceEntry.src, tgt: resourceEntry.tgt, pos: resourceEntry.pos }).length > 0) continue;
+        store.add(resourceEntry);
+        added++;
+    }
+    if (added > 0) {
+        await store.save();
+    }
+
+    const summary = { read: entries.length, added, skipped: entries.length - added, dictionary_path: store.dictPath };
+    print(summary, args.flags.json, `Ingested ${added} entries into ${store.dictPath} (${summary.skipped} duplicates skipped)`);
+    return EXIT_OK;
+}
+
+async function alignCommand(args, config) {
+    const [, srcFile, tgtFile] = args._;
+    if (!srcFile || !tgtFile) {
+        throw new UsageError('align needs a source document and its translation');
+    }
+    const minScore = args.flags['min-score'] !== undefined ? parseFloat(args.flags['min-score']) : 0;
+    if (Number.isNaN(minScore)) {
+        throw new UsageError(`--min-score expects a number, got "${args.flags['min-score']}"`);
+    }
+
+    const pipeline = new AfropairPipeline(config);
+    const result = await pipeline.alignDocuments(
+        await fs.readFile(srcFile, 'utf-8'),
+        await fs.readFile(tgtFile, 'utf-8'),
+        { source: args.flags.source || path.basename(srcFile), minScore }
+    );
+
+    let added = 0;
+    if (args.flags.out) {
+        await fs.mkdir(path.dirname(args.flags.out), { recursive: true });
+        await fs.writeFile(args.flags.out, result.entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    } else {
+        added = await pipeline.corpusRetriever.appendEntries(result.entries);
+    }
+
+    const summary = { ...result.stats, pairs: result.entries.length, added, out: args.flags.out || pipeline.config.corpusPath };
+    print(summary, args.flags.json, args.flags.out
+        ? `Aligned ${summary.pairs} pairs into ${args.flags.out}`
+        : `Aligned ${summary.pairs} pairs, added ${added} to ${pipeline.config.corpusPath}`);
+    return EXIT_OK;
+}
+
+function parseNumberFlag(args, name) {
+    if (args.flags[name] === undefined) return undefined;
+    const value = parseFloat(args.flags[name]);
+    if (Number.isNaN(value)) {
+        throw new UsageError(`--${name} expects a number, got "${args.flags[name]}"`);
+    }
+    return value;
+}
+
+function parseListFlag(args, name) {
+    if (args.flags[name] === undefined) return undefined;
+    return args.flags[name].split(',').map(item => item.trim()).filter(Boolean);
+}
+
+async function exportCommand(args, config) {
+    const format = args.flags.format || 'jsonl';
+    if (!EXPORTERS[format]) {
+        throw new UsageError(`Unknown export format "${format}" (expected ${Object.keys(EXPORTERS).join('|')})`);
+    }
+    if (['parquet', 'hf'].includes(format) && !args.flags.out) {
+        throw new UsageError(`--format ${format} needs --out`);
+    }
+
+    const pipeline = new AfropairPipeline(config);
+    const filters = {
+        status: parseListFlag(args, 'status'),
+        minConfidence: parseNumberFlag(args, 'min-confidence'),
+        source: parseListFlag(args, 'source'),
+        minMargin: parseNumberFlag(args, 'min-margin'),
+        includeRejected: args.flags['include-rejected'] || undefined,
+        includeUnknown: args.flags['include-unknown'] || undefined
+    };
+    // Reviewed records appear once per version; only the current one is exported
+    const records = filterRecords(latestVersions(await readJsonl(pipeline.config.outputPath)), filters);
+
+    const result = await exportRecords(records, format, {
+        out: args.flags.out,
+        srcLang: pipeline.config.srcLang,
+        tgtLang: pipeline.config.tgtLang,
+        datasetSource: pipeline.config.outputPath,
+        license: args.flags.license,
+        filters
+    });
+
+    if (result.content !== undefined) {
+        process.stdout.write(result.content);
+    } else {
+        print(result, args.flags.json, `Exported ${result.exported} records to ${result.out}`);
+    }
+    return EXIT_OK;
+}
+
+function parseCountFlag(args, name, fallback) {
+    if (args.flags[name] === undefined) return fallback;
+    const value = parseInt(args.flags[name], 10);
+    if (!/^\d+$/.test(args.flags[name]) || value < 1) {
+        throw new UsageError(`--${name} expects a positive integer, got "${args.flags[name]}"`);
+    }
+    return value;
+}
+
+async function induceCommand(args, config) {
+    const pipeline = new AfropairPipeline(config);
+    const result = await pipeline.induceLexicon({
+        iterations: parseCountFlag(args, 'iterations', 5),
+        minCount: parseCountFlag(args, 'min-count', 2),
+        minScore: parseNumberFlag(args, 'min-score'),
+        maxPhrase: parseCountFlag(args, 'max-words', 3),
+        outPath: args.flags.out
+    });
+
+    print(result, args.flags.json,
+        `Induced ${result.candidates} candidates from ${result.corpus_pairs} corpus pairs: ${result.added} written to ${result.out_path} (${result.known} already in the dictionary)`);
+    return EXIT_OK;
+}
+
+async function promoteCommand(args, config) {
+    const maxWords = parseCountFlag(args, 'max-words', 3);
+    const pipeline = new AfropairPipeline(config);
+    const result = await pipeline.promote(await readJsonl(pipeline.config.outputPath), {
+        statuses: parseListFlag(args, 'status'),
+        source: args.flags.source,
+        maxPhraseWords: maxWords,
+        dictionary: args.flags.merge ? 'merge' : 'propose',
+        proposalsPath: args.flags.proposals
+    });
+
+    print(result, args.flags.json, [
+        `Promoted ${result.promoted} records: ${result.corpus_added} new pairs in ${result.corpus_path}`,
+        `${result.dictionary_added} dictionary entries ${result.dictionary_mode === 'merge' ? 'added to' : 'proposed in'} ${result.dictionary_path}`
+    ].join('\n'));
+    return EXIT_OK;
+}
+
+// Reviewed and accepted records win over pending ones, then higher confidence, then the older record
+const STATUS_RANK = ['human_accepted', 'auto_accepted', 'review_recommended', 'manual_review_required', 'human_rejected'];
+
+function rankRecords(a, b) {
+    const rank = record => {
+        const index = STATUS_RANK.indexOf(record.status);
+        return index === -1 ? STATUS_RANK.length : index;
+    };
+    return rank(a) - rank(b) || (b.confidence || 0) - (a.confidence || 0) || (a.timestamp || 0) - (b.timestamp || 0);
+}
+
+async function dedupCommand(args, config) {
+    const target = args._[1] || 'output';
+    if (!['output', 'corpus'].includes(target)) {
+        throw new UsageError(`Unknown dedup target "${target}" (expected output|corpus)`);
+    }
+    const on = args.flags.on || 'pair';
+    if (!['pair', 'src', 'tgt'].includes(on)) {
+        throw new UsageError(`Unknown --on value "${on}" (expected pair|src|tgt)`);
+    }
+    const threshold = parseNumberFlag(args, 'threshold');
+    if (args.flags.out && args.flags['in-place']) {
+        throw new UsageError('--out and --in-place cannot be used together');
+    }
+
+    const pipeline = new AfropairPipeline(config);
+    const filePath = target === 'output' ? pipeline.config.outputPath : pipeline.config.corpusPath;
+    const lines = (await fs.readFile(filePath, 'utf-8')).split('\n').filter(line => line.trim());
+    const entries = lines.map((line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid JSON on line ${index + 1} of ${filePath}`);
+        }
+    });
+
+    // Output records are compared on their latest version and removed with their whole history
+    const { src: srcKey, tgt: tgtKey } = pipeline.pair.columns.corpus;
+    const items = target === 'output'
+        ? latestVersions(entries)
+        : entries.map(entry => ({ ...entry, src: entry[srcKey], tgt: entry[tgtKey] }));
+    const result = deduplicate(items, { on, threshold, rank: target === 'output' ? rankRecords : null });
+
+    const describe = index => ({
+        ...(target === 'output' ? { id: items[index].id, status: items[index].status } : { line: index + 1 }),
+        src: items[index].src,
+        tgt: items[index].tgt
+    });
+    const clusters = result.clusters.map(cluster => ({
+        kept: describe(cluster.kept),
+        merged: cluster.merged.map(member => ({ ...describe(member.index), similarity: member.similarity, exact: member.exact }))
+    }));
+
+    let keptLines = lines;
+    if (target === 'output') {
+        const keptIds = new Set(result.kept.map(index => items[index].id));
+        keptLines = lines.filter((line, index) => keptIds.has(entries[index].id));
+    } else {
+        keptLines = result.kept.map(index => lines[index]);
+    }
+
+    const outPath = args.flags['in-place'] ? filePath : args.flags.out;
+    if (outPath) {
+        await fs.mkdir(path.dirname(outPath), { recursive: true });
+        // Write next to the target and rename, so readers never see a half-written file
+        const tmpPath = path.join(path.dirname(outPath), `.${path.basename(outPath)}.${process.pid}.tmp`);
+        await fs.writeFile(tmpPath, keptLines.join('\n') + (keptLines.length > 0 ? '\n' : ''));
+        await fs.rename(tmpPath, outPath);
+    }
+    if (args.flags.report) {
+        await fs.mkdir(path.dirname(args.flags.report), { recursive: true });
+        await fs.writeFile(args.flags.report, JSON.stringify({ file: filePath, on, ...result.stats, clusters }, null, 2) + '\n');
+    }
+
+    const summary = { file: filePath, on, ...result.stats, clusters: clusters.length, out: outPath || null, report: args.flags.report || null };
+    const text = [
+        `${filePath}: ${result.stats.items} ${target === 'output' ? 'records' : 'pairs'}, ${result.stats.merged} duplicates (${result.stats.exact} exact) in ${clusters.length} clusters`,
+        ...clusters.slice(0, 10).map(cluster => `  "${cluster.kept.src}" <- ${cluster.merged.length} merged`),
+        clusters.length > 10 ? `  ... ${clusters.length - 10} more (see --report)` : null,
+        outPath ? `Wrote ${result.stats.kept} ${target === 'output' ? 'records' : 'pairs'} to ${outPath}` : 'Dry run: use --out or --in-place to write the result'
+    ].filter(Boolean).join('\n');
+    print(summary, args.flags.json, text);
+    return EXIT_OK;
+}
+
+async function reviewCommand(args, config) {
+    const port = parseInt(args.flags.port || process.env.REVIEW_PORT || '8787', 10);
+    if (Number.isNaN(port) || port < 0 || port > 65535) {
+        throw new UsageError(`--port expects a port number, got "${args.flags.port || process.env.REVIEW_PORT}"`);
+    }
+
+    const pipeline = new AfropairPipeline(config);
+    const store = await new ReviewStore(pipeline.config.outputPath).load();
+    const server = new ReviewServer(store, { host: args.flags.host, port, reviewer: args.flags.reviewer });
+    const url = await server.start();
+
+    const pending = store.list().length;
+    print({ url, pending, output: pipeline.config.outputPath }, args.flags.json,
+        `Reviewing ${pipeline.config.outputPath} at ${url} (${pending} pending). Press Ctrl+C to stop.`);
+
+    // Serve until interrupted
+    await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+    });
+    await server.stop();
+    return EXIT_OK;
+}
+
+async function statsCommand(args, config) {
+    const pipeline = new AfropairPipeline(config);
+    await pipeline.dictLookup.loadDictionary();
+    await pipeline.corpusRetriever.loadCorpus();
+
+    let records = [];
+    try {
+        records = latestVersions(await readJsonl(pipeline.config.outputPath));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const byStatus = {};
+    let confidenceSum = 0;
+    for (const record of records) {
+        byStatus[record.status] = (byStatus[record.status] || 0) + 1;
+        confidenceSum += record.confidence || 0;
+    }
+
+    const stats = {
+        pair: pipeline.pair.key,
+        dictionary_entries: pipeline.dictLookup.dictionary.size,
+        corpus_entries: pipeline.corpusRetriever.corpus.length,
+        records: records.length,
+        by_status: byStatus,
+        average_confidence: records.length > 0 ? confidenceSum / records.length : 0
+    };
+
+    const text = [
+        `Pair: ${stats.pair}`,
+        `Dictionary entries: ${stats.dictionary_entries}`,
+        `Corpus entries: ${stats.corpus_entries}`,
+        `Records: ${stats.records}`,
+        ...Object.entries(byStatus).map(([status, count]) => `  ${status}: ${count}`),
+        `Average confidence: ${(stats.average_confidence * 100).toFixed(1)}%`
+    ].join('\n');
+
+    print(stats, args.flags.json, text);
+    return EXIT_OK;
+}
+
+const COMMANDS = {
+    translate: translateCommand,
+    batch: batchCommand,
+    ingest: ingestCommand,
+    align: alignCommand,
+    dedup: dedupCommand,
+    export: exportCommand,
+    induce: induceCommand,
+    promote: promoteCommand,
+    review: reviewCommand,
+    stats: statsCommand
+};
+
+// ===================================================================
+// ENTRYPOINT
+// ===================================================================
+async function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseArgs(argv);
+        const command = COMMANDS[args._[0]];
+
+        if (args.flags.help || !command) {
+            if (args.flags.help) {
+                process.stdout.write(USAGE + '\n');
+                return EXIT_OK;
+            }
+            if (args._[0]) {
+                console.error(`Unknown command "${args._[0]}"\n`);
+            }
+            console.error(USAGE);
+            return EXIT_USAGE;
+        }
+
+        await loadEnvFile(args.flags.env || './.env');
+        applyLogLevel(args.flags['log-level'] || process.env.LOG_LEVEL || 'info', args.flags.json);
+
+        return await command(args, resolveConfig(args.flags));
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`Error: ${error.message}\n\n${USAGE}`);
+            return EXIT_USAGE;
+        }
+        if (args && args.flags.json) {
+            process.stdout.write(JSON.stringify({ success: false, error: error.message }) + '\n');
+        } else {
+            console.error(`Error: ${error.message}`);
+        }
+        return EXIT_FAILURE;
+    }
+}
+
+if (require.main === module) {
+    main().then(code => { process.exitCode = code; });
+}
+
+module.exports = { main, parseArgs };
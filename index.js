@@ -1,84 +1,102 @@
 // ===================================================================
 // AFROPAIR TRANSLATION PIPELINE - Node.js Implementation
-// French → Mooré Translation Data Generation System
+// Translation Data Generation System (language pairs from config/)
 // ===================================================================
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { LanguageRegistry, normalize } = require('./utils/languages');
+const Splitter = require('./utils/spliter');
+const { createTokenizer } = require('./utils/tokenizer');
+const { createLemmatizer } = require('./utils/lemmatizer');
+const Dictionary = require('./utils/dictionary');
+const { CorpusIndex } = require('./utils/corpusindex');
+const Model = require('./utils/model');
+const Embedding = require('./utils/embedding');
+const VectorStore = require('./utils/vectorstore');
+const { AlignmentScorer } = require('./utils/alignment');
+const DocumentAligner = require('./utils/aligner');
+const { latestVersions } = require('./utils/review');
+const LexiconInducer = require('./utils/lexicon');
+const { Deduplicator } = require('./utils/dedup');
 
 // ===================================================================
 // 1. SPLITTER MODULE (Mandatory)
 // ===================================================================
-class Splitter {
-    static async process(inputJSON) {
-        const { src } = inputJSON;
-        
-        // Simple sentence splitting - can be enhanced later
-        const sentences = src.split(/[.!?]+/).filter(s => s.trim().length > 0);
-        
-        const segments = sentences.map((sentence, index) => ({
-            seg_id: `s${index + 1}`,
-            text: sentence.trim(),
-            tokens: this.tokenize(sentence.trim()),
-            start: 0, // Could calculate actual positions
-            end: sentence.trim().length
-        }));
-
-        return {
-            step: "splitter",
-            segments: segments,
-            meta: { 
-                timestamp: Date.now(),
-                provenance: ["splitter_v1"]
-            }
-        };
-    }
-
-    static tokenize(text) {
-        // Simple tokenization - split on whitespace and punctuation
-        return text.split(/[\s\p{P}]+/u).filter(token => token.length > 0);
-    }
-}
+// Implemented in utils/spliter.js (offset-preserving, abbreviation-aware)
 
 // ===================================================================
 // 2. DICTIONARY LOOKUP MODULE (Mandatory)
 // ===================================================================
 class DictionaryLookup {
-    constructor(dictPath = './data/fr_mos_dict.tsv') {
+    constructor(dictPath = './data/fr_mos_dict.tsv', pair = {}) {
         this.dictPath = dictPath;
+        this.srcLanguage = pair.src || {};
+        // Reversed pairs (mos->fr) index the target column of the same TSV
+        this.reversed = Boolean(pair.reversed);
+        this.store = new Dictionary(dictPath, {
+            language: this.reversed ? pair.tgt : this.srcLanguage,
+            srcCode: pair.resources && pair.resources.src,
+            tgtCode: pair.resources ? pair.resources.tgt : pair.tgt && pair.tgt.code,
+            columns: pair.columns && pair.columns.dictionary
+        });
+        this.tokenizer = createTokenizer(this.srcLanguage);
+        this.lemmatizer = createLemmatizer(this.srcLanguage);
         this.dictionary = new Map();
+        // Trie over headword token norms, so multi-word entries ("au revoir") win over single words
+        this.trie = { children: new Map(), key: null };
         this.loaded = false;
     }
 
     async loadDictionary() {
         if (this.loaded) return;
         
-        try {
-            const data = await fs.readFile(this.dictPath, 'utf-8');
-            const lines = data.split('\n').filter(line => line.trim());
-            
-            // Expected format: fr_word\tmos_word\tpos\tscore
-            for (const line of lines) {
-                const [frWord, mosWord, pos, score] = line.split('\t');
-                if (frWord && mosWord) {
-                    const key = frWord.toLowerCase();
-                    if (!this.dictionary.has(key)) {
-                        this.dictionary.set(key, []);
-                    }
-                    this.dictionary.get(key).push({
-                        mos: mosWord,
-                        pos: pos || 'UNK',
-                        score: parseFloat(score) || 0.5
-                    });
+        // Header-aware TSV, columns mapped by the language pair config
+        await this.store.load();
+        if (!this.store.exists) {
+            console.warn(`Dictionary not found at ${this.dictPath}, using empty dictionary`);
+        }
+
+        for (const { src, tgt, ...fields } of this.store.entries) {
+            this.addEntry(this.reversed ? tgt : src, {
+                ...fields,
+                tgt: this.reversed ? src : tgt,
+                pos: fields.pos || 'UNK',
+                score: Number.isFinite(fields.score) ? fields.score : 0.5
+            });
+        }
+        this.loaded = true;
+        console.log(`Dictionary loaded: ${this.dictionary.size} entries`);
+    }
+
+    // Re-reads the TSV after it was changed on disk (promotion, ingestion)
+    async reload() {
+        this.dictionary = new Map();
+        this.trie = { children: new Map(), key: null };
+        this.loaded = false;
+        await this.loadDictionary();
+    }
+
+    addEntry(headword, candidate) {
+        const norms = this.tokenizer.tokenizeDetailed(headword).map(token => normalize(token.norm, this.srcLanguage));
+        if (norms.length === 0) return;
+
+        const key = norms.join(' ');
+        if (!this.dictionary.has(key)) {
+            this.dictionary.set(key, []);
+
+            let node = this.trie;
+            for (const norm of norms) {
+                if (!node.children.has(norm)) {
+                    node.children.set(norm, { children: new Map(), key: null });
                 }
+                node = node.children.get(norm);
             }
-            this.loaded = true;
-            console.log(`Dictionary loaded: ${this.dictionary.size} entries`);
-        } catch (error) {
-            console.warn(`Dictionary not found at ${this.dictPath}, using empty dictionary`);
-            this.loaded = true;
+            node.key = key;
         }
+        this.dictionary.get(key).push(candidate);
     }
 
     async process(inputJSON) {
@@ -88,25 +106,7 @@ class DictionaryLookup {
         const results = {};
 
         for (const segment of segments) {
-            const segmentResults = {};
-            
-            for (const token of segment.tokens) {
-                const key = token.toLowerCase();
-                const candidates = this.dictionary.get(key) || [];
-                
-                if (candidates.length === 0) {
-                    // Unknown word - could be enhanced with lemmatization
-                    segmentResults[token] = [{
-                        mos: `<UNK:${token}>`,
-                        pos: 'UNK',
-                        score: 0.1
-                    }];
-                } else {
-                    segmentResults[token] = candidates;
-                }
-            }
-            
-            results[segment.seg_id] = segmentResults;
+            results[segment.seg_id] = this.lookupSegment(segment);
         }
 
         return {
@@ -114,21 +114,106 @@ class DictionaryLookup {
             dictionary_results: results,
             meta: {
                 timestamp: Date.now(),
-                provenance: ["dict_lookup_v1"],
+                provenance: ["dict_lookup_v2"],
                 dict_coverage: this.calculateCoverage(results)
             }
         };
     }
 
+    lookupSegment(segment) {
+        // Tokenizer norms expand elisions and clitics ("J'" -> "je", "-il" -> "il")
+        const spans = segment.token_spans || segment.tokens.map(token => ({ text: token, norm: token }));
+        const norms = spans.map(span => normalize(span.norm, this.srcLanguage));
+        // Ambiguous elisions are looked up under every reading ("l'" -> "le", "la")
+        const readings = spans.map((span, index) =>
+            [norms[index], ...(span.alternatives || []).map(alternative => normalize(alternative, this.srcLanguage))]);
+        const matches = [];
+
+        let i = 0;
+        while (i < spans.length) {
+            // Greedy longest match: walk the trie as far as the tokens allow, along every reading at once
+            let nodes = [this.trie];
+            let matchKeys = [];
+            let matchEnd = i;
+            for (let j = i; j < spans.length; j++) {
+                nodes = nodes.flatMap(node => readings[j].map(reading => node.children.get(reading)).filter(Boolean));
+                if (nodes.length === 0) break;
+                const keys = nodes.filter(node => node.key).map(node => node.key);
+                if (keys.length > 0) {
+                    matchKeys = [...new Set(keys)];
+                    matchEnd = j + 1;
+                }
+            }
+
+            if (matchKeys.length > 0) {
+                const candidates = matchKeys.flatMap(key => this.dictionary.get(key));
+                matches.push(this.match(segment, spans, i, matchEnd, candidates));
+                i = matchEnd;
+                continue;
+            }
+
+            // Inflected form ("vais", "partons"): fall back to its lemma before giving up
+            const lemmaCandidates = this.lookupLemma(norms[i]);
+            if (lemmaCandidates.length > 0) {
+                matches.push(this.match(segment, spans, i, i + 1, lemmaCandidates));
+            } else {
+                // Unknown word
+                matches.push(this.match(segment, spans, i, i + 1, [{
+                    tgt: `<UNK:${spans[i].text}>`,
+                    pos: 'UNK',
+                    score: 0.1
+                }]));
+            }
+            i++;
+        }
+
+        return matches;
+    }
+
+    lookupLemma(norm) {
+        if (!this.lemmatizer) return [];
+
+        for (const analysis of this.lemmatizer.analyze(norm)) {
+            const candidates = this.dictionary.get(normalize(analysis.lemma, this.srcLanguage));
+            if (!candidates) continue;
+
+            // Slightly less trusted than an exact headword match
+            return candidates.map(candidate => ({
+                ...candidate,
+                score: candidate.score * 0.9,
+                lemma: analysis.lemma,
+                features: analysis.features
+            }));
+        }
+        return [];
+    }
+
+    match(segment, spans, tokenStart, tokenEnd, candidates) {
+        const first = spans[tokenStart];
+        const last = spans[tokenEnd - 1];
+        const hasOffsets = first.start !== undefined;
+
+        return {
+            text: hasOffsets
+                ? segment.text.slice(first.start, last.end)
+                : spans.slice(tokenStart, tokenEnd).map(span => span.text).join(' '),
+            token_start: tokenStart,
+            token_end: tokenEnd,
+            ...(hasOffsets ? { start: first.start, end: last.end } : {}),
+            candidates
+        };
+    }
+
     calculateCoverage(results) {
         let total = 0;
         let covered = 0;
         
         for (const segId in results) {
-            for (const token in results[segId]) {
-                total++;
-                if (results[segId][token][0].score > 0.1) {
-                    covered++;
+            for (const match of results[segId]) {
+                const tokenCount = match.token_end - match.token_start;
+                total += tokenCount;
+                if (match.candidates[0].score > 0.1) {
+                    covered += tokenCount;
                 }
             }
         }
@@ -141,36 +226,171 @@ class DictionaryLookup {
 // 3. CORPUS RETRIEVER MODULE (Mandatory)
 // ===================================================================
 class CorpusRetriever {
-    constructor(corpusPath = './data/fr_mos_corpus.jsonl') {
+    // Without a pair, the corpus is read as the default fr->mos pair of the registry (columns "fr"/"mos")
+    constructor(corpusPath = './data/fr_mos_corpus.jsonl', pair = new LanguageRegistry().pair('fr', 'mos'), options = {}) {
+        if (!pair.columns || !pair.columns.corpus) {
+            throw new Error('CorpusRetriever needs a language pair with corpus columns (LanguageRegistry#pair)');
+        }
         this.corpusPath = corpusPath;
+        this.srcLanguage = pair.src;
+        this.tgtLanguage = pair.tgt;
+        this.columns = pair.columns.corpus;
+        this.indexPath = options.indexPath || null;
+        this.topK = options.topK || 5;
+        this.minSimilarity = options.minSimilarity !== undefined ? options.minSimilarity : 0.6;
         this.corpus = [];
+        this.index = new CorpusIndex(this.srcLanguage);
         this.loaded = false;
+
+        // Hybrid mode: with an Embedding, the source side is also searched by vector similarity
+        this.embedding = options.embedding || null;
+        this.vectorStore = this.embedding ? options.vectorStore || new VectorStore('file', { metric: 'cosine' }) : null;
+        this.minSemantic = options.minSemantic !== undefined ? options.minSemantic : 0.6;
+        this.candidatePool = options.candidatePool || 20;
+        this.rrfK = options.rrfK || 60;
+        this.vectorIds = new Map(); // vector id -> corpus position
     }
 
     async loadCorpus() {
         if (this.loaded) return;
         
+        let data = '';
         try {
-            const data = await fs.readFile(this.corpusPath, 'utf-8');
-            const lines = data.split('\n').filter(line => line.trim());
-            
-            for (const line of lines) {
-                try {
-                    const entry = JSON.parse(line);
-                    if (entry.fr && entry.mos) {
-                        this.corpus.push(entry);
-                    }
-                } catch (e) {
-                    console.warn(`Invalid JSON line in corpus: ${line}`);
-                }
-            }
-            
-            this.loaded = true;
-            console.log(`Corpus loaded: ${this.corpus.size} entries`);
+            data = await fs.readFile(this.corpusPath, 'utf-8');
         } catch (error) {
             console.warn(`Corpus not found at ${this.corpusPath}, using empty corpus`);
-            this.loaded = true;
         }
+
+        const lines = data.split('\n').filter(line => line.trim());
+        let parsed = 0;
+        for (const line of lines) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (e) {
+                console.warn(`Invalid JSON line in corpus: ${line}`);
+                continue;
+            }
+            parsed++;
+            const src = entry[this.columns.src];
+            const tgt = entry[this.columns.tgt];
+            if (src && tgt) {
+                this.corpus.push({ src, tgt, source: entry.source, sim: entry.sim });
+            }
+        }
+        // A column mismatch would otherwise silently leave the pipeline without corpus matches
+        if (parsed > 0 && this.corpus.length === 0) {
+            throw new Error(`No "${this.columns.src}"/"${this.columns.tgt}" pairs in ${this.corpusPath}: check the corpus columns of the language pair`);
+        }
+
+        await this.buildIndex(data);
+        if (this.embedding) {
+            await this.buildVectors();
+        }
+        this.loaded = true;
+        console.log(`Corpus loaded: ${this.corpus.length} entries`);
+    }
+
+    // Re-reads the corpus after it was changed on disk; the index is rebuilt (its fingerprint changed)
+    // and only new pairs are embedded
+    async reload() {
+        this.corpus = [];
+        this.vectorIds = new Map();
+        this.tgtDocNorms = null;
+        this.tgtDocFreq = null;
+        this.loaded = false;
+        await this.loadCorpus();
+    }
+
+    // Appends entries (in corpus file columns) to the corpus JSONL, skipping pairs it already holds.
+    // Pairs are compared after normalization, so case and spacing differences are duplicates too.
+    async appendEntries(entries) {
+        let data = '';
+        try {
+            data = await fs.readFile(this.corpusPath, 'utf-8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const key = entry => [entry[this.columns.src], entry[this.columns.tgt]]
+            .map(text => normalize(String(text || ''), this.srcLanguage).replace(/\s+/g, ' ').trim())
+            .join('\t');
+        const seen = new Set();
+        for (const line of data.split('\n').filter(line => line.trim())) {
+            try {
+                seen.add(key(JSON.parse(line)));
+            } catch (error) {
+                // Invalid lines are reported by loadCorpus
+            }
+        }
+
+        const lines = [];
+        for (const entry of entries) {
+            const entryKey = key(entry);
+            if (seen.has(entryKey)) continue;
+            seen.add(entryKey);
+            lines.push(JSON.stringify(entry));
+        }
+
+        if (lines.length > 0) {
+            await fs.mkdir(path.dirname(this.corpusPath), { recursive: true });
+            // Corpus files written by hand (or by setup.js) may lack a final newline
+            const separator = data.length > 0 && !data.endsWith('\n') ? '\n' : '';
+            await fs.appendFile(this.corpusPath, separator + lines.join('\n') + '\n');
+        }
+        return lines.length;
+    }
+
+    async buildIndex(data) {
+        // The fingerprint ties a persisted index to this exact corpus content, column mapping and analysis
+        // (tokenizer rules, normalization form)
+        const fingerprint = crypto.createHash('sha1')
+            .update(JSON.stringify(this.columns))
+            .update(JSON.stringify(this.index.analysisSettings()))
+            .update(data)
+            .digest('hex');
+
+        if (this.indexPath && await this.index.load(this.indexPath, fingerprint)) {
+            console.log(`Corpus index loaded from ${this.indexPath}`);
+            return;
+        }
+
+        this.index.build(this.corpus.map(entry => entry.src), fingerprint);
+        if (this.indexPath) {
+            await this.index.save(this.indexPath);
+            console.log(`Corpus index saved to ${this.indexPath}`);
+        }
+    }
+
+    async buildVectors() {
+        const embedder = `${this.embedding.provider}/${this.embedding.modelKey}`;
+        const ids = this.corpus.map(entry => crypto.createHash('sha1')
+            .update([embedder, this.srcLanguage.code, this.tgtLanguage.code, entry.src, entry.tgt].join('\u0000'))
+            .digest('hex'));
+        ids.forEach((id, position) => this.vectorIds.set(id, position));
+
+        // Only new pairs are embedded; unchanged ones are already in a persisted store
+        const stored = await this.vectorStore.has(ids);
+        const missing = [];
+        for (let i = 0; i < ids.length; i++) {
+            if (!stored.has(ids[i])) missing.push(i);
+        }
+
+        const vectors = await this.embedding.embedBatch(missing.map(i => this.corpus[i].src));
+        await this.vectorStore.upsert(missing.map((position, j) => ({
+            id: ids[position],
+            vector: vectors[j],
+            metadata: {
+                src: this.corpus[position].src,
+                tgt: this.corpus[position].tgt,
+                src_lang: this.srcLanguage.code,
+                tgt_lang: this.tgtLanguage.code,
+                source: this.corpus[position].source || 'unknown',
+                embedding: embedder
+            }
+        })));
+        await this.vectorStore.save();
+        console.log(`Corpus vectors: ${missing.length} embedded, ${ids.length - missing.length} reused`);
     }
 
     async process(inputJSON) {
@@ -180,7 +400,9 @@ class CorpusRetriever {
         const results = [];
 
         for (const segment of segments) {
-            const matches = this.searchCorpus(segment.text);
+            const matches = this.embedding
+                ? await this.searchHybrid(segment.text)
+                : this.searchCorpus(segment.text);
             results.push({
                 seg_id: segment.seg_id,
                 matches: matches
@@ -192,41 +414,226 @@ class CorpusRetriever {
             corpus_results: results,
             meta: {
                 timestamp: Date.now(),
-                provenance: ["corpus_retriever_v1"]
+                provenance: ["corpus_retriever_v2"],
+                retrieval: this.embedding ? "hybrid" : "lexical"
             }
         };
     }
 
     searchCorpus(query) {
-        const matches = [];
-        const queryLower = query.toLowerCase();
-        
-        for (const entry of this.corpus) {
-            const similarity = this.calculateSimilarity(queryLower, entry.fr.toLowerCase());
-            
-            if (similarity > 0.6) { // Threshold for relevance
-                matches.push({
-                    fr: entry.fr,
-                    mos: entry.mos,
-                    sim: similarity,
-                    source: entry.source || 'unknown'
-                });
+        // BM25 + character n-gram + edit distance, normalized to [0, 1]
+        return this.index.search(query, this.topK, this.minSimilarity).map(hit => {
+            const entry = this.corpus[hit.id];
+            return {
+                src: entry.src,
+                tgt: entry.tgt,
+                sim: hit.score,
+                source: entry.source || 'unknown',
+                scores: { bm25: hit.bm25, char: hit.char, edit: hit.edit }
+            };
+        });
+    }
+
+    async searchHybrid(query) {
+        const lexical = this.index.search(query, this.candidatePool, 0);
+        const [vector] = await this.embedding.embedBatch([query]);
+        const semantic = (await this.vectorStore.search(vector, this.candidatePool, {
+            src_lang: this.srcLanguage.code,
+            tgt_lang: this.tgtLanguage.code,
+            embedding: `${this.embedding.provider}/${this.embedding.modelKey}`
+        })).filter(hit => this.vectorIds.has(hit.id));
+
+        // Reciprocal rank fusion: each list contributes 1 / (k + rank), so neither score scale dominates
+        const fused = new Map();
+        const entryFor = position => {
+            if (!fused.has(position)) fused.set(position, { rrf: 0, lexical: null, semantic: null });
+            return fused.get(position);
+        };
+        lexical.forEach((hit, rank) => {
+            const entry = entryFor(hit.id);
+            entry.rrf += 1 / (this.rrfK + rank + 1);
+            entry.lexical = hit;
+        });
+        semantic.forEach((hit, rank) => {
+            const entry = entryFor(this.vectorIds.get(hit.id));
+            entry.rrf += 1 / (this.rrfK + rank + 1);
+            entry.semantic = hit.score;
+        });
+
+        return [...fused.entries()]
+            .filter(([, entry]) =>
+                (entry.lexical && entry.lexical.score >= this.minSimilarity) ||
+                (entry.semantic !== null && entry.semantic >= this.minSemantic))
+            .sort((a, b) => b[1].rrf - a[1].rrf)
+            .slice(0, this.topK)
+            .map(([position, entry]) => {
+                const corpusEntry = this.corpus[position];
+                const lexicalScore = entry.lexical ? entry.lexical.score : 0;
+                return {
+                    src: corpusEntry.src,
+                    tgt: corpusEntry.tgt,
+                    sim: Math.max(lexicalScore, entry.semantic || 0),
+                    source: corpusEntry.source || 'unknown',
+                    scores: {
+                        ...(entry.lexical ? { bm25: entry.lexical.bm25, char: entry.lexical.char, edit: entry.lexical.edit } : {}),
+                        lexical: lexicalScore,
+                        semantic: entry.semantic,
+                        rrf: entry.rrf
+                    }
+                };
+            });
+    }
+
+    // Dice association between source words and target words, from sentence-level co-occurrence in the corpus
+    associations(srcNorms, minCount = 2) {
+        if (!this.tgtDocNorms) {
+            const tokenizer = createTokenizer(this.tgtLanguage);
+            this.tgtDocNorms = this.corpus.map(entry =>
+                new Set(tokenizer.tokenizeDetailed(entry.tgt).map(token => normalize(token.norm, this.tgtLanguage))));
+            this.tgtDocFreq = new Map();
+            for (const norms of this.tgtDocNorms) {
+                for (const norm of norms) this.tgtDocFreq.set(norm, (this.tgtDocFreq.get(norm) || 0) + 1);
             }
         }
-        
-        // Sort by similarity descending
-        return matches.sort((a, b) => b.sim - a.sim).slice(0, 5);
+
+        const associations = new Map();
+        for (const srcNorm of new Set(srcNorms)) {
+            const postings = this.index.postings.get(srcNorm) || [];
+            if (postings.length === 0) continue;
+
+            const joint = new Map();
+            for (const [id] of postings) {
+                for (const norm of this.tgtDocNorms[id] || []) joint.set(norm, (joint.get(norm) || 0) + 1);
+            }
+
+            const scores = new Map();
+            for (const [norm, count] of joint) {
+                if (count < minCount) continue;
+                scores.set(norm, { dice: 2 * count / (postings.length + this.tgtDocFreq.get(norm)), count });
+            }
+            associations.set(srcNorm, scores);
+        }
+        return associations;
     }
 
-    calculateSimilarity(str1, str2) {
-        // Simple Jaccard similarity - can be enhanced with better algorithms
-        const set1 = new Set(str1.split(/\s+/));
-        const set2 = new Set(str2.split(/\s+/));
-        
-        const intersection = new Set([...set1].filter(x => set2.has(x)));
-        const union = new Set([...set1, ...set2]);
-        
-        return union.size === 0 ? 0 : intersection.size / union.size;
+    // Similarity of two source-language texts on the retrieval scale (the corpus index score)
+    similarity(query, text) {
+        return this.index.score(query, text);
+    }
+}
+
+// ===================================================================
+// 3b. LLM AUGMENTER MODULE (Optional)
+// ===================================================================
+class LLMAugmenter {
+    constructor(model, pair = {}, options = {}) {
+        this.model = model;
+        this.pair = pair;
+        this.fewShot = options.fewShot !== undefined ? options.fewShot : 3;
+        this.paraphrases = options.paraphrases || 0;
+        this.temperature = options.temperature !== undefined ? options.temperature : 0.2;
+        // LLM output is unverified: it competes with corpus and dictionary candidates at this prior
+        this.confidence = options.confidence !== undefined ? options.confidence : 0.6;
+    }
+
+    async process(inputJSON) {
+        const { segments, dictionary_results, corpus_results } = inputJSON;
+        const results = [];
+
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            const prompt = this.buildPrompt(segment, dictionary_results[segment.seg_id], corpus_results[i]);
+            results.push(await this.augmentSegment(segment, prompt));
+        }
+
+        return {
+            step: "llm_augmenter",
+            llm_results: results,
+            meta: {
+                timestamp: Date.now(),
+                provenance: ["llm_augmenter_v1"],
+                model: `${this.model.provider}/${this.model.model}`,
+                usage: this.model.usage
+            }
+        };
+    }
+
+    async augmentSegment(segment, prompt) {
+        let response;
+        try {
+            response = await this.model.chat(prompt.messages, {
+                system: prompt.system,
+                temperature: this.temperature,
+                json: true
+            });
+        } catch (error) {
+            // A failing LLM must not stop the pipeline: corpus and dictionary candidates remain
+            console.warn(`LLM augmentation failed for ${segment.seg_id}: ${error.message}`);
+            return { seg_id: segment.seg_id, candidates: [], paraphrases: [], error: error.message };
+        }
+
+        const parsed = response.json || {};
+        const translation = typeof parsed.translation === 'string' ? parsed.translation.trim() : '';
+        const paraphrases = Array.isArray(parsed.paraphrases)
+            ? parsed.paraphrases.filter(text => typeof text === 'string' && text.trim()).slice(0, this.paraphrases)
+            : [];
+
+        const audit = {
+            provider: response.provider,
+            model: response.model,
+            ...(Array.isArray(parsed.alignment) ? { alignment: parsed.alignment.filter(link => Array.isArray(link) && link.length === 2) } : {}),
+            prompt: { system: prompt.system, messages: prompt.messages },
+            raw_response: response.content,
+            usage: response.usage
+        };
+
+        return {
+            seg_id: segment.seg_id,
+            candidates: translation ? [{
+                tgt: translation,
+                source: "llm",
+                confidence: this.confidence,
+                details: audit
+            }] : [],
+            paraphrases,
+            ...(translation ? {} : { error: 'No "translation" field in LLM response', details: audit })
+        };
+    }
+
+    buildPrompt(segment, dictResult = [], corpusResult = {}) {
+        const srcName = this.pair.src ? this.pair.src.name : 'source';
+        const tgtName = this.pair.tgt ? this.pair.tgt.name : 'target';
+
+        const examples = (corpusResult.matches || [])
+            .slice(0, this.fewShot)
+            .map(match => `${srcName}: ${match.src}\n${tgtName}: ${match.tgt}`);
+
+        const glosses = dictResult
+            .filter(entry => entry.candidates[0].pos !== 'UNK')
+            .map(entry => {
+                const options = entry.candidates.slice(0, 3).map(candidate => `${candidate.tgt} (${candidate.pos})`).join(', ');
+                return `- ${entry.text} → ${options}`;
+            });
+
+        const sections = [];
+        if (examples.length > 0) {
+            sections.push(`Examples from the parallel corpus:\n${examples.join('\n\n')}`);
+        }
+        if (glosses.length > 0) {
+            sections.push(`Dictionary glosses:\n${glosses.join('\n')}`);
+        }
+        sections.push(`Translate this ${srcName} sentence into ${tgtName}:\n${segment.text}`);
+        if (this.paraphrases > 0) {
+            sections.push(`Also write ${this.paraphrases} paraphrase(s) of the ${srcName} sentence that keep its meaning.`);
+        }
+
+        const system = [
+            `You are a careful translator from ${srcName} to ${tgtName}.`,
+            'Follow the spelling used in the examples and dictionary glosses.',
+            'Answer with a JSON object: {"translation": string, "paraphrases": string[], "alignment": [source word, target word][]}.'
+        ].join(' ');
+
+        return { system, messages: [{ role: 'user', content: sections.join('\n\n') }] };
     }
 }
 
@@ -234,16 +641,30 @@ class CorpusRetriever {
 // 4. REFEREE/SYNTHESIZER MODULE (Mandatory)
 // ===================================================================
 class Referee {
+    constructor(options = {}) {
+        // The dictionary and language pair are needed to repair fuzzy corpus matches
+        this.dictLookup = options.dictLookup || null;
+        this.pair = options.pair || {};
+        this.srcTokenizer = createTokenizer(this.pair.src || {});
+        this.tgtTokenizer = createTokenizer(this.pair.tgt || {});
+        // A semantic (paraphrase) match cannot be checked word by word, so its similarity is discounted
+        this.semanticWeight = options.semanticWeight !== undefined ? options.semanticWeight : 0.8;
+        // Word alignment links: corpus co-occurrence fills in words the dictionary cannot link
+        this.corpusRetriever = options.corpusRetriever || null;
+        this.minAssociation = options.minAssociation !== undefined ? options.minAssociation : 0.5;
+    }
+
     async process(inputJSON) {
-        const { segments, dictionary_results, corpus_results } = inputJSON;
+        const { segments, dictionary_results, corpus_results, llm_results } = inputJSON;
         const finalResults = [];
 
         for (let i = 0; i < segments.length; i++) {
             const segment = segments[i];
             const dictResult = dictionary_results[segment.seg_id];
             const corpusResult = corpus_results[i];
+            const llmResult = llm_results ? llm_results[i] : null;
             
-            const decision = this.makeDecision(segment, dictResult, corpusResult);
+            const decision = this.makeDecision(segment, dictResult, corpusResult, llmResult);
             finalResults.push(decision);
         }
 
@@ -252,32 +673,47 @@ class Referee {
             final_results: finalResults,
             meta: {
                 timestamp: Date.now(),
-                provenance: ["referee_v1"]
+                provenance: ["referee_v2"]
             }
         };
     }
 
-    makeDecision(segment, dictResult, corpusResult) {
+    makeDecision(segment, dictResult, corpusResult, llmResult = null) {
         const candidates = [];
         
-        // Add corpus matches (highest priority)
+        // Add corpus matches (highest priority); fuzzy ones are repaired with the dictionary
         if (corpusResult.matches && corpusResult.matches.length > 0) {
             for (const match of corpusResult.matches) {
-                candidates.push({
-                    mos: match.mos,
-                    source: "corpus",
-                    confidence: match.sim,
-                    details: match
-                });
+                const repair = this.repairMatch(segment, dictResult, match);
+                const semantic = match.scores && match.scores.semantic ? match.scores.semantic * this.semanticWeight : 0;
+                const patched = repair && repair.patches.length > 0;
+                if (patched) {
+                    candidates.push({
+                        tgt: repair.tgt,
+                        source: "corpus_patched",
+                        confidence: repair.confidence,
+                        details: { ...match, patches: repair.patches, unpatched: repair.unpatched }
+                    });
+                }
+                // Paraphrases share few words: keep the corpus translation as-is when meaning matches better than words
+                if (!patched || semantic > repair.confidence) {
+                    const lexical = repair ? repair.confidence : match.sim;
+                    candidates.push({
+                        tgt: match.tgt,
+                        source: "corpus",
+                        confidence: Math.max(lexical, semantic),
+                        details: repair ? { ...match, unpatched: repair.unpatched } : match
+                    });
+                }
             }
         }
         
         // Add dictionary composition (fallback)
         if (dictResult) {
             const dictComposition = this.composeDictionaryTranslation(dictResult);
-            if (dictComposition.mos.trim().length > 0) {
+            if (dictComposition.tgt.trim().length > 0) {
                 candidates.push({
-                    mos: dictComposition.mos,
+                    tgt: dictComposition.tgt,
                     source: "dictionary",
                     confidence: dictComposition.confidence,
                     details: dictComposition
@@ -285,40 +721,286 @@ class Referee {
             }
         }
         
-        // Select best candidate
+        // Add LLM translations (optional stage)
+        if (llmResult && llmResult.candidates) {
+            candidates.push(...llmResult.candidates);
+        }
+        
+        // Select best candidate; the Scorer reads candidates[0] as the selected one
+        candidates.sort((a, b) => b.confidence - a.confidence);
         const bestCandidate = candidates.length > 0 
-            ? candidates.reduce((best, current) => 
-                current.confidence > best.confidence ? current : best)
-            : { mos: `<UNTRANSLATED:${segment.text}>`, source: "none", confidence: 0.0 };
+            ? candidates[0]
+            : { tgt: `<UNTRANSLATED:${segment.text}>`, source: "none", confidence: 0.0 };
         
         return {
             seg_id: segment.seg_id,
             src_text: segment.text,
-            final: bestCandidate.mos,
+            final: bestCandidate.tgt,
             candidates: candidates,
+            ...(llmResult && llmResult.paraphrases && llmResult.paraphrases.length > 0 ? { paraphrases: llmResult.paraphrases } : {}),
+            alignment: candidates.length > 0 ? this.alignWords(segment, dictResult, bestCandidate) : null,
             explanation: this.generateExplanation(bestCandidate, candidates)
         };
     }
 
+    // ---------------------------------------------------------------
+    // Word alignment links (source token index -> target token index)
+    // ---------------------------------------------------------------
+    alignWords(segment, dictResult, candidate) {
+        // "<UNK:word>" placeholders are source words left untranslated, not target tokens
+        const unknown = [...candidate.tgt.matchAll(/<UNK:[^>]*>/g)].map(match => [match.index, match.index + match[0].length]);
+        const tgtSpans = this.tgtTokenizer.tokenizeDetailed(candidate.tgt)
+            .filter(span => !unknown.some(([start, end]) => span.start >= start && span.start < end));
+        const tgtNorms = tgtSpans.map(span => normalize(span.norm, this.pair.tgt));
+        const srcNorms = (segment.token_spans || []).map(span => normalize(span.norm, this.pair.src));
+        const targetNorms = text => this.tgtTokenizer.tokenizeDetailed(text).map(span => normalize(span.norm, this.pair.tgt));
+
+        const links = [];
+        const linkedSrc = new Set();
+        const usedTarget = new Set();
+        const link = (srcIndexes, tgtIndexes, evidence) => {
+            tgtIndexes.forEach(index => usedTarget.add(index));
+            for (const src of srcIndexes) {
+                linkedSrc.add(src);
+                for (const tgt of tgtIndexes) links.push({ src, tgt, ...evidence });
+            }
+        };
+
+        // 1. Dictionary entries whose translation appears in the target
+        for (const entry of dictResult || []) {
+            if (entry.candidates[0].pos === 'UNK') continue;
+            for (const option of entry.candidates) {
+                const found = this.findSequence(tgtNorms, targetNorms(option.tgt), usedTarget);
+                if (!found) continue;
+                const srcIndexes = [];
+                for (let index = entry.token_start; index < entry.token_end; index++) srcIndexes.push(index);
+                link(srcIndexes, found, {
+                    evidence: "dictionary",
+                    entry: { src: entry.text, tgt: option.tgt, pos: option.pos, score: option.score }
+                });
+                break;
+            }
+        }
+
+        // 2. Word pairs proposed by the LLM, when its translation was selected
+        if (candidate.source === "llm" && candidate.details && candidate.details.alignment) {
+            for (const [srcWord, tgtWord] of candidate.details.alignment) {
+                const srcWordNorms = this.srcTokenizer.tokenizeDetailed(String(srcWord)).map(span => normalize(span.norm, this.pair.src));
+                const srcFound = this.findSequence(srcNorms, srcWordNorms, linkedSrc);
+                const tgtFound = this.findSequence(tgtNorms, targetNorms(String(tgtWord)), usedTarget);
+                if (srcFound && tgtFound) {
+                    link(srcFound, tgtFound, { evidence: "llm" });
+                }
+            }
+        }
+
+        // 3. Corpus co-occurrence (Dice) for the words still unlinked
+        if (this.corpusRetriever) {
+            const unlinked = srcNorms.map((norm, index) => index).filter(index => !linkedSrc.has(index));
+            const associations = this.corpusRetriever.associations(unlinked.map(index => srcNorms[index]));
+            for (const index of unlinked) {
+                const scores = associations.get(srcNorms[index]);
+                if (!scores) continue;
+
+                let best = null;
+                tgtNorms.forEach((norm, tgtIndex) => {
+                    const score = scores.get(norm);
+                    if (!usedTarget.has(tgtIndex) && score && score.dice >= this.minAssociation && (!best || score.dice > best.dice)) {
+                        best = { tgtIndex, ...score };
+                    }
+                });
+                if (best) {
+                    link([index], [best.tgtIndex], { evidence: "corpus", dice: best.dice, count: best.count });
+                }
+            }
+        }
+
+        return {
+            src_tokens: segment.tokens || [],
+            tgt_tokens: tgtSpans.map(span => span.text),
+            links: links.sort((a, b) => a.src - b.src || a.tgt - b.tgt)
+        };
+    }
+
+    // ---------------------------------------------------------------
+    // Fuzzy match repair (translation-memory style)
+    // ---------------------------------------------------------------
+    repairMatch(segment, dictResult, match) {
+        if (!this.dictLookup || !dictResult || !segment.token_spans) return null;
+
+        const queryNorms = segment.token_spans.map(span => normalize(span.norm, this.pair.src));
+        const matchSpans = this.srcTokenizer.tokenizeDetailed(match.src);
+        const matchNorms = matchSpans.map(span => normalize(span.norm, this.pair.src));
+        const hunks = this.diffTokens(queryNorms, matchNorms);
+        const longest = Math.max(queryNorms.length, matchNorms.length) || 1;
+        const equalCount = queryNorms.length - hunks.reduce((sum, hunk) => sum + (hunk.queryEnd - hunk.queryStart), 0);
+
+        // Exact match on words: nothing to repair
+        if (hunks.length === 0) return null;
+
+        const matchLookup = this.dictLookup.lookupSegment({ text: match.src, tokens: matchSpans.map(span => span.text), token_spans: matchSpans });
+        const targetSpans = this.tgtTokenizer.tokenizeDetailed(match.tgt);
+        const targetNorms = targetSpans.map(span => normalize(span.norm, this.pair.tgt));
+        const usedTarget = new Set();
+
+        const patches = [];
+        const unpatched = [];
+        let patchScore = 0;
+
+        for (const hunk of hunks) {
+            const queryText = this.spanText(segment.text, segment.token_spans, hunk.queryStart, hunk.queryEnd);
+            const matchText = this.spanText(match.src, matchSpans, hunk.matchStart, hunk.matchEnd);
+
+            // Where do the differing corpus words sit in the corpus translation?
+            const located = this.locateTranslation(matchLookup, hunk, targetNorms, usedTarget);
+            const replacement = this.translateRange(dictResult, hunk.queryStart, hunk.queryEnd);
+
+            if (hunk.matchEnd === hunk.matchStart || !located || replacement.unknown > 0) {
+                unpatched.push({ query_text: queryText, match_text: matchText });
+                continue;
+            }
+
+            located.forEach(index => usedTarget.add(index));
+            const first = targetSpans[Math.min(...located)];
+            const last = targetSpans[Math.max(...located)];
+            patches.push({
+                query_tokens: [hunk.queryStart, hunk.queryEnd],
+                match_tokens: [hunk.matchStart, hunk.matchEnd],
+                query_text: queryText,
+                match_text: matchText,
+                tgt_start: first.start,
+                tgt_end: last.end,
+                tgt_before: match.tgt.slice(first.start, last.end),
+                tgt_after: replacement.tgt
+            });
+            patchScore += replacement.score;
+        }
+
+        // Apply patches right to left so earlier offsets stay valid
+        let tgt = match.tgt;
+        for (const patch of [...patches].sort((a, b) => b.tgt_start - a.tgt_start)) {
+            tgt = tgt.slice(0, patch.tgt_start) + patch.tgt_after + tgt.slice(patch.tgt_end);
+        }
+        tgt = tgt.replace(/\s{2,}/g, ' ').replace(/\s+([.,!?;:])/g, '$1').trim();
+        if (/^\p{Lu}/u.test(match.tgt) && tgt.length > 0) {
+            tgt = tgt[0].toUpperCase() + tgt.slice(1);
+        }
+
+        // Copied words count fully, patched words at their dictionary score (discounted), the rest not at all
+        const confidence = (equalCount + patchScore * 0.9) / longest;
+
+        return { tgt, confidence, patches, unpatched };
+    }
+
+    diffTokens(a, b) {
+        // Longest common subsequence, then group the differences into hunks
+        const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const hunks = [];
+        let hunk = null;
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                hunk = null;
+                i++;
+                j++;
+                continue;
+            }
+            if (!hunk) {
+                hunk = { queryStart: i, queryEnd: i, matchStart: j, matchEnd: j };
+                hunks.push(hunk);
+            }
+            if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+                j++;
+                hunk.matchEnd = j;
+            } else {
+                i++;
+                hunk.queryEnd = i;
+            }
+        }
+        return hunks;
+    }
+
+    locateTranslation(matchLookup, hunk, targetNorms, usedTarget) {
+        const located = [];
+        for (const entry of matchLookup) {
+            if (entry.token_end <= hunk.matchStart || entry.token_start >= hunk.matchEnd) continue;
+            if (entry.candidates[0].pos === 'UNK') return null;
+
+            const found = entry.candidates
+                .map(candidate => this.findSequence(targetNorms, this.tgtTokenizer.tokenizeDetailed(candidate.tgt)
+                    .map(span => normalize(span.norm, this.pair.tgt)), usedTarget))
+                .find(indexes => indexes);
+            if (!found) return null;
+            located.push(...found);
+        }
+        return located.length > 0 ? located : null;
+    }
+
+    findSequence(haystack, needle, usedTarget) {
+        if (needle.length === 0) return null;
+        for (let i = 0; i + needle.length <= haystack.length; i++) {
+            const indexes = needle.map((_, k) => i + k);
+            if (indexes.every(index => !usedTarget.has(index) && haystack[index] === needle[index - i])) {
+                return indexes;
+            }
+        }
+        return null;
+    }
+
+    translateRange(dictResult, start, end) {
+        const words = [];
+        let score = 0;
+        let unknown = 0;
+        for (const entry of dictResult) {
+            if (entry.token_end <= start || entry.token_start >= end) continue;
+            const best = entry.candidates[0];
+            const tokenCount = entry.token_end - entry.token_start;
+            if (best.pos === 'UNK') {
+                unknown += tokenCount;
+            } else {
+                words.push(best.tgt);
+                score += best.score * tokenCount;
+            }
+        }
+        return { tgt: words.join(' '), score, unknown };
+    }
+
+    spanText(text, spans, start, end) {
+        if (start >= end) return '';
+        return text.slice(spans[start].start, spans[end - 1].end);
+    }
+
     composeDictionaryTranslation(dictResult) {
-        const mosWords = [];
+        const tgtWords = [];
         let totalScore = 0;
         let wordCount = 0;
+        let phraseCount = 0;
         
-        for (const token in dictResult) {
-            const candidates = dictResult[token];
+        // Matches are in token order; a phrase match counts once per token it covers
+        for (const match of dictResult) {
+            const candidates = match.candidates;
             if (candidates && candidates.length > 0) {
                 const best = candidates[0]; // Take highest scored candidate
-                mosWords.push(best.mos);
-                totalScore += best.score;
-                wordCount++;
+                const tokenCount = match.token_end - match.token_start;
+                tgtWords.push(best.tgt);
+                totalScore += best.score * tokenCount;
+                wordCount += tokenCount;
+                if (tokenCount > 1) phraseCount++;
             }
         }
         
         return {
-            mos: mosWords.join(' '),
+            tgt: tgtWords.join(' '),
             confidence: wordCount > 0 ? totalScore / wordCount : 0.0,
-            word_count: wordCount
+            word_count: wordCount,
+            phrase_count: phraseCount
         };
     }
 
@@ -329,6 +1011,11 @@ class Referee {
         
         if (bestCandidate.source === "corpus") {
             return `Corpus match selected with ${(bestCandidate.confidence * 100).toFixed(1)}% similarity`;
+        } else if (bestCandidate.source === "corpus_patched") {
+            const patchCount = bestCandidate.details.patches.length;
+            return `Fuzzy corpus match repaired with ${patchCount} dictionary patch${patchCount === 1 ? '' : 'es'} (${(bestCandidate.confidence * 100).toFixed(1)}% confidence)`;
+        } else if (bestCandidate.source === "llm") {
+            return `LLM translation selected (${bestCandidate.details.provider}/${bestCandidate.details.model}, ${(bestCandidate.confidence * 100).toFixed(1)}% prior confidence)`;
         } else if (bestCandidate.source === "dictionary") {
             return `Dictionary composition with ${(bestCandidate.confidence * 100).toFixed(1)}% average word confidence`;
         }
@@ -337,16 +1024,178 @@ class Referee {
     }
 }
 
+// ===================================================================
+// 4b. VALIDATOR MODULE (Optional)
+// ===================================================================
+const JUDGE_RUBRIC_VERSION = 1;
+const JUDGE_CRITERIA = ['adequacy', 'fluency', 'terminology'];
+
+class Validator {
+    constructor(model, pair = {}, options = {}) {
+        this.model = model;
+        this.pair = pair;
+        this.cachePath = options.cachePath || null;
+        this.temperature = options.temperature !== undefined ? options.temperature : 0;
+        this.cache = null;
+        this.dirty = false;
+    }
+
+    async process(inputJSON) {
+        const { final_results } = inputJSON;
+        await this.loadCache();
+
+        const validations = [];
+        for (const result of final_results) {
+            validations.push(await this.validate(result));
+        }
+        await this.saveCache();
+
+        return {
+            step: "validator",
+            validations: validations,
+            meta: {
+                timestamp: Date.now(),
+                provenance: ["validator_v1"],
+                model: `${this.model.provider}/${this.model.model}`,
+                cached: validations.filter(v => v.cached).length
+            }
+        };
+    }
+
+    async validate(result) {
+        // Nothing to judge when no candidate was found
+        if (result.candidates.length === 0) {
+            return { seg_id: result.seg_id, verdict: null, cached: false, skipped: true };
+        }
+
+        const key = this.cacheKey(result.src_text, result.final);
+        if (this.cache.has(key)) {
+            return { seg_id: result.seg_id, verdict: this.cache.get(key), cached: true };
+        }
+
+        const prompt = this.buildPrompt(result.src_text, result.final);
+        let response;
+        try {
+            response = await this.model.chat(prompt.messages, {
+                system: prompt.system,
+                temperature: this.temperature,
+                json: true
+            });
+        } catch (error) {
+            // The Scorer falls back to its heuristic features when there is no verdict
+            console.warn(`Validation failed for ${result.seg_id}: ${error.message}`);
+            return { seg_id: result.seg_id, verdict: null, cached: false, error: error.message };
+        }
+
+        const verdict = this.parseVerdict(response.json);
+        if (!verdict) {
+            return {
+                seg_id: result.seg_id,
+                verdict: null,
+                cached: false,
+                error: 'Unparseable judge verdict',
+                raw_response: response.content
+            };
+        }
+
+        this.cache.set(key, verdict);
+        this.dirty = true;
+        return { seg_id: result.seg_id, verdict, cached: false };
+    }
+
+    buildPrompt(src, tgt) {
+        const srcName = this.pair.src ? this.pair.src.name : 'source';
+        const tgtName = this.pair.tgt ? this.pair.tgt.name : 'target';
+
+        const system = [
+            `You review ${srcName} to ${tgtName} translations for a parallel corpus.`,
+            'Rate the translation on a 1-5 scale for each criterion:',
+            '- adequacy: the meaning of the source is fully conveyed (5) or lost (1)',
+            '- fluency: the translation is natural, grammatical target language (5) or broken (1)',
+            '- terminology: names, numbers and domain terms are rendered correctly (5) or wrong (1)',
+            'Set "hallucination" to true if the translation adds content that is not in the source.',
+            'Answer with a JSON object: {"adequacy": int, "fluency": int, "terminology": int, "hallucination": bool, "comment": string}.'
+        ].join('\n');
+
+        const content = `${srcName}: ${src}\n${tgtName}: ${tgt}`;
+        return { system, messages: [{ role: 'user', content }] };
+    }
+
+    parseVerdict(json) {
+        if (!json || typeof json !== 'object') return null;
+
+        const verdict = {};
+        for (const criterion of JUDGE_CRITERIA) {
+            const value = Number(json[criterion]);
+            if (!Number.isFinite(value)) return null;
+            verdict[criterion] = Math.max(1, Math.min(5, value));
+        }
+        verdict.hallucination = json.hallucination === true || json.hallucination === 'true';
+        verdict.comment = typeof json.comment === 'string' ? json.comment : '';
+
+        // Mean of the criteria mapped from 1-5 to 0-1
+        const mean = JUDGE_CRITERIA.reduce((sum, criterion) => sum + verdict[criterion], 0) / JUDGE_CRITERIA.length;
+        verdict.score = (mean - 1) / 4;
+        return verdict;
+    }
+
+    // ---------------------------------------------------------------
+    // Verdict cache: same judge, rubric and pair give the same verdict
+    // ---------------------------------------------------------------
+    cacheKey(src, tgt) {
+        return crypto.createHash('sha1')
+            .update(JSON.stringify([this.model.provider, this.model.model, JUDGE_RUBRIC_VERSION, this.pair.key, src, tgt]))
+            .digest('hex');
+    }
+
+    async loadCache() {
+        if (this.cache) return;
+        this.cache = new Map();
+        if (!this.cachePath) return;
+
+        try {
+            const data = JSON.parse(await fs.readFile(this.cachePath, 'utf-8'));
+            this.cache = new Map(Object.entries(data));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Ignoring unreadable judge cache ${this.cachePath}: ${error.message}`);
+            }
+        }
+    }
+
+    async saveCache() {
+        if (!this.cachePath || !this.dirty) return;
+
+        await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+        const tmpPath = `${this.cachePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.cache)));
+        await fs.rename(tmpPath, this.cachePath);
+        this.dirty = false;
+    }
+}
+
 // ===================================================================
 // 5. SCORER MODULE (Mandatory)
 // ===================================================================
 class Scorer {
+    constructor(options = {}) {
+        // Share of the judge verdict in the composite confidence, when the Validator ran
+        this.judgeWeight = Number.isFinite(options.judgeWeight) ? options.judgeWeight : 0.5;
+        // Cross-lingual embedding alignment (optional): an AlignmentScorer and the thresholds below which a pair is misaligned
+        this.alignment = options.alignment || null;
+        this.minMargin = options.minMargin !== undefined ? options.minMargin : 1.0;
+        this.minCosine = options.minCosine !== undefined ? options.minCosine : 0.3;
+    }
+
     async process(inputJSON) {
-        const { final_results } = inputJSON;
+        const { final_results, validations } = inputJSON;
         const scoredResults = [];
+        const alignments = await this.scoreAlignments(final_results);
 
-        for (const result of final_results) {
-            const compositeScore = this.calculateCompositeScore(result);
+        for (let i = 0; i < final_results.length; i++) {
+            const result = final_results[i];
+            const validation = validations ? validations[i] : null;
+            const compositeScore = this.calculateCompositeScore(result, validation && validation.verdict, alignments[i]);
             scoredResults.push({
                 ...result,
                 composite_confidence: compositeScore.confidence,
@@ -364,7 +1213,19 @@ class Scorer {
         };
     }
 
-    calculateCompositeScore(result) {
+    async scoreAlignments(results) {
+        if (!this.alignment) return [];
+
+        // Untranslated segments have nothing to align
+        const scorable = results.filter(result => result.candidates.length > 0);
+        const scores = await this.alignment.scoreBatch(scorable.map(result => ({ src: result.src_text, tgt: result.final })));
+        return results.map(result => {
+            const index = scorable.indexOf(result);
+            return index === -1 ? null : scores[index];
+        });
+    }
+
+    calculateCompositeScore(result, verdict = null, alignment = null) {
         const features = {
             source_confidence: 0.0,
             candidate_count: result.candidates.length,
@@ -403,6 +1264,32 @@ class Scorer {
             confidence = Math.min(1.0, confidence * 1.1);
         }
 
+        // Embedding alignment: the margin is more reliable than the raw cosine when neighbour pools exist
+        if (alignment) {
+            features.alignment_cosine = alignment.cosine;
+            features.alignment_margin = alignment.margin;
+            features.misaligned = alignment.margin !== null
+                ? alignment.margin < this.minMargin
+                : alignment.cosine < this.minCosine;
+            if (features.misaligned) {
+                confidence *= 0.7;
+            }
+        }
+
+        // LLM judge verdict (optional Validator stage)
+        if (verdict) {
+            features.judge_score = verdict.score;
+            features.judge_adequacy = verdict.adequacy;
+            features.judge_fluency = verdict.fluency;
+            features.judge_terminology = verdict.terminology;
+            features.judge_hallucination = verdict.hallucination;
+
+            confidence = (1 - this.judgeWeight) * confidence + this.judgeWeight * verdict.score;
+            if (verdict.hallucination) {
+                confidence = Math.min(confidence, 0.5); // Never auto-accept added content
+            }
+        }
+
         return {
             confidence: Math.max(0.0, Math.min(1.0, confidence)),
             features
@@ -414,25 +1301,56 @@ class Scorer {
 // 6. LOGGER MODULE (Mandatory)
 // ===================================================================
 class Logger {
-    constructor(outputPath = './output/translations.jsonl') {
+    // options.dedup: a Deduplicator; records duplicating one already in the output file (or logged earlier) are not written.
+    // They are not returned in "records" either, only in "duplicates", which points at the stored record (duplicate_of).
+    constructor(outputPath = './output/translations.jsonl', options = {}) {
         this.outputPath = outputPath;
+        this.dedup = options.dedup || null;
+        this.dedupSeeded = false;
+    }
+
+    async seedDedup() {
+        if (this.dedupSeeded) return;
+
+        let data = '';
+        try {
+            data = await fs.readFile(this.outputPath, 'utf-8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        const records = [];
+        for (const line of data.split('\n').filter(line => line.trim())) {
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                console.warn(`Invalid JSON line in ${this.outputPath}, not used for deduplication`);
+            }
+        }
+        // Reviewed records count with their latest (possibly edited) target
+        for (const record of latestVersions(records)) {
+            this.dedup.add(record, record.id);
+        }
+        this.dedupSeeded = true;
     }
 
     async process(inputJSON) {
-        const { scored_results, id, src_lang, tgt_lang } = inputJSON;
+        const { scored_results, id, src_lang, tgt_lang, provenance } = inputJSON;
         const records = [];
 
         for (const result of scored_results) {
             const record = {
                 id: uuidv4(),
                 parent_id: id,
-                src_lang: src_lang || "fr",
-                tgt_lang: tgt_lang || "mos",
+                src_lang: src_lang,
+                tgt_lang: tgt_lang,
                 src: result.src_text,
                 tgt: result.final,
+                ...(provenance ? { provenance } : {}),
                 confidence: result.composite_confidence,
                 features: result.quality_features,
                 candidates: result.candidates,
+                ...(result.paraphrases ? { paraphrases: result.paraphrases } : {}),
+                alignment: result.alignment,
                 explanation: result.explanation,
                 status: this.determineStatus(result.composite_confidence),
                 timestamp: Date.now(),
@@ -442,20 +1360,38 @@ class Logger {
             records.push(record);
         }
 
+        // Dedup guard: the same pair translated again (repeated batches, test harness runs) is not logged twice
+        const duplicates = [];
+        let written = records;
+        if (this.dedup) {
+            await this.seedDedup();
+            written = records.filter(record => {
+                const match = this.dedup.check(record, record.id);
+                if (match) {
+                    duplicates.push({ src: record.src, tgt: record.tgt, duplicate_of: match.id, similarity: match.similarity, exact: match.exact });
+                }
+                return !match;
+            });
+        }
+
         // Ensure output directory exists
         await fs.mkdir(path.dirname(this.outputPath), { recursive: true });
         
         // Write records to JSONL
-        const jsonlContent = records.map(record => JSON.stringify(record)).join('\n') + '\n';
-        await fs.appendFile(this.outputPath, jsonlContent);
+        if (written.length > 0) {
+            const jsonlContent = written.map(record => JSON.stringify(record)).join('\n') + '\n';
+            await fs.appendFile(this.outputPath, jsonlContent);
+        }
 
-        console.log(`Logged ${records.length} translation records to ${this.outputPath}`);
+        console.log(`Logged ${written.length} translation records to ${this.outputPath}` +
+            (duplicates.length > 0 ? ` (${duplicates.length} duplicates skipped)` : ''));
 
         return {
             step: "logger",
-            logged_count: records.length,
+            logged_count: written.length,
             output_path: this.outputPath,
-            records: records,
+            records: written,
+            duplicates: duplicates,
             meta: {
                 timestamp: Date.now(),
                 provenance: ["logger_v1"]
@@ -475,44 +1411,167 @@ class Logger {
 // ===================================================================
 class AfropairPipeline {
     constructor(config = {}) {
+        // Resolve the language pair from config/<lang>.json
+        // direction: "reverse" translates tgtLang -> srcLang with the same dictionary and corpus
+        if (config.direction && !['forward', 'reverse'].includes(config.direction)) {
+            throw new Error(`Unknown direction: ${config.direction} (expected forward or reverse)`);
+        }
+        const [srcLang, tgtLang] = config.direction === 'reverse'
+            ? [config.tgtLang || 'mos', config.srcLang || 'fr']
+            : [config.srcLang || 'fr', config.tgtLang || 'mos'];
+        this.languages = config.languages || new LanguageRegistry(config.configDir);
+        this.pair = this.languages.pair(srcLang, tgtLang);
+        this.direction = this.pair.reversed ? 'reverse' : 'forward';
+
         this.config = {
-            dictPath: config.dictPath || './data/fr_mos_dict.tsv',
-            corpusPath: config.corpusPath || './data/fr_mos_corpus.jsonl',
-            outputPath: config.outputPath || './output/translations.jsonl',
-            ...config
+            ...config,
+            direction: 'forward', // already applied: srcLang/tgtLang below are the translation direction
+            srcLang: this.pair.src.code,
+            tgtLang: this.pair.tgt.code,
+            dictPath: config.dictPath || this.pair.dictPath,
+            corpusPath: config.corpusPath || this.pair.corpusPath,
+            outputPath: config.outputPath || './output/translations.jsonl'
         };
 
         // Initialize modules
         this.splitter = Splitter;
-        this.dictLookup = new DictionaryLookup(this.config.dictPath);
-        this.corpusRetriever = new CorpusRetriever(this.config.corpusPath);
-        this.referee = new Referee();
-        this.scorer = new Scorer();
-        this.logger = new Logger(this.config.outputPath);
+        this.dictLookup = new DictionaryLookup(this.config.dictPath, this.pair);
+        // Optional semantic retrieval: config.embedding = { provider, model, cacheDir, ... } or an Embedding instance,
+        // config.vectorStore = { type, path, ... } or a VectorStore instance (default: in-memory file store)
+        let embedding = null;
+        let vectorStore = null;
+        if (this.config.embedding) {
+            const settings = this.config.embedding;
+            embedding = settings instanceof Embedding ? settings : new Embedding(settings.provider, settings.model, settings);
+        }
+        if (embedding && this.config.vectorStore) {
+            const settings = this.config.vectorStore;
+            vectorStore = settings instanceof VectorStore
+                ? settings
+                : new VectorStore(settings.type || 'file', { metric: 'cosine', ...settings });
+        }
+        this.corpusRetriever = new CorpusRetriever(this.config.corpusPath, this.pair, {
+            indexPath: this.config.corpusIndexPath,
+            minSimilarity: this.config.minCorpusSimilarity,
+            embedding,
+            vectorStore,
+            minSemantic: this.config.minSemanticSimilarity
+        });
+        // Optional LLM stage: config.llm = { provider, model, fewShot, paraphrases, confidence, ... } or a Model instance
+        this.llmAugmenter = null;
+        if (this.config.llm) {
+            const llm = this.config.llm;
+            const model = llm instanceof Model ? llm : new Model(llm.provider, llm.model, llm);
+            this.llmAugmenter = new LLMAugmenter(model, this.pair, llm instanceof Model ? {} : llm);
+        }
+        this.referee = new Referee({ dictLookup: this.dictLookup, pair: this.pair, corpusRetriever: this.corpusRetriever });
+        // Optional judge stage: config.judge = { provider, model, cachePath, weight, ... } or a Model instance
+        this.validator = null;
+        if (this.config.judge) {
+            const judge = this.config.judge;
+            const model = judge instanceof Model ? judge : new Model(judge.provider, judge.model, judge);
+            this.validator = new Validator(model, this.pair, {
+                ...(judge instanceof Model ? {} : judge),
+                cachePath: judge.cachePath || path.join(path.dirname(this.config.outputPath), 'judge_cache.json')
+            });
+        }
+        // Optional alignment scoring: config.alignment = { embedding, k, minMargin, minCosine }, or true to reuse config.embedding.
+        // The encoder must be multilingual; neighbour pools are the two sides of the corpus.
+        this.alignmentScorer = null;
+        const alignment = this.config.alignment === true ? {} : this.config.alignment;
+        if (alignment) {
+            let encoder = alignment.embedding ? alignment.embedding : embedding;
+            if (encoder && !(encoder instanceof Embedding)) {
+                encoder = new Embedding(encoder.provider, encoder.model, encoder);
+            }
+            if (!encoder) {
+                throw new Error('Alignment scoring needs an embedding (config.alignment.embedding or config.embedding)');
+            }
+            this.alignmentScorer = new AlignmentScorer(encoder, alignment);
+        }
+        this.scorer = new Scorer({
+            judgeWeight: this.config.judge && this.config.judge.weight,
+            alignment: this.alignmentScorer,
+            minMargin: alignment && alignment.minMargin,
+            minCosine: alignment && alignment.minCosine
+        });
+        // Dedup guard before the Logger, on by default: config.dedup = { on, threshold, ... }, or false to log every record
+        const dedup = this.config.dedup === undefined ? {} : this.config.dedup;
+        this.logger = new Logger(this.config.outputPath, {
+            dedup: dedup ? new Deduplicator({ on: 'pair', ...(dedup === true ? {} : dedup) }) : null
+        });
     }
 
-    async translateSentence(frenchSentence, options = {}) {
+    async alignDocuments(srcText, tgtText, options = {}) {
+        // Dictionary anchors follow the pipeline direction, so reversed pairs align too
+        const aligner = new DocumentAligner(this.pair, { dictLookup: this.dictLookup, ...options });
+        const result = await aligner.align(srcText, tgtText);
+        return { ...result, entries: aligner.toCorpus(result, options) };
+    }
+
+    async prepareAlignment() {
+        if (!this.alignmentScorer || this.alignmentReady) return;
+
+        await this.corpusRetriever.loadCorpus();
+        const corpus = this.corpusRetriever.corpus;
+        await this.alignmentScorer.setNeighbours(corpus.map(entry => entry.src), corpus.map(entry => entry.tgt));
+        this.alignmentReady = true;
+    }
+
+    reverse() {
+        return new AfropairPipeline({
+            ...this.config,
+            languages: this.languages,
+            srcLang: this.config.tgtLang,
+            tgtLang: this.config.srcLang
+        });
+    }
+
+    async roundTrip(sentence, options = {}) {
+        const forward = await this.translateSentence(sentence, options);
+        if (!forward.success) return { success: false, forward };
+
+        const backward = await this.reverse().translateSentence(forward.translation, options);
+        if (!backward.success) return { success: false, forward, backward };
+
+        // Scored like a corpus match of the input against its back-translation
+        await this.corpusRetriever.loadCorpus();
+        const similarity = this.corpusRetriever.similarity(sentence, backward.translation);
+
+        return {
+            success: true,
+            src: sentence,
+            translation: forward.translation,
+            back_translation: backward.translation,
+            round_trip_similarity: similarity,
+            forward,
+            backward
+        };
+    }
+
+    async translateSentence(sentence, options = {}) {
         const startTime = Date.now();
         const translationId = uuidv4();
         
         console.log(`\n=== Translation Pipeline Started ===`);
         console.log(`ID: ${translationId}`);
-        console.log(`Input: "${frenchSentence}"`);
+        console.log(`Pair: ${this.pair.key}`);
+        console.log(`Input: "${sentence}"`);
 
         try {
             // Initialize pipeline context
             let context = {
                 id: translationId,
-                src_lang: "fr",
-                tgt_lang: "mos",
-                src: frenchSentence,
+                src_lang: this.config.srcLang,
+                tgt_lang: this.config.tgtLang,
+                src: sentence,
                 step: "init",
                 ...options
             };
 
             // 1. Splitter
             console.log(`\n1. Running Splitter...`);
-            const splitResult = await this.splitter.process(context);
+            const splitResult = await this.splitter.process(context, this.pair.src);
             context = { ...context, ...splitResult };
             console.log(`   Found ${splitResult.segments.length} segments`);
 
@@ -529,14 +1588,33 @@ class AfropairPipeline {
             const totalMatches = corpusResult.corpus_results.reduce((sum, r) => sum + r.matches.length, 0);
             console.log(`   Found ${totalMatches} corpus matches`);
 
+            // 3b. LLM Augmenter (optional)
+            if (this.llmAugmenter) {
+                console.log(`\n3b. Running LLM Augmenter...`);
+                const llmResult = await this.llmAugmenter.process(context);
+                context = { ...context, ...llmResult };
+                const llmCandidates = llmResult.llm_results.reduce((sum, r) => sum + r.candidates.length, 0);
+                console.log(`   Generated ${llmCandidates} LLM candidates`);
+            }
+
             // 4. Referee
             console.log(`\n4. Running Referee...`);
             const refereeResult = await this.referee.process(context);
             context = { ...context, ...refereeResult };
             console.log(`   Selected best translations for ${refereeResult.final_results.length} segments`);
 
+            // 4b. Validator (optional, skipped with { validate: false })
+            if (this.validator && options.validate !== false) {
+                console.log(`\n4b. Running Validator...`);
+                const validatorResult = await this.validator.process(context);
+                context = { ...context, ...validatorResult };
+                const judged = validatorResult.validations.filter(v => v.verdict).length;
+                console.log(`   Judged ${judged} segments (${validatorResult.meta.cached} from cache)`);
+            }
+
             // 5. Scorer
             console.log(`\n5. Running Scorer...`);
+            await this.prepareAlignment();
             const scorerResult = await this.scorer.process(context);
             context = { ...context, ...scorerResult };
             const avgConfidence = scorerResult.scored_results.reduce((sum, r) => sum + r.composite_confidence, 0) / scorerResult.scored_results.length;
@@ -552,15 +1630,18 @@ class AfropairPipeline {
 
             console.log(`\n=== Translation Pipeline Complete ===`);
             console.log(`Duration: ${duration}ms`);
-            console.log(`Final Translation: "${logResult.records[0]?.tgt || 'ERROR'}"`);
+            // Taken from the scored results: a duplicate of an earlier record is translated but not logged again
+            const translation = scorerResult.scored_results[0]?.final || '';
+            console.log(`Final Translation: "${translation || 'ERROR'}"`);
             console.log(`Confidence: ${(avgConfidence * 100).toFixed(1)}%`);
 
             return {
                 success: true,
-                translation: logResult.records[0]?.tgt || '',
+                translation,
                 confidence: avgConfidence,
                 duration: duration,
                 records: logResult.records,
+                duplicates: logResult.duplicates,
                 context: context
             };
 
@@ -576,16 +1657,16 @@ class AfropairPipeline {
         }
     }
 
-    async batchTranslate(frenchSentences, options = {}) {
+    async batchTranslate(sentences, options = {}) {
         console.log(`\n=== Batch Translation Started ===`);
-        console.log(`Processing ${frenchSentences.length} sentences`);
+        console.log(`Processing ${sentences.length} sentences`);
         
         const results = [];
         let successCount = 0;
         
-        for (let i = 0; i < frenchSentences.length; i++) {
-            const sentence = frenchSentences[i];
-            console.log(`\n--- Sentence ${i + 1}/${frenchSentences.length} ---`);
+        for (let i = 0; i < sentences.length; i++) {
+            const sentence = sentences[i];
+            console.log(`\n--- Sentence ${i + 1}/${sentences.length} ---`);
             
             const result = await this.translateSentence(sentence, options);
             results.push(result);
@@ -596,14 +1677,201 @@ class AfropairPipeline {
         }
         
         console.log(`\n=== Batch Complete ===`);
-        console.log(`Success: ${successCount}/${frenchSentences.length}`);
+        console.log(`Success: ${successCount}/${sentences.length}`);
         
         return {
-            total: frenchSentences.length,
+            total: sentences.length,
+            successful: successCount,
+            results: results
+        };
+    }
+
+    // Translates every paragraph of a document loaded from sources/, keeping its provenance on the records
+    async translateDocument(document, options = {}) {
+        console.log(`\n=== Document Translation Started ===`);
+        console.log(`Document: ${document.path} (${document.paragraphs.length} paragraphs)`);
+
+        const results = [];
+        let successCount = 0;
+
+        for (let i = 0; i < document.paragraphs.length; i++) {
+            const paragraph = document.paragraphs[i];
+            console.log(`\n--- Paragraph ${i + 1}/${document.paragraphs.length} ---`);
+
+            const result = await this.translateSentence(paragraph.text, { ...options, provenance: paragraph.provenance });
+            results.push(result);
+
+            if (result.success) {
+                successCount++;
+            }
+        }
+
+        console.log(`\n=== Document Complete ===`);
+        console.log(`Success: ${successCount}/${document.paragraphs.length}`);
+
+        return {
+            document: document.path,
+            total: document.paragraphs.length,
             successful: successCount,
             results: results
         };
     }
+
+    // Dictionary-format files for entries awaiting review sit next to the dictionary: <dict>_<suffix>.tsv
+    sidecarPath(suffix) {
+        const dictPath = this.dictLookup.store.dictPath;
+        return path.join(path.dirname(dictPath), `${path.basename(dictPath, path.extname(dictPath))}_${suffix}.tsv`);
+    }
+
+    async openSidecarDictionary(filePath) {
+        const store = this.dictLookup.store;
+        await store.load();
+        const sidecar = new Dictionary(filePath, { language: store.language, srcCode: store.srcCode, tgtCode: store.tgtCode, columns: store.columns });
+        await sidecar.load();
+        // A new file gets the dictionary's columns, so it can be ingested into it as-is
+        if (!sidecar.exists) sidecar.setHeader([...store.header]);
+        return sidecar;
+    }
+
+    // Learns candidate word and phrase translations from the corpus (IBM Model 1, both directions) and writes the ones
+    // the dictionary lacks to <dict>_induced.tsv (options.outPath), marked origin "induced" for review.
+    // options: { iterations, minCount, minScore, maxPhrase, maxCandidates, outPath, replace }
+    async induceLexicon(options = {}) {
+        await this.corpusRetriever.loadCorpus();
+        const inducer = new LexiconInducer(this.pair, options);
+        const induced = inducer.induce(this.corpusRetriever.corpus);
+
+        const store = this.dictLookup.store;
+        const outPath = options.outPath || this.sidecarPath('induced');
+        const target = await this.openSidecarDictionary(outPath);
+        // Re-running replaces earlier induced entries; reviewed edits to other entries are kept
+        if (options.replace !== false && target.query({ origin: 'induced' }).length > 0) {
+            target.delete({ origin: 'induced' });
+        }
+
+        let added = 0;
+        let known = 0;
+        for (const candidate of induced) {
+            // The TSV is stored in resource direction; a reversed pipeline reads its columns the other way round
+            const entry = this.pair.reversed ? { ...candidate, src: candidate.tgt, tgt: candidate.src } : candidate;
+            if (store.query({ src: entry.src, tgt: entry.tgt }).length > 0) {
+                known++;
+                continue;
+            }
+            if (target.query({ src: entry.src, tgt: entry.tgt }).length > 0) continue;
+            target.add({ ...entry, origin: 'induced' });
+            added++;
+        }
+        await target.save();
+
+        return {
+            step: "lexicon_induction",
+            corpus_pairs: this.corpusRetriever.corpus.length,
+            candidates: induced.length,
+            known,
+            added,
+            out_path: outPath
+        };
+    }
+
+    // Picks up dictionary and corpus changes made on disk without building a new pipeline
+    async reload() {
+        await this.dictLookup.reload();
+        await this.corpusRetriever.reload();
+        this.alignmentReady = false;
+    }
+
+    // Feeds validated records back into the resources: every promoted record becomes a corpus pair, and short ones
+    // (up to options.maxPhraseWords words on both sides) become dictionary entries, written to a proposals TSV for
+    // lexicographers (options.dictionary = "propose", default) or straight into the dictionary ("merge"), or skipped (false).
+    async promote(records, options = {}) {
+        const statuses = new Set(options.statuses || ['auto_accepted', 'human_accepted']);
+        const maxPhraseWords = options.maxPhraseWords || 3;
+        const dictionaryMode = options.dictionary === undefined ? 'propose' : options.dictionary;
+        const { srcLang, tgtLang } = this.config;
+
+        // Reviewed records appear once per version; only the current one counts
+        const promoted = latestVersions(records).filter(record =>
+            statuses.has(record.status) &&
+            record.src && record.tgt && !record.tgt.includes('<UNK:') &&
+            ((record.src_lang === srcLang && record.tgt_lang === tgtLang) ||
+             (record.src_lang === tgtLang && record.tgt_lang === srcLang)));
+
+        const oriented = promoted.map(record => {
+            const forward = record.src_lang === srcLang;
+            return { record, src: forward ? record.src : record.tgt, tgt: forward ? record.tgt : record.src };
+        });
+
+        // 1. Corpus pairs, with where they came from and who accepted them
+        const { src: srcKey, tgt: tgtKey } = this.pair.columns.corpus;
+        const corpusEntries = oriented.map(({ record, src, tgt }) => ({
+            [srcKey]: src,
+            [tgtKey]: tgt,
+            source: options.source || 'promoted',
+            sim: 1.0,
+            promotion: {
+                record_id: record.id,
+                status: record.status,
+                confidence: record.confidence,
+                ...(record.review ? { reviewer: record.review.reviewer } : {})
+            },
+            ...(record.provenance ? { provenance: record.provenance } : {})
+        }));
+        const corpusAdded = await this.corpusRetriever.appendEntries(corpusEntries);
+
+        // 2. Dictionary entries for single words and short phrases
+        const store = this.dictLookup.store;
+        const proposalsPath = options.proposalsPath || this.sidecarPath('proposals');
+        const wordCount = (text, language) => createTokenizer(language).tokenize(text).length;
+        const trimPunctuation = text => text.replace(/^[\p{P}\s]+|[\p{P}\s]+$/gu, '');
+
+        let dictionaryAdded = 0;
+        if (dictionaryMode) {
+            await store.load();
+            const target = dictionaryMode === 'merge' ? store : await this.openSidecarDictionary(proposalsPath);
+
+            for (const { record, src, tgt } of oriented) {
+                const words = [wordCount(src, this.pair.src), wordCount(tgt, this.pair.tgt)];
+                if (words.some(count => count === 0 || count > maxPhraseWords)) continue;
+
+                // The TSV is stored in resource direction; a reversed pipeline reads its columns the other way round
+                const [entrySrc, entryTgt] = this.pair.reversed
+                    ? [trimPunctuation(tgt), trimPunctuation(src)]
+                    : [trimPunctuation(src), trimPunctuation(tgt)];
+                if (!entrySrc || !entryTgt) continue;
+                if (store.query({ src: entrySrc, tgt: entryTgt }).length > 0) continue;
+                if (target !== store && target.query({ src: entrySrc, tgt: entryTgt }).length > 0) continue;
+
+                target.add({
+                    src: entrySrc,
+                    tgt: entryTgt,
+                    // A reviewer's decision outweighs the score the pipeline gave before review
+                    score: record.status === 'human_accepted' ? 1.0 : Math.round(record.confidence * 1000) / 1000,
+                    origin: 'promoted',
+                    record_id: record.id,
+                    ...(record.review ? { reviewer: record.review.reviewer } : {})
+                });
+                dictionaryAdded++;
+            }
+            if (dictionaryAdded > 0) await target.save();
+        }
+
+        // 3. The running pipeline sees the new pairs and entries right away
+        if (corpusAdded > 0 || (dictionaryMode === 'merge' && dictionaryAdded > 0)) {
+            await this.reload();
+        }
+
+        return {
+            step: "promotion",
+            considered: records.length,
+            promoted: promoted.length,
+            corpus_added: corpusAdded,
+            corpus_path: this.config.corpusPath,
+            dictionary_mode: dictionaryMode || 'off',
+            dictionary_added: dictionaryAdded,
+            dictionary_path: dictionaryMode === 'merge' ? store.dictPath : dictionaryMode ? proposalsPath : null
+        };
+    }
 }
 
 // ===================================================================
@@ -655,7 +1923,9 @@ module.exports = {
     Splitter,
     DictionaryLookup,
     CorpusRetriever,
+    LLMAugmenter,
     Referee,
+    Validator,
     Scorer,
     Logger,
     runTestHarness
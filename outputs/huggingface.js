@@ -0,0 +1,123 @@
+/*
+* This is the Hugging Face exporter. It writes a directory that can be pushed as-is to the Hub or loaded with datasets.load_dataset(dir):
+* - data/train.jsonl: one row per pair in the datasets "translation" layout, { id, translation: { fr, mos }, confidence, status, source, origin }
+* - README.md: the dataset card, with the YAML metadata the Hub reads (languages, license, task, size, data files)
+*   and a short summary of where the pairs come from.
+* Example usage:
+* await new HuggingFaceExporter({ name: 'afropairs-fr-mos', license: 'cc-by-4.0' }).write(records, './output/hf');
+* // then: datasets.load_dataset('./output/hf')['train'][0]['translation'] -> { 'fr': '...', 'mos': '...' }
+*/
+const fs = require('fs').promises;
+const path = require('path');
+const { toRow } = require('./schema');
+
+const DATA_FILE = 'data/train.jsonl';
+
+function sizeCategory(count) {
+    if (count < 1000) return 'n<1K';
+    if (count < 10000) return '1K<n<10K';
+    if (count < 100000) return '10K<n<100K';
+    if (count < 1000000) return '100K<n<1M';
+    return '1M<n<10M';
+}
+
+class HuggingFaceExporter {
+    constructor(options = {}) {
+        this.name = options.name || null;
+        this.srcLang = options.srcLang;
+        this.tgtLang = options.tgtLang;
+        this.license = options.license || 'other';
+        this.filters = options.filters || {};
+        this.now = options.now || Date.now();
+    }
+
+    toRow(record) {
+        const row = toRow(record);
+        return {
+            id: row.id,
+            translation: { [row.src_lang]: row.src, [row.tgt_lang]: row.tgt },
+            confidence: row.confidence,
+            status: row.status,
+            source: row.source,
+            origin: row.origin
+        };
+    }
+
+    card(records) {
+        const first = records[0] || {};
+        const srcLang = this.srcLang || first.src_lang || 'und';
+        const tgtLang = this.tgtLang || first.tgt_lang || 'und';
+        const name = this.name || `afropairs-${srcLang}-${tgtLang}`;
+
+        const tally = field => {
+            const counts = new Map();
+            for (const row of records.map(toRow)) {
+                const key = row[field] === null ? '(none)' : row[field];
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+            return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([key, count]) => `| ${key} | ${count} |`);
+        };
+        const meanConfidence = records.length > 0
+            ? records.reduce((sum, record) => sum + (record.confidence || 0), 0) / records.length
+            : 0;
+        const filters = Object.entries(this.filters)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : value}`);
+
+        return [
+            '---',
+            'language:',
+            `- ${srcLang}`,
+            `- ${tgtLang}`,
+            `license: ${this.license}`,
+            'task_categories:',
+            '- translation',
+            'size_categories:',
+            `- ${sizeCategory(records.length)}`,
+            'configs:',
+            '- config_name: default',
+            '  data_files:',
+            '  - split: train',
+            `    path: ${DATA_FILE}`,
+            '---',
+            '',
+            `# ${name}`,
+            '',
+            `${srcLang} → ${tgtLang} sentence pairs produced by the afropairs pipeline (dictionary, corpus retrieval and optional LLM stages, then scored).`,
+            `Exported on ${new Date(this.now).toISOString().slice(0, 10)}${filters.length > 0 ? ` with filters: ${filters.join(', ')}` : ''}.`,
+            '',
+            '## Fields',
+            '',
+            `- \`translation\`: \`{ "${srcLang}": ..., "${tgtLang}": ... }\``,
+            '- `confidence`: composite score from the Scorer, 0 to 1',
+            '- `status`: `auto_accepted`, `review_recommended` or `manual_review_required`; `human_accepted` or `human_rejected` after review',
+            '- `source`: pipeline stage that produced the translation (`corpus`, `corpus_patched`, `dictionary`, `llm`)',
+            '- `origin`: document the source text was loaded from, if any',
+            '',
+            '## Statistics',
+            '',
+            `${records.length} pairs, mean confidence ${meanConfidence.toFixed(3)}.`,
+            '',
+            '| status | pairs |',
+            '| --- | --- |',
+            ...tally('status'),
+            '',
+            '| source | pairs |',
+            '| --- | --- |',
+            ...tally('source'),
+            ''
+        ].join('\n');
+    }
+
+    async write(records, targetDir) {
+        const dataPath = path.join(targetDir, DATA_FILE);
+        await fs.mkdir(path.dirname(dataPath), { recursive: true });
+
+        const lines = records.map(record => JSON.stringify(this.toRow(record)));
+        await fs.writeFile(dataPath, lines.join('\n') + (lines.length > 0 ? '\n' : ''));
+        await fs.writeFile(path.join(targetDir, 'README.md'), this.card(records));
+        return targetDir;
+    }
+}
+
+module.exports = { HuggingFaceExporter };
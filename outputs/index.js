@@ -0,0 +1,108 @@
+/*
+* This is the outputs subsystem. It turns the records logged by the pipeline into datasets, and is the counterpart of sources/.
+* In a standard Afropair pipeline, this runs after translation: records are filtered (status, confidence, producing stage or document,
+* alignment margin) and written in one of the formats registered in EXPORTERS:
+* - "jsonl": full records           - "json": grouped { lang_from, lang_to, source, pairs } shape from the readme
+* - "csv": universal schema rows    - "parquet": universal schema rows (parquetjs-lite), file only
+* - "tmx": TMX 1.4 translation memory
+* - "hf": Hugging Face datasets directory (data/train.jsonl + README.md dataset card), directory only
+* Text exporters have serialize(records) and can go to stdout; binary and directory exporters only have write(records, target).
+* The universal schema is described in outputs/schema.js.
+* Example usage:
+* const records = filterRecords(loggedRecords, { status: ['auto_accepted'], minConfidence: 0.8 });
+* await exportRecords(records, 'hf', { out: './output/hf', license: 'cc-by-4.0' });
+*/
+const fs = require('fs').promises;
+const path = require('path');
+const { JsonlExporter, GroupedJsonExporter, CsvExporter } = require('./text');
+const { TmxExporter } = require('./tmx');
+const { ParquetExporter } = require('./parquet');
+const { HuggingFaceExporter } = require('./huggingface');
+const { ROW_COLUMNS, toRow, recordSource, recordOrigin } = require('./schema');
+
+const EXPORTERS = {
+    jsonl: JsonlExporter,
+    json: GroupedJsonExporter,
+    csv: CsvExporter,
+    parquet: ParquetExporter,
+    tmx: TmxExporter,
+    hf: HuggingFaceExporter
+};
+
+function registerExporter(format, Exporter) {
+    EXPORTERS[format] = Exporter;
+}
+
+function exporterFor(format, options = {}) {
+    const Exporter = EXPORTERS[format];
+    if (!Exporter) {
+        throw new Error(`Unknown export format "${format}" (supported: ${Object.keys(EXPORTERS).join(', ')})`);
+    }
+    return new Exporter(options);
+}
+
+// filters: { status: ['auto_accepted'], minConfidence: 0.8, source: ['llm', 'guide_sante.pdf'], minMargin: 1.05 }
+// source matches the stage that produced the translation or the file name of the document it came from.
+// Records a reviewer rejected and translations with untranslated words (<UNK:...>) are not dataset material: they are left out
+// unless filters.includeRejected / filters.includeUnknown is set, or their status is asked for explicitly.
+function filterRecords(records, filters = {}) {
+    const statuses = filters.status && filters.status.length > 0 ? new Set(filters.status) : null;
+    const sources = filters.source && filters.source.length > 0 ? new Set(filters.source) : null;
+
+    return records.filter(record => {
+        if (statuses && !statuses.has(record.status)) return false;
+        if (!statuses && !filters.includeRejected && record.status === 'human_rejected') return false;
+        if (!filters.includeUnknown && String(record.tgt || '').includes('<UNK:')) return false;
+        if (filters.minConfidence !== undefined && !((record.confidence || 0) >= filters.minConfidence)) return false;
+        if (sources) {
+            const origin = recordOrigin(record);
+            if (!sources.has(recordSource(record)) && !(origin && (sources.has(origin) || sources.has(path.basename(origin))))) {
+                return false;
+            }
+        }
+        if (filters.minMargin !== undefined) {
+            // Records scored without alignment have no margin and are kept
+            const margin = record.features && record.features.alignment_margin;
+            if (margin !== undefined && margin !== null && margin < filters.minMargin) return false;
+        }
+        return true;
+    });
+}
+
+// Returns { format, exported, out } and, for text formats without options.out, the serialized content
+async function exportRecords(records, format, options = {}) {
+    const exporter = exporterFor(format, options);
+    const summary = { format, exported: records.length, out: options.out || null };
+
+    if (typeof exporter.serialize !== 'function') {
+        if (!options.out) {
+            throw new Error(`The "${format}" format cannot be written to stdout; give an output path`);
+        }
+        await exporter.write(records, options.out);
+        return summary;
+    }
+
+    const content = exporter.serialize(records);
+    if (!options.out) {
+        return { ...summary, content };
+    }
+    await fs.mkdir(path.dirname(options.out), { recursive: true });
+    await fs.writeFile(options.out, content);
+    return summary;
+}
+
+module.exports = {
+    EXPORTERS,
+    ROW_COLUMNS,
+    registerExporter,
+    exporterFor,
+    filterRecords,
+    exportRecords,
+    toRow,
+    JsonlExporter,
+    GroupedJsonExporter,
+    CsvExporter,
+    TmxExporter,
+    ParquetExporter,
+    HuggingFaceExporter
+};
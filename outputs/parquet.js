@@ -0,0 +1,52 @@
+/*
+* This is the Parquet exporter. It writes universal schema rows (outputs/schema.js) to a Parquet file with parquetjs-lite,
+* the columnar format most training stacks (pandas, Polars, Hugging Face datasets, Spark) read natively.
+* Parquet is binary, so it can only be written to a file.
+* Example usage:
+* await new ParquetExporter().write(records, './output/fr_mos.parquet');
+*/
+const fs = require('fs').promises;
+const path = require('path');
+const { toRow } = require('./schema');
+
+const PARQUET_SCHEMA = {
+    id: { type: 'UTF8' },
+    src_lang: { type: 'UTF8' },
+    tgt_lang: { type: 'UTF8' },
+    src: { type: 'UTF8' },
+    tgt: { type: 'UTF8' },
+    confidence: { type: 'DOUBLE' },
+    status: { type: 'UTF8' },
+    source: { type: 'UTF8' },
+    origin: { type: 'UTF8', optional: true },
+    // Epoch milliseconds, as logged and as in the CSV and JSONL exports
+    timestamp: { type: 'INT64', optional: true }
+};
+
+class ParquetExporter {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    async write(records, targetPath) {
+        const parquet = require('parquetjs-lite');
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+
+        const writer = await parquet.ParquetWriter.openFile(new parquet.ParquetSchema(PARQUET_SCHEMA), targetPath);
+        try {
+            for (const record of records) {
+                const row = toRow(record);
+                // Optional columns are left out rather than written as null
+                for (const column of ['origin', 'timestamp']) {
+                    if (row[column] === null || row[column] === undefined) delete row[column];
+                }
+                await writer.appendRow(row);
+            }
+        } finally {
+            await writer.close();
+        }
+        return targetPath;
+    }
+}
+
+module.exports = { ParquetExporter, PARQUET_SCHEMA };
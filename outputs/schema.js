@@ -0,0 +1,37 @@
+/*
+* This is the universal pair schema shared by the exporters. Logged records carry everything the pipeline knew (candidates,
+* features, word links); datasets only need a flat, stable row:
+* { id, src_lang, tgt_lang, src, tgt, confidence, status, source, origin, timestamp }
+* - source: which stage produced the selected translation (corpus, corpus_patched, dictionary, llm)
+* - origin: where the source text came from (the document of its provenance), or null for typed-in sentences
+* Example usage:
+* const row = toRow(record);
+* console.log(row); // Outputs: { id: '...', src_lang: 'fr', tgt_lang: 'mos', src: 'Je vais au marché.', tgt: 'N zɩ̀ nà zaabā.', confidence: 1, ... }
+*/
+const ROW_COLUMNS = ['id', 'src_lang', 'tgt_lang', 'src', 'tgt', 'confidence', 'status', 'source', 'origin', 'timestamp'];
+
+// Candidates are sorted by confidence, so the first one is the selected translation
+function recordSource(record) {
+    return record.candidates && record.candidates.length > 0 ? record.candidates[0].source : 'none';
+}
+
+function recordOrigin(record) {
+    return record.provenance && record.provenance.document ? record.provenance.document : null;
+}
+
+function toRow(record) {
+    return {
+        id: record.id,
+        src_lang: record.src_lang,
+        tgt_lang: record.tgt_lang,
+        src: record.src,
+        tgt: record.tgt,
+        confidence: record.confidence,
+        status: record.status,
+        source: recordSource(record),
+        origin: recordOrigin(record),
+        timestamp: record.timestamp
+    };
+}
+
+module.exports = { ROW_COLUMNS, toRow, recordSource, recordOrigin };
@@ -0,0 +1,61 @@
+/*
+* These are the text exporters: JSONL, grouped JSON and CSV. Each one turns logged records into a string with serialize(records).
+* - "jsonl": the full logged records, one per line (candidates, features and word links included)
+* - "json": the grouped shape from the readme, { lang_from, lang_to, source, pairs: [{ text_fr, text_mos }] }
+* - "csv": universal schema rows (outputs/schema.js), RFC 4180 quoting
+* Example usage:
+* const csv = new CsvExporter().serialize(records);
+*/
+const { ROW_COLUMNS, toRow } = require('./schema');
+
+class JsonlExporter {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    serialize(records) {
+        return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+    }
+}
+
+class GroupedJsonExporter {
+    constructor(options = {}) {
+        this.srcLang = options.srcLang;
+        this.tgtLang = options.tgtLang;
+        this.source = options.datasetSource || null;
+    }
+
+    serialize(records) {
+        const srcLang = this.srcLang || (records[0] && records[0].src_lang);
+        const tgtLang = this.tgtLang || (records[0] && records[0].tgt_lang);
+        return JSON.stringify({
+            lang_from: srcLang,
+            lang_to: tgtLang,
+            source: this.source,
+            pairs: records.map(record => ({
+                [`text_${srcLang}`]: record.src,
+                [`text_${tgtLang}`]: record.tgt
+            }))
+        }, null, 2) + '\n';
+    }
+}
+
+class CsvExporter {
+    constructor(options = {}) {
+        this.columns = options.columns || ROW_COLUMNS;
+    }
+
+    serialize(records) {
+        const escape = value => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const lines = [this.columns.join(',')];
+        for (const row of records.map(toRow)) {
+            lines.push(this.columns.map(column => escape(row[column])).join(','));
+        }
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = { JsonlExporter, GroupedJsonExporter, CsvExporter };
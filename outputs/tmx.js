@@ -0,0 +1,62 @@
+/*
+* This is the TMX exporter. It writes logged records as a TMX 1.4 translation memory that CAT tools (OmegaT, Trados, memoQ) can import.
+* Each record becomes a <tu> with one <tuv> per language; the record id, confidence, status and producing stage are kept as <prop>s,
+* and the origin document as a "x-origin" prop when the text came from a loaded source.
+* Example usage:
+* const tmx = new TmxExporter({ srcLang: 'fr' }).serialize(records);
+*/
+const { toRow } = require('./schema');
+
+function escapeXml(text) {
+    return String(text)
+        // Characters that are not allowed in XML 1.0 at all
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// TMX dates are ISO 8601 basic format in UTC: 20240131T094512Z
+function tmxDate(timestamp) {
+    return new Date(timestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+class TmxExporter {
+    constructor(options = {}) {
+        this.srcLang = options.srcLang;
+        this.now = options.now || Date.now();
+    }
+
+    serialize(records) {
+        const srcLang = this.srcLang || (records[0] && records[0].src_lang) || 'und';
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<!DOCTYPE tmx SYSTEM "tmx14.dtd">',
+            '<tmx version="1.4">',
+            `  <header creationtool="afropairs" creationtoolversion="1" datatype="plaintext" segtype="sentence" adminlang="en" srclang="${escapeXml(srcLang)}" o-tmf="afropairs-jsonl" creationdate="${tmxDate(this.now)}"/>`,
+            '  <body>'
+        ];
+
+        for (const record of records) {
+            const row = toRow(record);
+            const date = row.timestamp ? ` creationdate="${tmxDate(row.timestamp)}"` : '';
+            lines.push(`    <tu tuid="${escapeXml(row.id)}"${date}>`);
+            // Records without a usable confidence get no prop rather than "NaN"
+            if (typeof row.confidence === 'number' && Number.isFinite(row.confidence)) {
+                lines.push(`      <prop type="x-confidence">${row.confidence.toFixed(4)}</prop>`);
+            }
+            lines.push(`      <prop type="x-status">${escapeXml(row.status)}</prop>`);
+            lines.push(`      <prop type="x-source">${escapeXml(row.source)}</prop>`);
+            if (row.origin) lines.push(`      <prop type="x-origin">${escapeXml(row.origin)}</prop>`);
+            lines.push(`      <tuv xml:lang="${escapeXml(row.src_lang)}"><seg>${escapeXml(row.src)}</seg></tuv>`);
+            lines.push(`      <tuv xml:lang="${escapeXml(row.tgt_lang)}"><seg>${escapeXml(row.tgt)}</seg></tuv>`);
+            lines.push('    </tu>');
+        }
+
+        lines.push('  </body>', '</tmx>');
+        return lines.join('\n') + '\n';
+    }
+}
+
+module.exports = { TmxExporter, escapeXml };
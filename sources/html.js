@@ -0,0 +1,81 @@
+/*
+* This is the HTML source loader. It extracts readable paragraphs from saved web pages (.html, .htm) without a browser or DOM library.
+* Scripts, styles, navigation, headers, footers and comments are dropped. Block elements (p, div, li, h1-h6, td...) end a paragraph,
+* <br> breaks a line inside it, and source whitespace is collapsed as a browser would.
+* Entities (&eacute;, &#233;, &#xE9;) are decoded. The <title> and the <html lang> attribute are kept on the document.
+* Example usage:
+* const document = await new HtmlLoader().load('./sources/ministere/communique.html');
+* console.log(document.title, document.paragraphs.length); // Outputs: "Communiqué du ministère" 12
+*/
+const fs = require('fs').promises;
+const { cleanText } = require('./text');
+
+const DROPPED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'head', 'nav', 'header', 'footer', 'aside', 'form'];
+const BLOCK_ELEMENTS = [
+    'p', 'div', 'section', 'article', 'main', 'blockquote', 'pre', 'li', 'ul', 'ol', 'dl', 'dt', 'dd',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'table', 'tr', 'td', 'th', 'caption', 'figcaption', 'hr'
+];
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0', laquo: '«', raquo: '»', hellip: '…',
+    ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', euro: '€', copy: '©',
+    agrave: 'à', acirc: 'â', ccedil: 'ç', eacute: 'é', egrave: 'è', ecirc: 'ê', euml: 'ë', icirc: 'î',
+    iuml: 'ï', ocirc: 'ô', ugrave: 'ù', ucirc: 'û', uuml: 'ü', oelig: 'œ', Agrave: 'À', Eacute: 'É',
+    Egrave: 'È', Ecirc: 'Ê', Ccedil: 'Ç', OElig: 'Œ'
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+        if (body[0] === '#') {
+            const code = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+            return Number.isFinite(code) && code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+        }
+        return NAMED_ENTITIES[body] !== undefined ? NAMED_ENTITIES[body] : entity;
+    });
+}
+
+class HtmlLoader {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    async load(filePath) {
+        return this.parse(await fs.readFile(filePath, 'utf-8'), filePath);
+    }
+
+    parse(html, filePath = 'inline') {
+        const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+        const langMatch = html.match(/<html[^>]*\slang=["']?([\w-]+)/i);
+
+        let body = html.replace(/<!--[\s\S]*?-->/g, '');
+        for (const element of DROPPED_ELEMENTS) {
+            body = body.replace(new RegExp(`<${element}\\b[\\s\\S]*?<\\/${element}>`, 'gi'), ' ');
+        }
+
+        // Block boundaries separate paragraphs, <br> breaks a line, other tags disappear
+        const blocks = new RegExp(`<\\/?(?:${BLOCK_ELEMENTS.join('|')})\\b[^>]*>`, 'gi');
+        const text = decodeEntities(body
+            .replace(/\s+/g, ' ')
+            .replace(/<br\b[^>]*>/gi, '\n')
+            .replace(blocks, '\u0000')
+            .replace(/<[^>]+>/g, ''));
+
+        const paragraphs = text
+            .split('\u0000')
+            .map(paragraph => cleanText(paragraph))
+            .filter(paragraph => paragraph.length > 0)
+            .map((paragraph, index) => ({
+                text: paragraph,
+                provenance: { document: filePath, paragraph: index + 1 }
+            }));
+
+        return {
+            path: filePath,
+            type: 'html',
+            title: titleMatch ? cleanText(decodeEntities(titleMatch[1].replace(/<[^>]+>/g, ''))) : null,
+            lang: langMatch ? langMatch[1] : null,
+            paragraphs
+        };
+    }
+}
+
+module.exports = { HtmlLoader, decodeEntities };
@@ -0,0 +1,108 @@
+/*
+* This is the sources subsystem. It loads local documents into a common shape so they can be translated or imported.
+* In a standard Afropair pipeline, this comes before the Splitter: every paragraph of a loaded document is translated with its provenance,
+* or the rows of a table are imported into the corpus or the dictionary.
+* Loaders are registered by file extension in LOADERS; each one has load(filePath) and a parse(content, filePath) that works on
+* in-memory content, so it can be checked against fixture files:
+* - .txt, .md: TextLoader          - .html, .htm: HtmlLoader
+* - .pdf: PdfLoader (pdf-parse)     - .docx: DocxLoader (mammoth)
+* - .csv, .tsv: CsvLoader
+* Every loader returns { path, type, title, paragraphs: [{ text, provenance: { document, page?, paragraph?, row?, line? } }] },
+* and tables also return { columns, rows: [{ values, provenance }] }. Loaders do not log: conversion problems come back as document.warnings.
+* Example usage:
+* const document = await loadSource('./sources/ministere/guide_sante.pdf');
+* await pipeline.translateDocument(document);
+* const pairs = toCorpusPairs(await loadSource('./sources/pairs.csv'), { srcColumn: 'fr', tgtColumn: 'mos' });
+*/
+const path = require('path');
+const { TextLoader } = require('./text');
+const { HtmlLoader } = require('./html');
+const { PdfLoader } = require('./pdf');
+const { DocxLoader } = require('./docx');
+const { CsvLoader } = require('./csv');
+
+const LOADERS = {
+    '.txt': TextLoader,
+    '.md': TextLoader,
+    '.html': HtmlLoader,
+    '.htm': HtmlLoader,
+    '.pdf': PdfLoader,
+    '.docx': DocxLoader,
+    '.csv': CsvLoader,
+    '.tsv': CsvLoader
+};
+
+function registerLoader(extension, Loader) {
+    LOADERS[extension.toLowerCase()] = Loader;
+}
+
+function loaderFor(filePath, options = {}) {
+    const extension = (options.type ? `.${options.type}` : path.extname(filePath)).toLowerCase();
+    const Loader = LOADERS[extension];
+    if (!Loader) {
+        throw new Error(`No source loader for "${extension}" (supported: ${Object.keys(LOADERS).join(', ')})`);
+    }
+    return new Loader(options);
+}
+
+async function loadSource(filePath, options = {}) {
+    return loaderFor(filePath, options).load(filePath);
+}
+
+function requireColumns(document, columns) {
+    if (!document.rows) {
+        throw new Error(`${document.path} is not a table; only CSV/TSV sources can be imported`);
+    }
+    for (const column of columns) {
+        if (!document.columns.includes(column)) {
+            throw new Error(`${document.path} has no column "${column}" (columns: ${document.columns.join(', ')})`);
+        }
+    }
+}
+
+// Rows of a table -> parallel pairs for the corpus
+function toCorpusPairs(document, options = {}) {
+    const { srcColumn = 'src', tgtColumn = 'tgt' } = options;
+    requireColumns(document, [srcColumn, tgtColumn]);
+
+    return document.rows
+        .filter(row => row.values[srcColumn] && row.values[tgtColumn])
+        .map(row => ({
+            src: row.values[srcColumn],
+            tgt: row.values[tgtColumn],
+            source: options.source || path.basename(document.path),
+            provenance: row.provenance
+        }));
+}
+
+// Rows of a table -> dictionary entries; columns maps entry fields to table columns, e.g. { src: 'fr', tgt: 'mos', pos: 'pos' }
+function toDictionaryEntries(document, columns = {}) {
+    const mapping = { src: 'src', tgt: 'tgt', ...columns };
+    requireColumns(document, [mapping.src, mapping.tgt]);
+
+    return document.rows
+        .filter(row => row.values[mapping.src] && row.values[mapping.tgt])
+        .map(row => {
+            const entry = {};
+            for (const [field, column] of Object.entries(mapping)) {
+                const value = row.values[column];
+                if (value === undefined || value === '') continue;
+                entry[field] = ['score', 'freq'].includes(field) ? parseFloat(value) : value;
+            }
+            return entry;
+        });
+}
+
+module.exports = {
+    LOADERS,
+    registerLoader,
+    loaderFor,
+    loadSource,
+    toCorpusPairs,
+    toDictionaryEntries,
+    TextLoader,
+    HtmlLoader,
+    PdfLoader,
+    DocxLoader,
+    CsvLoader
+};
@@ -0,0 +1,95 @@
+/*
+* This is the PDF source loader. It extracts text page by page from local PDF files with pdf-parse (pdf.js under the hood).
+* Text items are rebuilt into lines from their positions; a vertical gap clearly larger than the usual line spacing starts a new paragraph.
+* Layout line breaks are unwrapped and words hyphenated across lines are rejoined. Scanned PDFs without a text layer yield no paragraphs.
+* Each paragraph keeps its page number in its provenance.
+* Example usage:
+* const document = await new PdfLoader().load('./sources/ministere/guide_sante.pdf');
+* console.log(document.paragraphs[0].provenance); // Outputs: { document: './sources/ministere/guide_sante.pdf', page: 1, paragraph: 1 }
+*/
+const fs = require('fs').promises;
+const path = require('path');
+const { cleanText } = require('./text');
+
+// A gap this many times the median line spacing separates paragraphs
+const PARAGRAPH_GAP = 1.5;
+
+class PdfLoader {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    async load(filePath) {
+        return this.parse(await fs.readFile(filePath), filePath);
+    }
+
+    async parse(buffer, filePath = 'inline') {
+        const pdfParse = require('pdf-parse');
+        const pages = [];
+
+        // A copy with its own ArrayBuffer: small Node buffers share a pool, and pdf.js would read the whole pool
+        const result = await pdfParse(new Uint8Array(buffer), {
+            // Called once per page, in order
+            pagerender: async pageData => {
+                const content = await pageData.getTextContent({ normalizeWhitespace: true });
+                pages.push({ page: pageData.pageNumber || pages.length + 1, blocks: this.pageBlocks(content.items) });
+                return '';
+            }
+        });
+
+        const paragraphs = [];
+        for (const { page, blocks } of pages) {
+            for (const block of blocks) {
+                const text = cleanText(block, { unwrap: true });
+                if (!text) continue;
+                paragraphs.push({ text, provenance: { document: filePath, page, paragraph: paragraphs.length + 1 } });
+            }
+        }
+
+        return {
+            path: filePath,
+            type: 'pdf',
+            title: (result.info && result.info.Title) || path.basename(filePath),
+            pages: pages.length,
+            paragraphs
+        };
+    }
+
+    pageBlocks(items) {
+        // Group items into lines by their baseline (transform[5] is y, growing upwards)
+        const lines = [];
+        for (const item of items) {
+            if (!item.str) continue;
+            const y = item.transform[5];
+            const last = lines[lines.length - 1];
+            if (last && Math.abs(last.y - y) < 1) {
+                last.text += item.str;
+            } else {
+                lines.push({ y, text: item.str });
+            }
+        }
+        if (lines.length === 0) return [];
+
+        const gaps = [];
+        for (let i = 1; i < lines.length; i++) {
+            const gap = lines[i - 1].y - lines[i].y;
+            if (gap > 0) gaps.push(gap);
+        }
+        gaps.sort((a, b) => a - b);
+        const usual = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 0;
+
+        const blocks = [lines[0].text];
+        for (let i = 1; i < lines.length; i++) {
+            const gap = lines[i - 1].y - lines[i].y;
+            // A jump back up (new column) or a wide gap starts a new paragraph
+            if (usual > 0 && (gap > usual * PARAGRAPH_GAP || gap < 0)) {
+                blocks.push(lines[i].text);
+            } else {
+                blocks[blocks.length - 1] += `\n${lines[i].text}`;
+            }
+        }
+        return blocks;
+    }
+}
+
+module.exports = { PdfLoader };
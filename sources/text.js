@@ -0,0 +1,83 @@
+/*
+* This is the plain text source loader. It reads .txt and .md files into paragraphs with provenance.
+* In a standard Afropair pipeline, sources are loaded first; their paragraphs go to the Splitter for translation or to corpus import.
+* Blank lines separate paragraphs; line breaks inside a paragraph are kept, so the Splitter still sees list items.
+* It also holds the text cleaning helpers shared by the other loaders (whitespace, soft hyphens, words broken across lines).
+* Example usage:
+* const document = await new TextLoader().load('./docs/notice.txt');
+* console.log(document.paragraphs[0]); // Outputs: { text: 'Bonjour...', provenance: { document: './docs/notice.txt', paragraph: 1, line: 1 } }
+*/
+const fs = require('fs').promises;
+const path = require('path');
+
+function cleanText(text, options = {}) {
+    let cleaned = text
+        .normalize('NFC')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\u00AD/g, '') // soft hyphens
+        .replace(/[\t\f\v\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]+/g, ' ')
+        .replace(/[\u200B\uFEFF]/g, '');
+
+    if (options.unwrap) {
+        // Layout line breaks (PDF): "mar-\nché" -> "marché", other breaks become spaces
+        cleaned = cleaned.replace(/(\p{Ll})-\n(\p{Ll})/gu, '$1$2').replace(/\n/g, ' ');
+    }
+
+    return cleaned
+        .split('\n')
+        .map(line => line.replace(/ {2,}/g, ' ').trim())
+        .join('\n')
+        .trim();
+}
+
+// Splits on blank lines; returns [{ text, line }] where line is the 1-based first line of the paragraph
+function splitParagraphs(text, options = {}) {
+    const paragraphs = [];
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    let buffer = [];
+    let firstLine = 1;
+
+    const flush = () => {
+        const cleaned = cleanText(buffer.join('\n'), options);
+        if (cleaned) paragraphs.push({ text: cleaned, line: firstLine });
+        buffer = [];
+    };
+
+    lines.forEach((line, index) => {
+        if (line.trim() === '') {
+            flush();
+        } else {
+            if (buffer.length === 0) firstLine = index + 1;
+            buffer.push(line);
+        }
+    });
+    flush();
+    return paragraphs;
+}
+
+class TextLoader {
+    constructor(options = {}) {
+        this.options = options;
+    }
+
+    async load(filePath) {
+        return this.parse(await fs.readFile(filePath, 'utf-8'), filePath);
+    }
+
+    parse(content, filePath = 'inline') {
+        const text = content.replace(/^\uFEFF/, '');
+        const paragraphs = splitParagraphs(text).map((paragraph, index) => ({
+            text: paragraph.text,
+            provenance: { document: filePath, paragraph: index + 1, line: paragraph.line }
+        }));
+
+        return {
+            path: filePath,
+            type: 'text',
+            title: path.basename(filePath),
+            paragraphs
+        };
+    }
+}
+
+module.exports = { TextLoader, cleanText, splitParagraphs };
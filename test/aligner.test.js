@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const DocumentAligner = require('../utils/aligner');
+const { DictionaryLookup } = require('../index');
+const { LanguageRegistry } = require('../utils/languages');
+
+const pair = new LanguageRegistry().pair('fr', 'mos');
+const dictPath = path.join(__dirname, 'fixtures', 'fr_mos_dict.tsv');
+
+const french = "Bonjour, comment allez-vous? Je vais au marché. Il fait chaud aujourd'hui. Merci beaucoup. Au revoir!";
+const moore = 'Nɛ bɛɛ̀dã, yɛ fɔ yã? N zɩ̀ nà zaabā. Tɩ̂ dãar la gũunã. Bɛɛlg kɩ̀tā sɩ́ndã. Ka tõe n yeel ye. Nɛ tɩ̂ sɔ́gẽ!';
+
+test('sentences are aligned one to one, with an extra target sentence merged into a 1-2 bead', async t => {
+    t.mock.method(console, 'log', () => {});
+    const aligner = new DocumentAligner(pair, { dictLookup: new DictionaryLookup(dictPath, pair) });
+    const result = await aligner.align(french, moore);
+
+    assert.deepEqual(result.alignments.map(alignment => [alignment.type, alignment.tgt]), [
+        ['1-1', 'Nɛ bɛɛ̀dã, yɛ fɔ yã?'],
+        ['1-1', 'N zɩ̀ nà zaabā.'],
+        ['1-1', 'Tɩ̂ dãar la gũunã.'],
+        ['1-2', 'Bɛɛlg kɩ̀tā sɩ́ndã. Ka tõe n yeel ye.'],
+        ['1-1', 'Nɛ tɩ̂ sɔ́gẽ!']
+    ]);
+    assert.deepEqual(result.alignments[1].anchors, { matched: 3, possible: 4 });
+    assert.deepEqual(result.stats.beads, { '1-1': 4, '1-2': 1 });
+    assert.ok(result.alignments.every(alignment => alignment.score > 0 && alignment.score <= 1));
+});
+
+test('corpus entries use the pair columns and drop low scores and skipped sentences', async () => {
+    const aligner = new DocumentAligner(pair);
+    const result = {
+        alignments: [
+            { type: '1-1', src: 'Je vais au marché.', tgt: 'N zɩ̀ nà zaabā.', score: 0.9 },
+            { type: '1-1', src: 'Merci beaucoup.', tgt: 'Bɛɛlg kɩ̀tā sɩ́ndã.', score: 0.3 },
+            { type: '0-1', src: '', tgt: 'Ka tõe n yeel ye.', score: 0 }
+        ]
+    };
+    assert.deepEqual(aligner.toCorpus(result, { minScore: 0.5, source: 'leaflet' }), [
+        { fr: 'Je vais au marché.', mos: 'N zɩ̀ nà zaabā.', source: 'leaflet', sim: 0.9, alignment: '1-1' }
+    ]);
+    assert.equal(aligner.toCorpus(result).length, 2);
+});
+
+test('well anchored beads never get a negative cost', () => {
+    const aligner = new DocumentAligner(pair, { anchorWeight: 100 });
+    const bead = aligner.beadCost({ src: 1, tgt: 1, prior: 0.89 }, 0, 0, [20], [20], 1, [[[['zaabā']]]], [['zaabā']]);
+    assert.equal(bead.cost, 0);
+    assert.deepEqual(bead.anchors, { matched: 1, possible: 1 });
+});
+
+test('the band limits the search without changing a near-diagonal alignment', t => {
+    const lengths = Array.from({ length: 100 }, (_, i) => 20 + (i * 7) % 30);
+    const none = lengths.map(() => []);
+    const run = band => {
+        const aligner = new DocumentAligner(pair, { band });
+        const spy = t.mock.method(aligner, 'beadCost');
+        const beads = aligner.search(lengths, lengths, 1, none, none);
+        return { beads: beads.map(bead => `${bead.i}:${bead.src}-${bead.tgt}`), calls: spy.mock.callCount() };
+    };
+
+    const narrow = run(3);
+    const wide = run(100);
+    assert.deepEqual(narrow.beads, wide.beads);
+    assert.equal(narrow.beads.length, 100);
+    assert.ok(narrow.calls * 5 < wide.calls);
+});
+
+test('documents of very different sentence counts still align end to end', () => {
+    const aligner = new DocumentAligner(pair, { band: 2 });
+    const beads = aligner.search([10, 10, 10], new Array(40).fill(1), 1, [[], [], []], new Array(40).fill([]));
+    assert.equal(beads.reduce((sum, bead) => sum + bead.src, 0), 3);
+    assert.equal(beads.reduce((sum, bead) => sum + bead.tgt, 0), 40);
+});
+
+test('an empty side aligns every sentence to nothing', async () => {
+    const result = await new DocumentAligner(pair).align('Un. Deux.', '');
+    assert.deepEqual(result.alignments.map(alignment => alignment.type), ['1-0', '1-0']);
+    assert.deepEqual(new DocumentAligner(pair).toCorpus(result), []);
+});
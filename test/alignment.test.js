@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Embedding = require('../utils/embedding');
+const { AlignmentScorer, cosineSimilarity } = require('../utils/alignment');
+const { Scorer } = require('../index');
+
+// The hashing embedder is not multilingual: "translations" here are near copies, which it does see as aligned
+const sources = ['Je vais au marché.', 'Où est la maison?', 'Merci beaucoup.', 'Il fait chaud aujourd\'hui.', 'Je ne comprends pas.'];
+const targets = ['je vais au marché', 'où est la maison', 'merci beaucoup', 'il fait chaud', 'je ne comprends pas'];
+
+test('cosine similarity handles zero vectors', () => {
+    assert.equal(cosineSimilarity([1, 0], [1, 0]), 1);
+    assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+    assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+});
+
+test('without neighbour pools only the cosine is available', async () => {
+    const scorer = new AlignmentScorer(new Embedding('hashing'));
+    const score = await scorer.score('Je vais au marché.', 'je vais au marché');
+    assert.ok(score.cosine > 0.99);
+    assert.equal(score.margin, null);
+    assert.deepEqual(await scorer.scoreBatch([]), []);
+});
+
+test('the margin separates aligned pairs from mismatched ones', async () => {
+    const scorer = new AlignmentScorer(new Embedding('hashing'), { k: 2 });
+    await scorer.setNeighbours(sources, targets);
+
+    const [aligned, misaligned] = await scorer.scoreBatch([
+        { src: 'Je vais au marché.', tgt: 'je vais au marché' },
+        { src: 'Je vais au marché.', tgt: 'merci beaucoup' }
+    ]);
+    assert.ok(aligned.margin > 1.05);
+    assert.ok(misaligned.margin < aligned.margin);
+    assert.ok(misaligned.cosine < aligned.cosine);
+});
+
+test('the Scorer flags misaligned pairs and lowers their confidence', async () => {
+    const scorer = new AlignmentScorer(new Embedding('hashing'), { k: 2 });
+    await scorer.setNeighbours(sources, targets);
+    const result = tgt => ({ seg_id: 's1', src_text: 'Je vais au marché.', final: tgt, candidates: [{ tgt, confidence: 0.9 }] });
+
+    const { scored_results: [good, bad, empty] } = await new Scorer({ alignment: scorer }).process({
+        final_results: [result('je vais au marché'), result('merci beaucoup'), { ...result(''), candidates: [] }]
+    });
+    assert.equal(good.quality_features.misaligned, false);
+    assert.equal(bad.quality_features.misaligned, true);
+    assert.ok(bad.composite_confidence < good.composite_confidence);
+    assert.equal(empty.quality_features.alignment_cosine, undefined);
+});
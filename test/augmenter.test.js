@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Model = require('../utils/model');
+const { LLMAugmenter, AfropairPipeline } = require('../index');
+const { LanguageRegistry } = require('../utils/languages');
+
+const pair = new LanguageRegistry().pair('fr', 'mos');
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+const segment = { seg_id: 's1', text: 'Je vais à la maison.' };
+const glosses = [
+    { text: 'Je', candidates: [{ tgt: 'ànɛ', pos: 'PRON' }] },
+    { text: 'à', candidates: [{ tgt: '<UNK:à>', pos: 'UNK' }] },
+    { text: 'maison', candidates: [{ tgt: 'yĩ̃', pos: 'NOUN' }, { tgt: 'bonā', pos: 'NOUN' }] }
+];
+const matches = {
+    seg_id: 's1',
+    matches: [
+        { src: 'Je vais au marché.', tgt: 'N zɩ̀ nà zaabā.' },
+        { src: 'Où est la maison?', tgt: 'Yĩ̃ bẽ be?' }
+    ]
+};
+
+test('the prompt carries corpus examples up to fewShot, known glosses and the paraphrase request', () => {
+    const augmenter = new LLMAugmenter(new Model('mock'), pair, { fewShot: 1, paraphrases: 2 });
+    const { system, messages } = augmenter.buildPrompt(segment, glosses, matches);
+
+    assert.match(system, /from Français to Mooré/);
+    assert.match(system, /\{"translation": string, "paraphrases": string\[\]/);
+    assert.equal(messages[0].content, [
+        'Examples from the parallel corpus:\nFrançais: Je vais au marché.\nMooré: N zɩ̀ nà zaabā.',
+        'Dictionary glosses:\n- Je → ànɛ (PRON)\n- maison → yĩ̃ (NOUN), bonā (NOUN)',
+        'Translate this Français sentence into Mooré:\nJe vais à la maison.',
+        'Also write 2 paraphrase(s) of the Français sentence that keep its meaning.'
+    ].join('\n\n'));
+});
+
+test('the mock answer becomes an llm candidate with its prompt and response for audit', async () => {
+    const augmenter = new LLMAugmenter(new Model('mock'), pair, { paraphrases: 1 });
+    const { llm_results: [result], meta } = await augmenter.process({
+        segments: [segment],
+        dictionary_results: { s1: glosses },
+        corpus_results: [matches]
+    });
+
+    const [candidate] = result.candidates;
+    assert.match(candidate.tgt, /^\[mock:[0-9a-f]{12}\]$/);
+    assert.equal(candidate.source, 'llm');
+    assert.equal(candidate.confidence, 0.6);
+    assert.equal(candidate.details.prompt.messages[0].content, augmenter.buildPrompt(segment, glosses, matches).messages[0].content);
+    assert.equal(JSON.parse(candidate.details.raw_response).translation, candidate.tgt);
+    assert.equal(result.paraphrases.length, 1);
+    assert.equal(meta.model, 'mock/mock');
+});
+
+test('a failing model or an answer without translation leaves no candidate', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const failing = new LLMAugmenter(new Model('mock', null, { responses: () => { throw new Error('offline'); } }), pair);
+    const empty = new LLMAugmenter(new Model('mock', null, { responses: '{"paraphrases": []}' }), pair);
+    const prompt = failing.buildPrompt(segment);
+
+    assert.deepEqual(await failing.augmentSegment(segment, prompt), { seg_id: 's1', candidates: [], paraphrases: [], error: 'offline' });
+    const result = await empty.augmentSegment(segment, prompt);
+    assert.deepEqual(result.candidates, []);
+    assert.equal(result.error, 'No "translation" field in LLM response');
+});
+
+test('the pipeline offers the llm candidate to the Referee next to the dictionary one', async t => {
+    t.mock.method(console, 'log', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-llm-'));
+    try {
+        const pipeline = new AfropairPipeline({
+            dictPath: fixture('fr_mos_dict.tsv'),
+            corpusPath: fixture('fr_mos_corpus.jsonl'),
+            outputPath: path.join(dir, 'translations.jsonl'),
+            llm: { provider: 'mock', paraphrases: 1 }
+        });
+        const result = await pipeline.translateSentence('Je vais à la maison.');
+
+        assert.equal(result.success, true);
+        const [final] = result.context.final_results;
+        assert.deepEqual(final.candidates.map(candidate => candidate.source), ['dictionary', 'llm']);
+        assert.equal(final.paraphrases.length, 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { parseArgs } = require('../cli');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+// Runs the CLI in a scratch directory with the fixture dictionary and corpus and no provider from the environment
+function run(dir, args) {
+    const env = { ...process.env };
+    for (const key of ['LLM_PROVIDER', 'EMBEDDING_PROVIDER', 'JUDGE_PROVIDER', 'VECTOR_STORE_PATH', 'LOG_LEVEL']) delete env[key];
+    const files = ['--dict', 'fr_mos_dict.tsv', '--corpus', 'fr_mos_corpus.jsonl', '--output', 'out.jsonl', '--env', 'none.env'];
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args, ...files], { cwd: dir, env, timeout: 30000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+function withFixtures(fn) {
+    return async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-cli-'));
+        try {
+            fs.copyFileSync(fixture('fr_mos_dict.tsv'), path.join(dir, 'fr_mos_dict.tsv'));
+            fs.copyFileSync(fixture('fr_mos_corpus.jsonl'), path.join(dir, 'fr_mos_corpus.jsonl'));
+            await fn(dir);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+test('arguments are split into positionals, valued flags and boolean flags', () => {
+    const args = parseArgs(['translate', 'Je', 'pars', '--src=fr', '--tgt', 'mos', '--json', '-h']);
+    assert.deepEqual(args._, ['translate', 'Je', 'pars']);
+    assert.deepEqual(args.flags, { src: 'fr', tgt: 'mos', json: true, help: true });
+    assert.throws(() => parseArgs(['stats', '--output']), /Missing value for --output/);
+});
+
+test('--help prints the usage on stdout and usage errors go to stderr with exit code 2', withFixtures(async dir => {
+    const help = await run(dir, ['--help']);
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /^Usage: afropairs <command>/);
+    assert.equal(help.stderr, '');
+
+    const unknown = await run(dir, ['frobnicate']);
+    assert.equal(unknown.code, 2);
+    assert.equal(unknown.stdout, '');
+    assert.match(unknown.stderr, /Unknown command "frobnicate"/);
+
+    const level = await run(dir, ['translate', 'Je pars.', '--log-level', 'loud']);
+    assert.equal(level.code, 2);
+    assert.match(level.stderr, /Unknown log level "loud"/);
+}));
+
+test('translate --json prints one JSON result on stdout and the progress on stderr', withFixtures(async dir => {
+    const { code, stdout, stderr } = await run(dir, ['translate', 'Je vais au marché.', '--json']);
+    assert.equal(code, 0);
+    const lines = stdout.trim().split('\n');
+    assert.equal(lines.length, 1);
+    const result = JSON.parse(lines[0]);
+    assert.equal(result.success, true);
+    assert.equal(result.translation, 'N zɩ̀ nà zaabā.');
+    assert.equal(result.context, undefined);
+    assert.equal(result.records[0].src, 'Je vais au marché.');
+    assert.match(stderr, /Translation Pipeline Started/);
+
+    const silent = await run(dir, ['translate', 'Je vais au marché.', '--json', '--log-level', 'silent']);
+    assert.equal(silent.code, 0);
+    assert.equal(silent.stderr, '');
+    assert.equal(JSON.parse(silent.stdout).duplicates[0].exact, true);
+}));
+
+test('batch reads JSONL records and plain lines, including lines that only start with a brace', withFixtures(async dir => {
+    fs.writeFileSync(path.join(dir, 'in.txt'), 'Je vais au marché.\n{note} Je pars.\n{"fr": "Bonjour"}\n');
+    const { code, stdout } = await run(dir, ['batch', 'in.txt', '--json', '--log-level', 'silent']);
+    assert.equal(code, 0);
+    const batch = JSON.parse(stdout);
+    assert.equal(batch.total, 3);
+    assert.equal(batch.successful, 3);
+    assert.equal(batch.results[1].records[0].src, '{note} Je pars.');
+    assert.equal(batch.results[2].records[0].src, 'Bonjour');
+}));
+
+test('failures exit with code 1 and a JSON error under --json', withFixtures(async dir => {
+    const json = await run(dir, ['batch', 'missing.txt', '--json', '--log-level', 'silent']);
+    assert.equal(json.code, 1);
+    assert.deepEqual(Object.keys(JSON.parse(json.stdout)), ['success', 'error']);
+    assert.equal(JSON.parse(json.stdout).success, false);
+
+    const text = await run(dir, ['batch', 'missing.txt']);
+    assert.equal(text.code, 1);
+    assert.equal(text.stdout, '');
+    assert.match(text.stderr, /^Error: ENOENT/m);
+}));
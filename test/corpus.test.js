@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CorpusIndex } = require('../utils/corpusindex');
+const { CorpusRetriever } = require('../index');
+const { LanguageRegistry } = require('../utils/languages');
+
+const registry = new LanguageRegistry();
+const corpusPath = path.join(__dirname, 'fixtures', 'fr_mos_corpus.jsonl');
+const sources = fs.readFileSync(corpusPath, 'utf-8').trim().split('\n').map(line => JSON.parse(line).fr);
+
+test('the index ranks the exact sentence first with a normalized score of 1', () => {
+    const index = new CorpusIndex(registry.get('fr'));
+    index.build(sources);
+
+    const [best] = index.search('je vais au MARCHÉ', 3);
+    assert.equal(sources[best.id], 'Je vais au marché.');
+    assert.equal(best.score, 1);
+});
+
+test('character trigrams and edit distance find near misses', () => {
+    const index = new CorpusIndex(registry.get('fr'));
+    index.build(sources);
+
+    const [best] = index.search('Combien ça coute', 3);
+    assert.equal(sources[best.id], 'Combien ça coûte?');
+    assert.ok(best.score > 0.6 && best.score < 1);
+    assert.deepEqual(index.search('xyz', 3), []);
+    assert.ok(index.search('vais au marché', 10, 0.5).every(hit => hit.score >= 0.5));
+});
+
+test('two texts are scored on the search scale whether or not they are indexed', () => {
+    const index = new CorpusIndex(registry.get('fr'));
+    index.build(sources);
+
+    const [best] = index.search('Combien ça coute', 1);
+    assert.equal(index.score('Combien ça coute', sources[best.id]), best.score);
+    assert.equal(index.score('Je vais au marché.', 'je vais au  marché'), 1);
+    const close = index.score('Je vais au marché', 'Je vais au grand marché');
+    assert.ok(close > 0.6 && close < 1);
+    assert.ok(index.score('Je vais au marché', 'Il pleut') < 0.1);
+    assert.ok(new CorpusIndex(registry.get('fr')).score('Je vais au marché', 'Je vais au grand marché') > 0.6);
+});
+
+test('a saved index is reused only for the same corpus fingerprint', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-index-'));
+    const indexPath = path.join(dir, 'index.json');
+    try {
+        const index = new CorpusIndex(registry.get('fr'));
+        index.build(sources, 'v1');
+        await index.save(indexPath);
+
+        const reloaded = new CorpusIndex(registry.get('fr'));
+        assert.equal(await reloaded.load(indexPath, 'v2'), false);
+        assert.equal(await reloaded.load(indexPath, 'v1'), true);
+        assert.deepEqual(reloaded.search('Où est la maison', 1), index.search('Où est la maison', 1));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('common words only score candidates that rarer words or trigrams brought in', t => {
+    const index = new CorpusIndex(registry.get('fr'));
+    const texts = Array.from({ length: 400 }, (_, i) => `Le chat numéro ${i} dort dans la maison.`);
+    texts.push('Le chien dort dans la cour.', 'Le chien aboie.');
+    index.build(texts);
+    const rescore = t.mock.method(index, 'rescore');
+
+    const hits = index.search('Le chien dort dans la maison', 5);
+    assert.deepEqual(hits.slice(0, 2).map(hit => texts[hit.id]), ['Le chien dort dans la cour.', 'Le chien aboie.']);
+    assert.equal(rescore.mock.callCount(), 2);
+    // "dort dans la maison" still counts for the candidates "chien" found: same score as without the cutoff
+    assert.equal(hits[0].score, index.score('Le chien dort dans la maison', texts[hits[0].id]));
+
+    // A query of common words only is not left empty, but at most RERANK_POOL candidates are re-ranked
+    rescore.mock.resetCalls();
+    assert.equal(index.search('le chat dort', 3).length, 3);
+    assert.equal(rescore.mock.callCount(), 50);
+});
+
+test('a persisted index is rebuilt when the tokenizer rules or normalization change', async t => {
+    t.mock.method(console, 'log', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-index-'));
+    const indexPath = path.join(dir, 'index.json');
+    try {
+        const pair = registry.pair('fr', 'mos');
+        const open = async src => {
+            const retriever = new CorpusRetriever(corpusPath, { ...pair, src }, { indexPath });
+            await retriever.loadCorpus();
+            return retriever;
+        };
+        const fingerprint = () => JSON.parse(fs.readFileSync(indexPath, 'utf-8')).fingerprint;
+
+        await open(pair.src);
+        const first = fingerprint();
+        const loaded = await open(pair.src);
+        assert.equal(loaded.index.fingerprint, first);
+
+        const rules = { ...pair.src.tokenizer, protected: [...pair.src.tokenizer.protected, 'au marché'] };
+        await open({ ...pair.src, tokenizer: rules });
+        assert.notEqual(fingerprint(), first);
+        const rebuilt = fingerprint();
+
+        await open({ ...pair.src, normalization: { form: 'NFD', lowercase: true } });
+        assert.notEqual(fingerprint(), rebuilt);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the retriever reads the registry pair columns by default and keeps the 0.6 threshold', async () => {
+    const retriever = new CorpusRetriever(corpusPath);
+    assert.equal(retriever.minSimilarity, 0.6);
+
+    const { corpus_results: results } = await retriever.process({ segments: [
+        { seg_id: 's1', text: 'Je vais au marché demain.' },
+        { seg_id: 's2', text: 'je vais aux marchés' }
+    ] });
+    assert.equal(retriever.corpus.length, 10);
+    assert.deepEqual(results[0].matches.map(match => match.tgt), ['N zɩ̀ nà zaabā.']);
+    assert.deepEqual(results[1].matches, []);
+});
+
+test('the retriever fails loudly on a pair without corpus columns or a column mismatch', async () => {
+    assert.throws(() => new CorpusRetriever(corpusPath, {}), /needs a language pair with corpus columns/);
+
+    const dioula = { ...registry.pair('fr', 'mos'), columns: { corpus: { src: 'fr', tgt: 'dyu' } } };
+    await assert.rejects(new CorpusRetriever(corpusPath, dioula).loadCorpus(), /No "fr"\/"dyu" pairs/);
+});
+
+test('a corpus of unreadable lines is reported line by line, not as a column mismatch', async t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'log', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-corpus-'));
+    const broken = path.join(dir, 'corpus.jsonl');
+    fs.writeFileSync(broken, '{"fr": "Bonjour", "mos":\nnot json\n');
+    try {
+        const retriever = new CorpusRetriever(broken, registry.pair('fr', 'mos'));
+        await retriever.loadCorpus();
+        assert.equal(retriever.corpus.length, 0);
+        assert.equal(warn.mock.callCount(), 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('appended entries skip pairs already in the corpus after normalization', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-corpus-'));
+    const copy = path.join(dir, 'corpus.jsonl');
+    fs.copyFileSync(corpusPath, copy);
+    try {
+        const retriever = new CorpusRetriever(copy, registry.pair('fr', 'mos'));
+        const added = await retriever.appendEntries([
+            { fr: 'je vais  au marché.', mos: 'N zɩ̀ nà zaabā.', source: 'test' },
+            { fr: 'Bonne nuit', mos: 'Yibeoogo', source: 'test' },
+            { fr: 'Bonne nuit', mos: 'Yibeoogo', source: 'test' }
+        ]);
+        assert.equal(added, 1);
+
+        await retriever.reload();
+        assert.equal(retriever.corpus.length, 11);
+        assert.equal(retriever.corpus[10].source, 'test');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Deduplicator, deduplicate, normalizeText } = require('../utils/dedup');
+const { AfropairPipeline, Logger } = require('../index');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+const readJsonl = file => fs.readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+
+// What the Scorer hands to the Logger for one translated segment
+const scored = (src, tgt) => ({
+    id: 'doc', src_lang: 'fr', tgt_lang: 'mos',
+    scored_results: [{ src_text: src, final: tgt, composite_confidence: 0.9, candidates: [] }]
+});
+
+test('normalization ignores case, spacing and punctuation but keeps a final question or exclamation mark', () => {
+    assert.equal(normalizeText('  Tu viens ?? '), 'tu viens ?');
+    assert.equal(normalizeText('Tu viens.'), 'tu viens');
+    assert.equal(normalizeText("L'École, là!"), 'l école là !');
+    assert.equal(normalizeText('Ｔｕ'), 'tu');
+});
+
+test('exact duplicates match after normalization, near-duplicates above the threshold', () => {
+    const dedup = new Deduplicator();
+    dedup.add({ src: "Il fait très chaud aujourd'hui au village.", tgt: 'Tɩ̂ dãar la gũunã wʋsg tẽngã pʋgẽ.' }, 'r1');
+    dedup.add({ src: 'Je vais au marché.', tgt: 'N zɩ̀ nà zaabā.' }, 'r2');
+    assert.equal(dedup.size, 2);
+
+    assert.deepEqual(dedup.find({ src: 'je vais au  marché', tgt: 'N zɩ̀ nà zaabā' }), { id: 'r2', similarity: 1, exact: true });
+
+    const typo = dedup.find({ src: "Il fait tres chaud aujourd'hui au village.", tgt: 'Tɩ̂ dãar la gũunã wʋsg tẽngã pʋgẽ.' });
+    assert.equal(typo.id, 'r1');
+    assert.equal(typo.exact, false);
+    assert.ok(typo.similarity >= 0.85 && typo.similarity < 1);
+
+    // A different word on both sides is a different pair
+    assert.equal(dedup.find({ src: "Il fait très froid aujourd'hui au village.", tgt: 'Tɩ̂ dãar la yùupĩ wʋsg tẽngã pʋgẽ.' }), null);
+    assert.equal(dedup.find({ src: 'Je vais au marché demain.', tgt: 'N zɩ̀ nà zaabā kɩsã.' }), null);
+});
+
+test('one side can be compared alone and unknown modes are refused', () => {
+    const dedup = new Deduplicator({ on: 'src' });
+    assert.equal(dedup.check({ src: 'Merci.', tgt: 'Barka.' }, 'a'), null);
+    assert.deepEqual(dedup.check({ src: 'merci', tgt: 'Bark zĩnd.' }, 'b'), { id: 'a', similarity: 1, exact: true });
+    assert.equal(dedup.size, 1);
+    assert.throws(() => new Deduplicator({ on: 'both' }), /Unknown dedup mode: both \(expected pair, src, tgt\)/);
+});
+
+test('the standalone pass keeps the first item of each cluster in rank order', () => {
+    const items = [
+        { src: 'Bonjour.', tgt: 'Nɛ y yibeoogo.', confidence: 0.5 },
+        { src: 'bonjour', tgt: 'nɛ y yibeoogo', confidence: 0.9 },
+        { src: 'Merci.', tgt: 'Barka.', confidence: 1 }
+    ];
+    const inOrder = deduplicate(items);
+    assert.deepEqual(inOrder.kept, [0, 2]);
+    assert.deepEqual(inOrder.clusters, [{ kept: 0, merged: [{ index: 1, similarity: 1, exact: true }] }]);
+    assert.deepEqual(inOrder.stats, { items: 3, kept: 2, merged: 1, exact: 1 });
+
+    const ranked = deduplicate(items, { rank: (a, b) => b.confidence - a.confidence });
+    assert.deepEqual(ranked.kept, [1, 2]);
+    assert.equal(ranked.clusters[0].merged[0].index, 0);
+});
+
+test('the Logger skips pairs already in the output file, with their latest reviewed target', async t => {
+    t.mock.method(console, 'log', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-dedup-'));
+    const outputPath = path.join(dir, 'translations.jsonl');
+    try {
+        fs.writeFileSync(outputPath, [
+            { id: 'old', src: 'Je vais au marché.', tgt: 'ànɛ zɩ̀ nà zaabā', status: 'review_recommended' },
+            { id: 'old', src: 'Je vais au marché.', tgt: 'N zɩ̀ nà zaabā.', status: 'human_accepted', version: 2 }
+        ].map(record => JSON.stringify(record)).join('\n') + '\n');
+        const logger = new Logger(outputPath, { dedup: new Deduplicator() });
+
+        const repeated = await logger.process(scored('Je vais au marché.', 'N zɩ̀ nà zaabā.'));
+        assert.equal(repeated.logged_count, 0);
+        assert.deepEqual(repeated.records, []);
+        assert.deepEqual(repeated.duplicates, [
+            { src: 'Je vais au marché.', tgt: 'N zɩ̀ nà zaabā.', duplicate_of: 'old', similarity: 1, exact: true }
+        ]);
+
+        const fresh = await logger.process(scored('Merci.', 'Barka.'));
+        assert.equal(fresh.logged_count, 1);
+        // Logged earlier in the same run
+        const again = await logger.process(scored('Merci !', 'Barka !'));
+        assert.equal(again.logged_count, 1);
+        const twice = await logger.process(scored('merci', 'barka'));
+        assert.equal(twice.duplicates[0].duplicate_of, fresh.records[0].id);
+        assert.equal(readJsonl(outputPath).length, 4);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('translating the same sentence twice logs it once unless dedup is turned off', async t => {
+    t.mock.method(console, 'log', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-dedup-'));
+    const config = {
+        dictPath: fixture('fr_mos_dict.tsv'),
+        corpusPath: fixture('fr_mos_corpus.jsonl'),
+        outputPath: path.join(dir, 'translations.jsonl')
+    };
+    try {
+        const pipeline = new AfropairPipeline(config);
+        const first = await pipeline.translateSentence('Je vais au marché.');
+        assert.equal(first.records.length, 1);
+        assert.deepEqual(first.duplicates, []);
+
+        const second = await pipeline.translateSentence('Je vais au marché.');
+        assert.equal(second.success, true);
+        assert.equal(second.translation, first.translation);
+        assert.deepEqual(second.records, []);
+        assert.equal(second.duplicates[0].duplicate_of, first.records[0].id);
+
+        // A new pipeline seeds its guard from the output file
+        const restarted = await new AfropairPipeline(config).translateSentence('Je vais au marché.');
+        assert.equal(restarted.duplicates.length, 1);
+
+        const unguarded = await new AfropairPipeline({ ...config, dedup: false }).translateSentence('Je vais au marché.');
+        assert.equal(unguarded.records.length, 1);
+        assert.equal(readJsonl(config.outputPath).length, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Dictionary = require('../utils/dictionary');
+const { DictionaryLookup } = require('../index');
+const { LanguageRegistry } = require('../utils/languages');
+const { createTokenizer } = require('../utils/tokenizer');
+
+const registry = new LanguageRegistry();
+const pair = registry.pair('fr', 'mos');
+
+function tempDictionary(content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-dict-'));
+    const dictPath = path.join(dir, 'dict.tsv');
+    if (content !== undefined) fs.writeFileSync(dictPath, content);
+    return { dir, dictPath };
+}
+
+function openDictionary(dictPath) {
+    return new Dictionary(dictPath, {
+        language: pair.src,
+        srcCode: 'fr',
+        tgtCode: 'mos',
+        columns: pair.columns.dictionary
+    }).load();
+}
+
+test('the header maps columns to fields, keeps its order and unknown columns on save', async () => {
+    const { dir, dictPath } = tempDictionary('fr_word\tmos_word\tpos\tscore\tdomain\neau\tkõom\tNOUN\t0.99\tsanté\n');
+    try {
+        const dict = await openDictionary(dictPath);
+        assert.deepEqual(dict.list(), [{ src: 'eau', tgt: 'kõom', pos: 'NOUN', score: 0.99, domain: 'santé' }]);
+
+        dict.add({ src: 'école', tgt: 'karen-saka', pos: 'NOUN', score: 0.9 });
+        await dict.save();
+        assert.equal(fs.readFileSync(dictPath, 'utf-8'),
+            'fr_word\tmos_word\tpos\tscore\tdomain\tnotes\neau\tkõom\tNOUN\t0.99\tsanté\t\nécole\tkaren-saka\tNOUN\t0.9\t\t\n');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('add, read, update and delete entries', async () => {
+    const { dir, dictPath } = tempDictionary();
+    try {
+        const dict = await openDictionary(dictPath);
+        assert.equal(dict.exists, false);
+
+        dict.add({ src: 'Maison', tgt: 'yĩ̃', pos: 'NOUN', score: 0.98 });
+        dict.add({ src: 'maison', tgt: 'bonā', pos: 'NOUN', score: 0.6 });
+        assert.throws(() => dict.add({ src: 'maison', tgt: 'yĩ̃', pos: 'noun' }), /already exists/);
+        assert.throws(() => dict.add({ src: 'maison' }), /need at least "src" and "tgt"/);
+
+        assert.equal(dict.lookup('MAISON'), 'yĩ̃');
+        assert.equal(dict.update({ src: 'maison', tgt: 'bonā' }, { notes: 'vieilli' }), 1);
+        assert.equal(dict.read('maison')[1].notes, 'vieilli');
+
+        assert.equal(dict.delete({ src: 'maison', tgt: 'bonā' }), 1);
+        assert.deepEqual(dict.list().map(entry => entry.tgt), ['yĩ̃']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('undefined criteria are ignored instead of matching everything', async () => {
+    const { dir, dictPath } = tempDictionary('fr_word\tmos_word\neau\tkõom\nriz\trĩis\n');
+    try {
+        const dict = await openDictionary(dictPath);
+        assert.throws(() => dict.delete({ src: undefined }), /without criteria/);
+        assert.throws(() => dict.delete({}), /without criteria/);
+        assert.equal(dict.delete({ src: 'eau', pos: undefined }), 1);
+        assert.deepEqual(dict.list(), [{ src: 'riz', tgt: 'rĩis' }]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a missing src or tgt column is an error', async () => {
+    const { dir, dictPath } = tempDictionary('fr_word\tpos\neau\tNOUN\n');
+    try {
+        // Without both columns the first row is data; the legacy layout then reads it as src, tgt
+        const dict = await openDictionary(dictPath);
+        assert.equal(dict.list()[0].src, 'fr_word');
+        assert.throws(() => dict.setHeader(['fr_word', 'pos']), /has no column for "tgt"/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('lookup prefers multi-word entries and keeps a zero score', async () => {
+    const { dir, dictPath } = tempDictionary('fr_word\tmos_word\tpos\tscore\nau\tnà\tPREP\t0\nrevoir\tnyɛɛ̀\tVERB\t0.9\nau revoir\tnɛ tɩ̂ sɔ́gẽ\tINTJ\t0.92\n');
+    try {
+        const lookup = new DictionaryLookup(dictPath, pair);
+        await lookup.loadDictionary();
+        assert.equal(lookup.dictionary.get('au')[0].score, 0);
+
+        const segment = { seg_id: 's1', text: 'Au revoir', tokens: ['Au', 'revoir'] };
+        const matches = lookup.lookupSegment(segment);
+        assert.deepEqual(matches.map(match => [match.text, match.candidates[0].tgt]), [['Au revoir', 'nɛ tɩ̂ sɔ́gẽ']]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('an ambiguous elision is looked up under each of its readings', async t => {
+    t.mock.method(console, 'log', () => {});
+    const { dir, dictPath } = tempDictionary('fr_word\tmos_word\tpos\tscore\nsi\tsã\tCONJ\t0.9\nil\tà\tPRON\t0.9\nla école\tkaren-saka\tNOUN\t0.8\n');
+    try {
+        const lookup = new DictionaryLookup(dictPath, pair);
+        await lookup.loadDictionary();
+        const tokenizer = createTokenizer(pair.src);
+        const lookupText = text => lookup.lookupSegment({ text, token_spans: tokenizer.tokenizeDetailed(text) })
+            .map(match => [match.text, match.candidates[0].tgt]);
+
+        assert.deepEqual(lookupText("s'il"), [["s'", 'sã'], ['il', 'à']]);
+        assert.deepEqual(lookupText("l'école"), [["l'école", 'karen-saka']]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the trie keeps the longest phrase and falls back to single tokens on a miss', async t => {
+    t.mock.method(console, 'log', () => {});
+    const { dir, dictPath } = tempDictionary([
+        'fr_word\tmos_word\tpos\tscore',
+        'va\tkẽnda\tVERB\t0.9',
+        'au\tnà\tPREP\t0.85',
+        'grand\tkãsenga\tADJ\t0.8',
+        'marché\tzaabā\tNOUN\t0.97',
+        'au marché\tzaabā wã\tPHRASE\t0.9',
+        'au grand marché\tzaab-kãsenga\tPHRASE\t0.9',
+        'va au marché\tkẽnd zaabā\tPHRASE\t0.9',
+        "à l'école\tkaren-saka wã\tPHRASE\t0.9"
+    ].join('\n') + '\n');
+    try {
+        const lookup = new DictionaryLookup(dictPath, pair);
+        await lookup.loadDictionary();
+        const tokenizer = createTokenizer(pair.src);
+        const lookupText = text => lookup.lookupSegment({ text, token_spans: tokenizer.tokenizeDetailed(text) })
+            .map(match => [match.text, match.candidates[0].tgt]);
+
+        // Overlapping entries: the longest one starting at each position wins
+        assert.deepEqual(lookupText('va au marché'), [['va au marché', 'kẽnd zaabā']]);
+        assert.deepEqual(lookupText('va au grand marché'), [['va', 'kẽnda'], ['au grand marché', 'zaab-kãsenga']]);
+
+        // Phrases match across an elision, but a clitic in between breaks them
+        assert.deepEqual(lookupText("à l'école"), [["à l'école", 'karen-saka wã']]);
+        assert.deepEqual(lookupText('va-t-il au marché'), [['va', 'kẽnda'], ['-t-il', '<UNK:-t-il>'], ['au marché', 'zaabā wã']]);
+
+        // "au grand" is a trie path but not an entry: back to the last complete one, then word by word
+        assert.deepEqual(lookupText('au grand jour'), [['au', 'nà'], ['grand', 'kãsenga'], ['jour', '<UNK:jour>']]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Embedding = require('../utils/embedding');
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+test('hashing vectors are deterministic, unit length and closer for overlapping sentences', async () => {
+    const embedding = new Embedding('hashing', null, { dimension: 64 });
+    assert.equal(embedding.model, 'hashing-64');
+
+    const [market, markets, house] = await embedding.embedBatch(['Je vais au marché.', 'je vais aux marchés', 'Où est la maison?']);
+    assert.equal(market.length, 64);
+    assert.ok(Math.abs(cosine(market, market) - 1) < 1e-9);
+    assert.deepEqual(await embedding.embed('Je vais au marché.'), market);
+    assert.ok(cosine(market, markets) > cosine(market, house));
+});
+
+test('duplicates in a batch are embedded once and vectors keep the input order', async () => {
+    const embedding = new Embedding('hashing', null, { batchSize: 2 });
+    const vectors = await embedding.embedBatch(['eau', 'riz', 'eau', 'mil']);
+    assert.deepEqual(vectors[0], vectors[2]);
+    assert.notDeepEqual(vectors[0], vectors[1]);
+    assert.deepEqual(embedding.stats, { requested: 4, cached: 0, computed: 3 });
+    assert.equal(embedding.dimension, 256);
+});
+
+test('the disk cache is reused across instances of the same model only', async () => {
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-embed-'));
+    try {
+        const first = new Embedding('hashing', null, { cacheDir });
+        const vectors = await first.embedBatch(['Bonjour', 'Merci']);
+
+        const second = new Embedding('hashing', null, { cacheDir });
+        assert.deepEqual(await second.embedBatch(['Bonjour', 'Merci']), vectors);
+        assert.deepEqual(second.stats, { requested: 2, cached: 2, computed: 0 });
+
+        const other = new Embedding('hashing', null, { cacheDir, dimension: 32 });
+        await other.embedBatch(['Bonjour']);
+        assert.deepEqual(other.stats, { requested: 1, cached: 0, computed: 1 });
+    } finally {
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+    }
+});
+
+test('local models are keyed on their resolved directory, not their name', () => {
+    const first = new Embedding('local', null, { modelPath: 'models/a/minilm' });
+    const second = new Embedding('local', null, { modelPath: 'models/b/minilm' });
+    assert.equal(first.model, 'minilm');
+    assert.equal(first.modelKey, path.resolve('models/a/minilm'));
+    assert.notEqual(first.modelKey, second.modelKey);
+    assert.equal(new Embedding('hashing').modelKey, 'hashing-256');
+});
+
+test('providers returning the wrong number of vectors are an error', async () => {
+    class ShortProvider {
+        async embed(texts) {
+            return texts.slice(1).map(() => [1]);
+        }
+    }
+    Embedding.registerProvider('short', ShortProvider);
+    await assert.rejects(new Embedding('short').embedBatch(['a', 'b']), /returned 1 vectors for 2 texts/);
+    assert.throws(() => new Embedding('cohere'), /Unsupported provider: cohere/);
+});
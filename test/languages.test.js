@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LanguageRegistry, normalize } = require('../utils/languages');
+
+test('languages load from config/<code>.json once and get default normalization', () => {
+    const registry = new LanguageRegistry();
+    const french = registry.get('fr');
+    assert.equal(french.code, 'fr');
+    assert.equal(registry.get('fr'), french);
+
+    const moore = registry.get('mos');
+    assert.equal(moore.name, 'Mooré');
+    assert.deepEqual(moore.normalization, { form: 'NFC', lowercase: true });
+    assert.equal(registry.register({ code: 'xx' }).script, 'Latn');
+    assert.throws(() => registry.register({ name: 'Sans code' }), /must declare a "code"/);
+});
+
+test('unknown codes and invalid configs are refused with the config path', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-languages-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'dyu.json'), '{ "code": "dyu", ');
+        const registry = new LanguageRegistry(dir);
+        assert.throws(() => registry.get('bam'), /Language "bam" is not registered \(no config at .*bam\.json\)/);
+        assert.throws(() => registry.get('dyu'), /Invalid language config .*dyu\.json/);
+        assert.throws(() => new LanguageRegistry().pair('fr', 'dyu'), /Language "dyu" is not registered/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('a pair reads its resources and columns from the target language config', () => {
+    const pair = new LanguageRegistry().pair('fr', 'mos');
+    assert.equal(pair.key, 'fr-mos');
+    assert.equal(pair.reversed, false);
+    assert.deepEqual(pair.resources, { src: 'fr', tgt: 'mos' });
+    assert.equal(pair.dictPath, './data/fr_mos_dict.tsv');
+    assert.equal(pair.corpusPath, './data/fr_mos_corpus.jsonl');
+    assert.deepEqual(pair.columns.corpus, { src: 'fr', tgt: 'mos' });
+    assert.equal(pair.columns.dictionary.src, 'fr_word');
+});
+
+test('the opposite direction reuses the registered resources reversed', () => {
+    const pair = new LanguageRegistry().pair('mos', 'fr');
+    assert.equal(pair.key, 'mos-fr');
+    assert.equal(pair.reversed, true);
+    assert.equal(pair.src.code, 'mos');
+    assert.deepEqual(pair.resources, { src: 'fr', tgt: 'mos' });
+    assert.equal(pair.dictPath, './data/fr_mos_dict.tsv');
+    assert.deepEqual(pair.columns.corpus, { src: 'mos', tgt: 'fr' });
+    // Dictionary columns stay in file orientation
+    assert.equal(pair.columns.dictionary.src, 'fr_word');
+});
+
+test('a pair without registered resources falls back to conventional paths and language-code columns', () => {
+    const registry = new LanguageRegistry();
+    registry.register({ code: 'dyu' });
+    const pair = registry.pair('fr', 'dyu');
+    assert.equal(pair.reversed, false);
+    assert.equal(pair.dictPath, './data/fr_dyu_dict.tsv');
+    assert.equal(pair.corpusPath, './data/fr_dyu_corpus.jsonl');
+    assert.deepEqual(pair.columns.corpus, { src: 'fr', tgt: 'dyu' });
+});
+
+test('normalize applies the Unicode form and lowercasing of the language', () => {
+    const decomposed = 'E\u0301cole';
+    assert.equal(normalize(decomposed), '\u00e9cole');
+    assert.equal(normalize(decomposed, { normalization: { form: 'NFD', lowercase: false } }), decomposed);
+    assert.equal(normalize('Zaabā', new LanguageRegistry().get('mos')), 'zaabā');
+    assert.equal(normalize('Zaabā', { normalization: { lowercase: false } }), 'Zaabā');
+});
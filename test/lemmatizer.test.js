@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { Lemmatizer, createLemmatizer } = require('../utils/lemmatizer');
+const { LanguageRegistry } = require('../utils/languages');
+const { DictionaryLookup } = require('../index');
+
+const registry = new LanguageRegistry();
+const lemmatizer = createLemmatizer(registry.get('fr'));
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+const first = form => lemmatizer.analyze(form)[0];
+
+test('irregular forms come from the verb table before any suffix rule', () => {
+    assert.deepEqual(first('vais'), { lemma: 'aller', pos: 'VERB', features: { tense: 'present', person: 1, number: 'sg' } });
+    assert.deepEqual(first('partons'), { lemma: 'partir', pos: 'VERB', features: { tense: 'present', person: 1, number: 'pl' } });
+    // Derived verbs share the paradigm of their base
+    assert.deepEqual(first('comprends'), { lemma: 'comprendre', pos: 'VERB', features: { tense: 'present', person: 1, number: 'sg' } });
+    assert.equal(first('viendrons').lemma, 'venir');
+    assert.equal(first('yeux').lemma, 'œil');
+});
+
+test('suffix rules cover regular conjugations, plurals and feminines', () => {
+    assert.deepEqual(first('finissons'), { lemma: 'finir', pos: 'VERB', features: { tense: 'present', person: 1, number: 'pl' } });
+    assert.deepEqual(first('parlait'), { lemma: 'parler', pos: 'VERB', features: { tense: 'imperfect', person: 3, number: 'sg' } });
+    assert.deepEqual(first('choisirez'), { lemma: 'choisir', pos: 'VERB', features: { tense: 'future', person: 2, number: 'pl' } });
+    assert.equal(first('mangeons').lemma, 'manger');
+    assert.deepEqual(first('vendu'), { lemma: 'vendre', pos: 'VERB', features: { tense: 'past_participle' } });
+    assert.deepEqual(first('chevaux'), { lemma: 'cheval', pos: 'NOUN', features: { number: 'pl' } });
+    assert.deepEqual(first('heureuse'), { lemma: 'heureux', pos: 'NOUN', features: { number: 'sg', gender: 'f' } });
+    // Analyses overgenerate; stems shorter than two letters are not tried
+    assert.ok(lemmatizer.analyze('partons').some(analysis => analysis.lemma === 'parter'));
+    assert.deepEqual(lemmatizer.analyze('es').filter(analysis => analysis.lemma === ''), []);
+});
+
+test('the config lexicon adds forms ahead of the built-in analyses', () => {
+    const custom = new Lemmatizer({ lemmatizer: { lexicon: { gâté: 'gâteau' } } });
+    assert.deepEqual(custom.analyze('Gâté'), [{ lemma: 'gâteau', pos: 'UNK', features: {} }]);
+    assert.equal(createLemmatizer(registry.get('mos')), null);
+});
+
+test('a form only known by its lemma is found through lookupLemma with the features of the form', async t => {
+    t.mock.method(console, 'log', () => {});
+    const lookup = new DictionaryLookup(fixture('fr_mos_dict.tsv'), registry.pair('fr', 'mos'));
+    await lookup.loadDictionary();
+    assert.equal(lookup.dictionary.has('vais'), false);
+
+    const [candidate] = lookup.lookupLemma('vais');
+    assert.equal(candidate.tgt, 'zɩ̀');
+    assert.equal(candidate.lemma, 'aller');
+    assert.deepEqual(candidate.features, { tense: 'present', person: 1, number: 'sg' });
+    // Slightly less trusted than the headword itself
+    assert.equal(candidate.score, lookup.dictionary.get('aller')[0].score * 0.9);
+    assert.deepEqual(lookup.lookupLemma('finissons'), []);
+
+    const [match] = lookup.lookupSegment({ text: 'vais', tokens: ['vais'] });
+    assert.equal(match.candidates[0].lemma, 'aller');
+});
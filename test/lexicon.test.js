@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LexiconInducer = require('../utils/lexicon');
+const { LanguageRegistry } = require('../utils/languages');
+const { AfropairPipeline } = require('../index');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+const pair = new LanguageRegistry().pair('fr', 'mos');
+
+const corpus = [
+    ['Je vois le chien.', 'M nyɛ baaga.'],
+    ['Je vois le chat.', 'M nyɛ yuuga.'],
+    ['Tu vois le chien.', 'F nyɛ baaga.'],
+    ['Tu vois le chat.', 'F nyɛ yuuga.'],
+    ['Le chien dort.', 'Baaga gõeeda.'],
+    ['Le chat dort.', 'Yuuga gõeeda.'],
+    ['Je dors.', 'M gõeeda.'],
+    ['Tu dors.', 'F gõeeda.'],
+    ["Il fait beau aujourd'hui.", 'Yʋʋmd zĩndã.'],
+    ["Il fait chaud aujourd'hui.", 'Tɩ̂ dãar la gũunã.']
+].map(([src, tgt]) => ({ src, tgt }));
+
+const best = (entries, src) => entries.find(entry => entry.src === src);
+
+test('words that keep aligning across the corpus become scored entries', () => {
+    const entries = new LexiconInducer(pair, { iterations: 10 }).induce(corpus);
+
+    assert.equal(best(entries, 'chien').tgt, 'baaga');
+    assert.equal(best(entries, 'chat').tgt, 'yuuga');
+    assert.equal(best(entries, 'vois').tgt, 'nyɛ');
+    assert.equal(best(entries, 'je').tgt, 'm');
+    assert.equal(best(entries, 'chien').freq, 3);
+    for (const entry of entries) {
+        assert.ok(entry.score > 0 && entry.score <= 1);
+        assert.ok(entry.freq >= 2);
+        assert.ok(Math.abs(entry.score - Math.sqrt(entry.p_tgt_src * entry.p_src_tgt)) < 0.002);
+    }
+    // Phrases the target side expresses in one word are kept whole
+    assert.equal(best(entries, 'le chien').tgt, 'baaga');
+    // Sentences seen once are not evidence enough
+    assert.ok(!entries.some(entry => entry.src === 'beau' || entry.src === 'chaud'));
+    assert.deepEqual(entries.map(entry => entry.src), [...entries.map(entry => entry.src)].sort());
+});
+
+test('minCount and minScore filter the candidates', () => {
+    const strict = new LexiconInducer(pair, { iterations: 10, minCount: 3, minScore: 0.95 }).induce(corpus);
+    assert.deepEqual(strict.map(entry => [entry.src, entry.tgt]), [
+        ['je', 'm'], ['le chat', 'yuuga'], ['le chien', 'baaga'], ['tu', 'f'], ['vois le', 'nyɛ']
+    ]);
+});
+
+test('symmetrized links keep the intersection and grow into adjacent union links', () => {
+    const inducer = new LexiconInducer(pair);
+    // forward[j] = source index of target word j, backward[i] = target index of source word i
+    const links = inducer.symmetrize([0, 1, 1], [0, 1, -1]);
+    assert.deepEqual(links.sort(), [[0, 0], [1, 1], [1, 2]]);
+    // A word linked in one direction only, next to nothing aligned, stays out
+    assert.deepEqual(inducer.symmetrize([0, -1, -1], [0, -1, 2]).sort(), [[0, 0]]);
+});
+
+test('only minimal phrase pairs consistent with the links are extracted', () => {
+    const inducer = new LexiconInducer(pair, { maxPhrase: 3 });
+    // "vois le chien" -> "nyɛ baaga": "le chien" both link to "baaga"
+    const links = [[0, 0], [1, 1], [2, 1]];
+    assert.deepEqual(inducer.extractPhrases(links, 3), [[1, 3, 1, 2]]);
+    assert.ok(inducer.decomposable([[0, 0], [1, 1]], 0, 1));
+    assert.ok(inducer.decomposable([[0, 1], [1, 0]], 0, 1));
+    assert.ok(!inducer.decomposable([[0, 1], [1, 0], [1, 1]], 0, 1));
+});
+
+test('induced entries go to a sidecar TSV, skipping known ones, and a re-run replaces them', async t => {
+    t.mock.method(console, 'log', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-lexicon-'));
+    try {
+        const dictPath = path.join(dir, 'fr_mos_dict.tsv');
+        const corpusPath = path.join(dir, 'fr_mos_corpus.jsonl');
+        fs.copyFileSync(fixture('fr_mos_dict.tsv'), dictPath);
+        const known = [['Le marché.', 'Zaabā.'], ['Le grand marché.', 'Zaabā gãnd.']].map(([src, tgt]) => ({ src, tgt }));
+        const lines = [...corpus, ...known].map(entry => JSON.stringify({ fr: entry.src, mos: entry.tgt, source: 'test' }));
+        fs.writeFileSync(corpusPath, lines.join('\n') + '\n');
+        const pipeline = new AfropairPipeline({ dictPath, corpusPath, outputPath: path.join(dir, 'translations.jsonl') });
+
+        const result = await pipeline.induceLexicon({ iterations: 10 });
+        assert.equal(result.step, 'lexicon_induction');
+        assert.equal(result.corpus_pairs, 12);
+        assert.equal(path.basename(result.out_path), 'fr_mos_dict_induced.tsv');
+        assert.ok(result.known >= 1);
+        assert.equal(result.added + result.known, result.candidates);
+
+        const [header, ...rows] = fs.readFileSync(result.out_path, 'utf-8').trim().split('\n');
+        assert.deepEqual(header.split('\t'), ['fr_word', 'mos_word', 'pos', 'score', 'notes', 'freq', 'p_tgt_src', 'p_src_tgt', 'origin']);
+        const induced = rows.map(line => line.split('\t'));
+        assert.ok(induced.some(([src, tgt]) => src === 'chien' && tgt === 'baaga'));
+        assert.ok(!induced.some(([src, tgt]) => src === 'marché' && tgt === 'zaabā'));
+        assert.ok(induced.every(row => row.at(-1) === 'induced'));
+        // The reviewed dictionary itself is untouched
+        assert.equal(fs.readFileSync(dictPath, 'utf-8'), fs.readFileSync(fixture('fr_mos_dict.tsv'), 'utf-8'));
+
+        const again = await pipeline.induceLexicon({ iterations: 10 });
+        assert.equal(again.added, result.added);
+        assert.equal(fs.readFileSync(again.out_path, 'utf-8').trim().split('\n').length, rows.length + 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
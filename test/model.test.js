@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const Model = require('../utils/model');
+
+// A local OpenAI-compatible server that records the requests it receives
+async function startServer(reply) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(reply));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1` };
+}
+
+test('unknown providers are refused with the list of available ones', () => {
+    assert.throws(() => new Model('cohere'), /Unsupported provider: cohere \(available: openai, .*mock/);
+});
+
+test('the mock provider is deterministic and fills the JSON shape the prompt asks for', async () => {
+    const model = new Model('mock');
+    const messages = [{ role: 'user', content: 'Traduis "bonjour".' }];
+    const system = 'Answer with a JSON object: {"translation": string, "paraphrases": string[], "adequacy": int, "hallucination": bool}.';
+
+    const first = await model.chat(messages, { system, json: true });
+    const second = await model.chat(messages, { system, json: true });
+    assert.deepEqual(first.json, second.json);
+    assert.match(first.json.translation, /^\[mock:[0-9a-f]{12}\]$/);
+    assert.equal(first.json.paraphrases.length, 1);
+    assert.ok([3, 4, 5].includes(first.json.adequacy));
+    assert.equal(first.json.hallucination, false);
+    assert.equal(model.usage.total_tokens, first.usage.total_tokens * 2);
+
+    assert.match(await model.generate('Bonjour'), /^\[mock:[0-9a-f]{12}\]$/);
+});
+
+test('scripted mock responses are served in order and the last one repeats', async () => {
+    const model = new Model('mock', null, { responses: ['un', 'deux'] });
+    const answers = [];
+    for (let i = 0; i < 3; i++) answers.push(await model.generate('?'));
+    assert.deepEqual(answers, ['un', 'deux', 'deux']);
+});
+
+test('JSON answers are parsed out of code fences and surrounding prose', () => {
+    assert.deepEqual(Model.parseJSON('Voici:\n```json\n{"translation": "yĩ̃"}\n```'), { translation: 'yĩ̃' });
+    assert.deepEqual(Model.parseJSON('Sure! {"a": [1, 2]} Hope this helps.'), { a: [1, 2] });
+    assert.equal(Model.parseJSON('{"a": '), null);
+    assert.equal(Model.parseJSON(''), null);
+});
+
+test('the OpenAI-compatible adapter sends the system prompt, JSON mode and API key', async () => {
+    const { server, requests, baseUrl } = await startServer({
+        choices: [{ message: { content: '{"translation": "N zɩ̀ nà zaabā."}' } }],
+        usage: { prompt_tokens: 12, completion_tokens: 4 }
+    });
+    try {
+        const model = new Model('openai', 'llama3', { baseUrl, apiKey: 'test-key' });
+        const result = await model.chat([{ role: 'user', content: 'Je vais au marché.' }], { system: 'Translate.', json: true, temperature: 0 });
+
+        assert.deepEqual(result.json, { translation: 'N zɩ̀ nà zaabā.' });
+        assert.deepEqual(result.usage, { input_tokens: 12, output_tokens: 4, total_tokens: 16 });
+        assert.equal(requests[0].url, '/v1/chat/completions');
+        assert.equal(requests[0].headers.authorization, 'Bearer test-key');
+        assert.deepEqual(requests[0].body, {
+            model: 'llama3',
+            messages: [{ role: 'system', content: 'Translate.' }, { role: 'user', content: 'Je vais au marché.' }],
+            temperature: 0,
+            response_format: { type: 'json_object' }
+        });
+    } finally {
+        server.close();
+    }
+});
+
+test('HTTP errors surface with the status and the response body', async () => {
+    const server = http.createServer((req, res) => {
+        req.resume();
+        req.on('end', () => {
+            res.writeHead(429, { 'content-type': 'application/json' });
+            res.end('{"error": "rate limited"}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const model = new Model('local', null, { baseUrl: `http://127.0.0.1:${server.address().port}/v1` });
+        await assert.rejects(model.generate('Bonjour'), /failed with 429: \{"error": "rate limited"\}/);
+    } finally {
+        server.close();
+    }
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exportRecords, filterRecords, exporterFor, toRow } = require('../outputs');
+
+const records = [
+    {
+        id: 'r1', src_lang: 'fr', tgt_lang: 'mos', src: 'Je vais au marché.', tgt: 'N zɩ̀ nà zaabā.',
+        confidence: 0.95, status: 'auto_accepted', candidates: [{ tgt: 'N zɩ̀ nà zaabā.', source: 'corpus' }],
+        features: { alignment_margin: 1.2 }, timestamp: Date.UTC(2024, 0, 31, 9, 45, 12)
+    },
+    {
+        id: 'r2', src_lang: 'fr', tgt_lang: 'mos', src: 'Bonjour, "madame" & monsieur', tgt: 'Nɛ bɛɛ̀dã',
+        confidence: 0.6, status: 'review_recommended', candidates: [{ tgt: 'Nɛ bɛɛ̀dã', source: 'llm' }],
+        provenance: { document: 'docs/guide_sante.pdf', page: 2 }, features: { alignment_margin: 0.9 }, timestamp: Date.UTC(2024, 1, 1)
+    },
+    {
+        id: 'r3', src_lang: 'fr', tgt_lang: 'mos', src: 'Il pleut.', tgt: '<UNK:il> <UNK:pleut>',
+        confidence: 0.1, status: 'manual_review_required', candidates: [{ source: 'dictionary' }], timestamp: Date.UTC(2024, 1, 2)
+    },
+    {
+        id: 'r4', src_lang: 'fr', tgt_lang: 'mos', src: 'Merci.', tgt: 'Barka.',
+        confidence: 0, status: 'human_rejected', candidates: [{ source: 'llm' }], timestamp: Date.UTC(2024, 1, 3)
+    }
+];
+
+const ids = list => list.map(record => record.id);
+
+test('rejected records and untranslated words stay out of datasets unless asked for', () => {
+    assert.deepEqual(ids(filterRecords(records)), ['r1', 'r2']);
+    assert.deepEqual(ids(filterRecords(records, { includeRejected: true })), ['r1', 'r2', 'r4']);
+    assert.deepEqual(ids(filterRecords(records, { includeUnknown: true })), ['r1', 'r2', 'r3']);
+    assert.deepEqual(ids(filterRecords(records, { status: ['human_rejected'] })), ['r4']);
+});
+
+test('records filter on status, confidence, producing stage, origin document and margin', () => {
+    assert.deepEqual(ids(filterRecords(records, { status: ['auto_accepted', 'review_recommended'], minConfidence: 0.9 })), ['r1']);
+    assert.deepEqual(ids(filterRecords(records, { source: ['llm'] })), ['r2']);
+    assert.deepEqual(ids(filterRecords(records, { source: ['guide_sante.pdf'] })), ['r2']);
+    assert.deepEqual(ids(filterRecords(records, { minMargin: 1.05 })), ['r1']);
+});
+
+test('universal rows name the producing stage and the origin document', () => {
+    assert.deepEqual(toRow(records[1]), {
+        id: 'r2', src_lang: 'fr', tgt_lang: 'mos', src: 'Bonjour, "madame" & monsieur', tgt: 'Nɛ bɛɛ̀dã',
+        confidence: 0.6, status: 'review_recommended', source: 'llm', origin: 'docs/guide_sante.pdf', timestamp: Date.UTC(2024, 1, 1)
+    });
+});
+
+test('text formats serialize to a string when there is no output path', async () => {
+    const pairs = records.slice(0, 2);
+
+    const jsonl = await exportRecords(pairs, 'jsonl');
+    assert.deepEqual(jsonl.content.trim().split('\n').map(line => JSON.parse(line)), pairs);
+    assert.equal(jsonl.exported, 2);
+
+    const json = JSON.parse((await exportRecords(pairs, 'json', { datasetSource: 'afropairs' })).content);
+    assert.deepEqual(json, {
+        lang_from: 'fr',
+        lang_to: 'mos',
+        source: 'afropairs',
+        pairs: [
+            { text_fr: 'Je vais au marché.', text_mos: 'N zɩ̀ nà zaabā.' },
+            { text_fr: 'Bonjour, "madame" & monsieur', text_mos: 'Nɛ bɛɛ̀dã' }
+        ]
+    });
+
+    const csv = (await exportRecords(pairs, 'csv')).content.split('\n');
+    assert.equal(csv[0], 'id,src_lang,tgt_lang,src,tgt,confidence,status,source,origin,timestamp');
+    assert.equal(csv[2], `r2,fr,mos,"Bonjour, ""madame"" & monsieur",Nɛ bɛɛ̀dã,0.6,review_recommended,llm,docs/guide_sante.pdf,${Date.UTC(2024, 1, 1)}`);
+});
+
+test('TMX units carry both languages, escaped text and the record metadata', async () => {
+    const { content } = await exportRecords(records.slice(0, 2), 'tmx', { now: Date.UTC(2024, 2, 1) });
+    assert.match(content, /<header [^>]*srclang="fr"[^>]*creationdate="20240301T000000Z"\/>/);
+    assert.match(content, /<tu tuid="r1" creationdate="20240131T094512Z">/);
+    assert.match(content, /<prop type="x-confidence">0\.9500<\/prop>/);
+    assert.match(content, /<tuv xml:lang="mos"><seg>N zɩ̀ nà zaabā\.<\/seg><\/tuv>/);
+    assert.match(content, /<seg>Bonjour, &quot;madame&quot; &amp; monsieur<\/seg>/);
+    assert.match(content, /<prop type="x-origin">docs\/guide_sante\.pdf<\/prop>/);
+    assert.equal((content.match(/<tu /g) || []).length, 2);
+});
+
+test('TMX units without a numeric confidence have no confidence prop', async () => {
+    const unscored = [{ ...records[0], id: 'u1', confidence: undefined }, { ...records[0], id: 'u2', confidence: null }, records[3]];
+    const { content } = await exportRecords(unscored, 'tmx', { now: Date.UTC(2024, 2, 1) });
+    assert.equal((content.match(/<tu /g) || []).length, 3);
+    assert.deepEqual(content.match(/<prop type="x-confidence">[^<]*<\/prop>/g), ['<prop type="x-confidence">0.0000</prop>']);
+    assert.doesNotMatch(content, /NaN/);
+});
+
+test('the Hugging Face layout has translation rows and a dataset card', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-hf-'));
+    try {
+        await exportRecords(records.slice(0, 2), 'hf', { out: dir, license: 'cc-by-4.0', filters: { minConfidence: 0.5 } });
+        const rows = fs.readFileSync(path.join(dir, 'data', 'train.jsonl'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(rows[0], {
+            id: 'r1', translation: { fr: 'Je vais au marché.', mos: 'N zɩ̀ nà zaabā.' },
+            confidence: 0.95, status: 'auto_accepted', source: 'corpus', origin: null
+        });
+
+        const card = fs.readFileSync(path.join(dir, 'README.md'), 'utf-8');
+        assert.match(card, /^---\nlanguage:\n- fr\n- mos\nlicense: cc-by-4\.0\n/);
+        assert.match(card, /- n<1K/);
+        assert.match(card, /path: data\/train\.jsonl/);
+        assert.match(card, /# afropairs-fr-mos/);
+        assert.match(card, /with filters: minConfidence=0\.5/);
+        assert.match(card, /2 pairs, mean confidence 0\.775\./);
+        assert.match(card, /\| llm \| 1 \|/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('Parquet rows read back with their optional columns', async () => {
+    const parquet = require('parquetjs-lite');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-parquet-'));
+    const out = path.join(dir, 'pairs.parquet');
+    try {
+        await exportRecords(records.slice(0, 2), 'parquet', { out });
+
+        const reader = await parquet.ParquetReader.openFile(out);
+        const rows = [];
+        try {
+            const cursor = reader.getCursor();
+            for (let row = await cursor.next(); row; row = await cursor.next()) rows.push(row);
+        } finally {
+            await reader.close();
+        }
+        assert.deepEqual(rows.map(row => [row.id, row.tgt, row.source, row.origin, Number(row.timestamp)]), [
+            ['r1', 'N zɩ̀ nà zaabā.', 'corpus', undefined, Date.UTC(2024, 0, 31, 9, 45, 12)],
+            ['r2', 'Nɛ bɛɛ̀dã', 'llm', 'docs/guide_sante.pdf', Date.UTC(2024, 1, 1)]
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('binary and directory formats need an output path, unknown formats are refused', async () => {
+    await assert.rejects(exportRecords(records, 'parquet'), /"parquet" format cannot be written to stdout/);
+    await assert.rejects(exportRecords(records, 'hf'), /"hf" format cannot be written to stdout/);
+    assert.throws(() => exporterFor('xlsx'), /Unknown export format "xlsx" \(supported: jsonl, json, csv, parquet, tmx, hf\)/);
+});
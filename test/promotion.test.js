@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AfropairPipeline } = require('../index');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+function tempPipeline() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-promote-'));
+    const dictPath = path.join(dir, 'fr_mos_dict.tsv');
+    const corpusPath = path.join(dir, 'fr_mos_corpus.jsonl');
+    fs.copyFileSync(fixture('fr_mos_dict.tsv'), dictPath);
+    fs.copyFileSync(fixture('fr_mos_corpus.jsonl'), corpusPath);
+    const pipeline = new AfropairPipeline({ dictPath, corpusPath, outputPath: path.join(dir, 'translations.jsonl') });
+    return { dir, dictPath, corpusPath, pipeline };
+}
+
+const readJsonl = file => fs.readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+
+const records = [
+    { id: 'a', src_lang: 'fr', tgt_lang: 'mos', src: 'Le marché est grand.', tgt: 'Zaabā yaa gãnd.', status: 'auto_accepted', confidence: 0.85 },
+    { id: 'b', src_lang: 'fr', tgt_lang: 'mos', src: 'la farine', tgt: 'zoom', status: 'review_recommended', confidence: 0.6 },
+    { id: 'b', src_lang: 'fr', tgt_lang: 'mos', src: 'la farine', tgt: 'zoomã', status: 'human_accepted', confidence: 1, version: 2, review: { reviewer: 'awa' } },
+    { id: 'c', src_lang: 'fr', tgt_lang: 'mos', src: 'Il pleut.', tgt: '<UNK:pleut>', status: 'auto_accepted', confidence: 0.9 },
+    { id: 'd', src_lang: 'fr', tgt_lang: 'mos', src: 'Non.', tgt: 'Ayo.', status: 'human_rejected', confidence: 0 },
+    { id: 'e', src_lang: 'mos', tgt_lang: 'fr', src: 'Lɛmbɛ.', tgt: 'Le sel.', status: 'auto_accepted', confidence: 0.82 },
+    { id: 'f', src_lang: 'fr', tgt_lang: 'dyu', src: 'Merci.', tgt: 'I ni ce.', status: 'auto_accepted', confidence: 0.95 }
+];
+
+test('accepted records become corpus pairs and short ones dictionary proposals', async t => {
+    t.mock.method(console, 'log', () => {});
+    const { dir, dictPath, corpusPath, pipeline } = tempPipeline();
+    try {
+        const result = await pipeline.promote(records);
+        assert.deepEqual({ ...result, corpus_path: null, dictionary_path: path.basename(result.dictionary_path) }, {
+            step: 'promotion', considered: 7, promoted: 3, corpus_added: 3, corpus_path: null,
+            dictionary_mode: 'propose', dictionary_added: 2, dictionary_path: 'fr_mos_dict_proposals.tsv'
+        });
+
+        const added = readJsonl(corpusPath).slice(10);
+        assert.deepEqual(added.map(entry => [entry.fr, entry.mos]), [
+            ['Le marché est grand.', 'Zaabā yaa gãnd.'],
+            ['la farine', 'zoomã'],
+            ['Le sel.', 'Lɛmbɛ.']
+        ]);
+        assert.deepEqual(added[1].promotion, { record_id: 'b', status: 'human_accepted', confidence: 1, reviewer: 'awa' });
+
+        const proposals = fs.readFileSync(result.dictionary_path, 'utf-8').trim().split('\n');
+        assert.equal(proposals[0], 'fr_word\tmos_word\tpos\tscore\tnotes\torigin\trecord_id\treviewer');
+        assert.deepEqual(proposals.slice(1).map(line => line.split('\t').slice(0, 4)), [
+            ['la farine', 'zoomã', '', '1'],
+            ['Le sel', 'Lɛmbɛ', '', '0.82']
+        ]);
+        // The reviewed dictionary itself is untouched until a lexicographer merges the proposals
+        assert.equal(fs.readFileSync(dictPath, 'utf-8'), fs.readFileSync(fixture('fr_mos_dict.tsv'), 'utf-8'));
+
+        // The running pipeline already retrieves the new pairs
+        const { corpus_results: [match] } = await pipeline.corpusRetriever.process({ segments: [{ seg_id: 's1', text: 'Le marché est grand.' }] });
+        assert.equal(match.matches[0].tgt, 'Zaabā yaa gãnd.');
+
+        const again = await pipeline.promote(records);
+        assert.equal(again.corpus_added, 0);
+        assert.equal(again.dictionary_added, 0);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('merge mode writes straight into the dictionary and the lookup sees it', async t => {
+    t.mock.method(console, 'log', () => {});
+    const { dir, pipeline } = tempPipeline();
+    try {
+        const result = await pipeline.promote(records, { dictionary: 'merge', statuses: ['human_accepted'] });
+        assert.equal(result.promoted, 1);
+        assert.equal(result.dictionary_added, 1);
+        assert.equal(pipeline.dictLookup.store.lookup('la farine'), 'zoomã');
+        assert.ok(!fs.existsSync(path.join(dir, 'fr_mos_dict_proposals.tsv')));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('dictionary proposals can be turned off', async t => {
+    t.mock.method(console, 'log', () => {});
+    const { dir, pipeline } = tempPipeline();
+    try {
+        const result = await pipeline.promote(records, { dictionary: false, source: 'review_2024' });
+        assert.deepEqual([result.dictionary_mode, result.dictionary_added, result.dictionary_path], ['off', 0, null]);
+        assert.equal(readJsonl(pipeline.config.corpusPath).at(-1).source, 'review_2024');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
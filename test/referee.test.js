@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { AfropairPipeline } = require('../index');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+// Runs the stages up to the Referee and returns its result for the single segment of `sentence`
+async function referee(sentence, llmResult = null) {
+    const pipeline = new AfropairPipeline({
+        dictPath: fixture('fr_mos_dict.tsv'),
+        corpusPath: fixture('fr_mos_corpus.jsonl'),
+        outputPath: path.join(__dirname, 'unused', 'translations.jsonl')
+    });
+    let context = { src: sentence };
+    context = { ...context, ...await pipeline.splitter.process(context, pipeline.pair.src) };
+    context = { ...context, ...await pipeline.dictLookup.process(context) };
+    context = { ...context, ...await pipeline.corpusRetriever.process(context) };
+    if (llmResult) context.llm_results = [llmResult];
+    return (await pipeline.referee.process(context)).final_results[0];
+}
+
+test('a fuzzy corpus match is repaired with the dictionary translation of the differing word', async t => {
+    t.mock.method(console, 'log', () => {});
+    const result = await referee("J'aime manger du pain.");
+
+    assert.equal(result.final, 'N zɔg bɛɛ̀d dĩim.');
+    const [best] = result.candidates;
+    assert.equal(best.source, 'corpus_patched');
+    assert.deepEqual(best.details.patches.map(patch => [patch.query_text, patch.match_text, patch.tgt_before, patch.tgt_after]), [
+        ['pain', 'riz', 'rĩis', 'bɛɛ̀d']
+    ]);
+    assert.equal(best.details.tgt, 'N zɔg rĩis dĩim.');
+    assert.ok(best.confidence > 0.9 && best.confidence < 1);
+});
+
+test('the patch keeps the capital and punctuation of the corpus translation', async t => {
+    t.mock.method(console, 'log', () => {});
+    const result = await referee("Il fait froid aujourd'hui.");
+    assert.equal(result.final, 'Tɩ̂ dãar la yùupĩ.');
+    assert.equal(result.candidates[0].details.patches[0].tgt_before, 'gũunã');
+});
+
+test('differences the dictionary cannot translate are reported, not patched', async t => {
+    t.mock.method(console, 'log', () => {});
+    const result = await referee('Où est la école?');
+    const corpus = result.candidates.find(candidate => candidate.source === 'corpus');
+
+    assert.equal(corpus.tgt, 'Yĩ̃ la bonā?');
+    assert.deepEqual(corpus.details.unpatched, [{ query_text: 'école', match_text: 'maison' }]);
+    assert.ok(!result.candidates.some(candidate => candidate.source === 'corpus_patched'));
+});
+
+test('an exact corpus match is used as is', async t => {
+    t.mock.method(console, 'log', () => {});
+    const result = await referee('Je vais au marché.');
+    assert.equal(result.candidates[0].source, 'corpus');
+    assert.equal(result.candidates[0].confidence, 1);
+    assert.equal(result.final, 'N zɩ̀ nà zaabā.');
+});
+
+test('word links carry their dictionary, corpus or LLM evidence', async t => {
+    t.mock.method(console, 'log', () => {});
+    const llmResult = {
+        seg_id: 's1',
+        candidates: [{
+            tgt: 'N zɩ̀ nà zaabā kɩsã.',
+            source: 'llm',
+            confidence: 0.99,
+            details: { alignment: [['Je', 'N'], ['demain', 'kɩsã'], ['voiture', 'lok']] }
+        }]
+    };
+    const result = await referee('Je vais au marché demain.', llmResult);
+
+    assert.equal(result.final, 'N zɩ̀ nà zaabā kɩsã.');
+    assert.deepEqual(result.alignment.src_tokens, ['Je', 'vais', 'au', 'marché', 'demain']);
+    assert.deepEqual(result.alignment.tgt_tokens, ['N', 'zɩ̀', 'nà', 'zaabā', 'kɩsã']);
+    assert.deepEqual(result.alignment.links.map(link => [link.src, link.tgt, link.evidence]), [
+        [0, 0, 'llm'], [1, 1, 'dictionary'], [2, 2, 'dictionary'], [3, 3, 'dictionary'], [4, 4, 'dictionary']
+    ]);
+    assert.deepEqual(result.alignment.links[3].entry, { src: 'marché', tgt: 'zaabā', pos: 'NOUN', score: 0.97 });
+});
+
+test('corpus co-occurrence links words the dictionary does not know', async t => {
+    t.mock.method(console, 'log', () => {});
+    const result = await referee("J'aime manger du pain.");
+    const [corpusLink] = result.alignment.links.filter(link => link.evidence === 'corpus');
+    assert.deepEqual([corpusLink.src, corpusLink.tgt], [0, 0]);
+    assert.ok(corpusLink.dice >= 0.5 && corpusLink.count >= 2);
+});
+
+test('untranslated word placeholders are left out of the target tokens', async t => {
+    t.mock.method(console, 'log', () => {});
+    const result = await referee('Je vais à la maison demain.');
+
+    assert.equal(result.final, 'ànɛ zɩ̀ <UNK:à> la yĩ̃ kɩsã');
+    assert.deepEqual(result.alignment.tgt_tokens, ['ànɛ', 'zɩ̀', 'la', 'yĩ̃', 'kɩsã']);
+    assert.ok(!result.alignment.links.some(link => link.src === 2));
+    assert.deepEqual(result.alignment.links.filter(link => link.src === 4).map(link => link.tgt), [3]);
+});
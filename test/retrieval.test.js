@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CorpusRetriever } = require('../index');
+const Embedding = require('../utils/embedding');
+const VectorStore = require('../utils/vectorstore');
+const { LanguageRegistry } = require('../utils/languages');
+
+const pair = new LanguageRegistry().pair('fr', 'mos');
+const corpusPath = path.join(__dirname, 'fixtures', 'fr_mos_corpus.jsonl');
+
+test('hybrid retrieval finds a match the lexical threshold alone would drop', async t => {
+    t.mock.method(console, 'log', () => {});
+    const lexical = new CorpusRetriever(corpusPath, pair);
+    const hybrid = new CorpusRetriever(corpusPath, pair, { embedding: new Embedding('hashing') });
+    const input = { segments: [{ seg_id: 's1', text: 'je vais aux marchés' }, { seg_id: 's2', text: 'Bonne nuit' }] };
+
+    assert.deepEqual((await lexical.process(input)).corpus_results[0].matches, []);
+
+    const { corpus_results: results, meta } = await hybrid.process(input);
+    assert.equal(meta.retrieval, 'hybrid');
+    const [match] = results[0].matches;
+    assert.equal(match.tgt, 'N zɩ̀ nà zaabā.');
+    assert.ok(match.scores.lexical < 0.6 && match.scores.semantic >= 0.6);
+    assert.equal(match.sim, match.scores.semantic);
+    assert.ok(match.scores.rrf > 0);
+    assert.deepEqual(results[1].matches, []);
+});
+
+test('a persisted vector store is reused and only new corpus pairs are embedded', async t => {
+    t.mock.method(console, 'log', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-hybrid-'));
+    const copy = path.join(dir, 'corpus.jsonl');
+    const storePath = path.join(dir, 'vectors.json');
+    fs.copyFileSync(corpusPath, copy);
+    const open = () => {
+        const embedding = new Embedding('hashing');
+        const vectorStore = new VectorStore('file', { path: storePath, metric: 'cosine' });
+        return { embedding, vectorStore, retriever: new CorpusRetriever(copy, pair, { embedding, vectorStore }) };
+    };
+    try {
+        const first = open();
+        await first.retriever.loadCorpus();
+        assert.equal(first.embedding.stats.computed, 10);
+
+        const second = open();
+        await second.retriever.loadCorpus();
+        assert.equal(second.embedding.stats.computed, 0);
+        assert.equal((await second.vectorStore.has(['missing', ...second.retriever.vectorIds.keys()])).size, 10);
+
+        fs.appendFileSync(copy, JSON.stringify({ fr: 'Bonne nuit', mos: 'Yibeoogo', source: 'test' }) + '\n');
+        const third = open();
+        await third.retriever.loadCorpus();
+        assert.equal(third.embedding.stats.computed, 1);
+        assert.equal(await third.vectorStore.count(), 11);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('vectors from another embedder in a shared store are not returned', async t => {
+    t.mock.method(console, 'log', () => {});
+    const vectorStore = new VectorStore('file', { metric: 'cosine' });
+    const small = new CorpusRetriever(corpusPath, pair, { embedding: new Embedding('hashing', null, { dimension: 256 }), vectorStore });
+    await small.loadCorpus();
+    await vectorStore.upsert([{
+        id: 'foreign',
+        vector: await new Embedding('hashing').embed('je vais aux marchés'),
+        metadata: { src: 'je vais aux marchés', tgt: 'x', src_lang: 'fr', tgt_lang: 'mos', embedding: 'hashing/other' }
+    }]);
+
+    const matches = await small.searchHybrid('je vais aux marchés');
+    assert.deepEqual(matches.map(match => match.src), ['Je vais au marché.']);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AfropairPipeline } = require('../index');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+async function withPipeline(t, config, fn) {
+    t.mock.method(console, 'log', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-reverse-'));
+    try {
+        const pipeline = new AfropairPipeline({
+            dictPath: fixture('fr_mos_dict.tsv'),
+            corpusPath: fixture('fr_mos_corpus.jsonl'),
+            outputPath: path.join(dir, 'translations.jsonl'),
+            ...config
+        });
+        await fn(pipeline);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+test('a reversed pipeline swaps the corpus columns and indexes the dictionary by its target column', async t => {
+    await withPipeline(t, { direction: 'reverse' }, async pipeline => {
+        assert.equal(pipeline.pair.key, 'mos-fr');
+        assert.equal(pipeline.direction, 'reverse');
+        assert.deepEqual(pipeline.pair.columns.corpus, { src: 'mos', tgt: 'fr' });
+
+        await pipeline.corpusRetriever.loadCorpus();
+        assert.deepEqual(pipeline.corpusRetriever.corpus[0], { src: 'N zɩ̀ nà zaabā.', tgt: 'Je vais au marché.', source: 'manual_v1', sim: 1 });
+
+        await pipeline.dictLookup.loadDictionary();
+        assert.deepEqual(pipeline.dictLookup.dictionary.get('zaabā').map(entry => entry.tgt), ['marché']);
+        assert.equal(pipeline.dictLookup.dictionary.has('marché'), false);
+        // Several French headwords share one Mooré word
+        assert.deepEqual(pipeline.dictLookup.dictionary.get('la').map(entry => entry.tgt), ['le', 'la', 'les']);
+    });
+});
+
+test('reverse translation runs mos -> fr on the same resources', async t => {
+    await withPipeline(t, {}, async pipeline => {
+        const reverse = pipeline.reverse();
+        assert.equal(reverse.pair.key, 'mos-fr');
+        assert.equal(reverse.config.dictPath, pipeline.config.dictPath);
+        assert.equal(reverse.reverse().pair.key, 'fr-mos');
+
+        const result = await reverse.translateSentence('N zɩ̀ nà zaabā.');
+        assert.equal(result.success, true);
+        assert.equal(result.translation, 'Je vais au marché.');
+        assert.equal(result.records[0].src_lang, 'mos');
+        assert.equal(result.records[0].tgt_lang, 'fr');
+        assert.equal(result.records[0].candidates[0].source, 'corpus');
+    });
+});
+
+test('roundTrip returns the back-translation and its similarity to the input', async t => {
+    await withPipeline(t, {}, async pipeline => {
+        const exact = await pipeline.roundTrip('Je vais au marché.');
+        assert.equal(exact.success, true);
+        assert.equal(exact.translation, 'N zɩ̀ nà zaabā.');
+        assert.equal(exact.back_translation, 'Je vais au marché.');
+        assert.equal(exact.round_trip_similarity, 1);
+        assert.equal(exact.backward.records[0].src_lang, 'mos');
+
+        const lossy = await pipeline.roundTrip('Je vais à la maison demain.');
+        assert.equal(lossy.success, true);
+        assert.notEqual(lossy.back_translation, lossy.src);
+        assert.ok(lossy.round_trip_similarity > 0 && lossy.round_trip_similarity < 1);
+        assert.equal(lossy.round_trip_similarity, pipeline.corpusRetriever.similarity(lossy.src, lossy.back_translation));
+    });
+});
+
+test('unknown directions are refused', () => {
+    assert.throws(() => new AfropairPipeline({ direction: 'sideways' }), /Unknown direction: sideways/);
+});
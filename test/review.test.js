@@ -0,0 +1,228 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ReviewStore, ReviewServer, latestVersions } = require('../utils/review');
+
+const records = [
+    {
+        id: 'r1', src_lang: 'fr', tgt_lang: 'mos', src: 'Je vais au marché.', tgt: 'ànɛ zɩ̀ nà zaabā',
+        confidence: 0.62, status: 'review_recommended', explanation: 'Dictionary composition',
+        features: { source_confidence: 0.62, length_ratio: 0.9, unknown_words: 0, judge_score: 0.5 },
+        candidates: [{ tgt: 'ànɛ zɩ̀ nà zaabā', source: 'dictionary', confidence: 0.62 }],
+        alignment: {
+            src_tokens: ['Je', 'vais', 'au', 'marché'],
+            tgt_tokens: ['ànɛ', 'zɩ̀', 'nà', 'zaabā'],
+            links: [
+                { src: 0, tgt: 0, evidence: 'dictionary' },
+                { src: 1, tgt: 1, evidence: 'dictionary' },
+                { src: 2, tgt: 2, evidence: 'dictionary' },
+                { src: 3, tgt: 3, evidence: 'dictionary' }
+            ]
+        }
+    },
+    { id: 'r2', src_lang: 'fr', tgt_lang: 'mos', src: 'Il pleut.', tgt: '<UNK:il> <UNK:pleut>', confidence: 0.1, status: 'manual_review_required' },
+    { id: 'r3', src_lang: 'fr', tgt_lang: 'mos', src: 'Merci.', tgt: 'Barka.', confidence: 0.9, status: 'auto_accepted' }
+];
+
+function tempOutput() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-review-'));
+    const outputPath = path.join(dir, 'translations.jsonl');
+    fs.writeFileSync(outputPath, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+    return { dir, outputPath };
+}
+
+async function request(url, method = 'GET', body = undefined, type = 'application/json') {
+    const response = await fetch(url, {
+        method,
+        redirect: 'manual',
+        ...(body !== undefined ? { body: typeof body === 'string' ? body : JSON.stringify(body), headers: { 'content-type': type } } : {})
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, text, json: text.startsWith('{') ? JSON.parse(text) : null };
+}
+
+test('reviews append a new version and keep the history', async () => {
+    const { dir, outputPath } = tempOutput();
+    try {
+        const store = await new ReviewStore(outputPath).load();
+        assert.deepEqual(store.list().map(record => record.id), ['r1', 'r2']);
+
+        const accepted = await store.review('r1', { decision: 'accept', reviewer: 'awa', comment: 'ok' });
+        assert.equal(accepted.version, 2);
+        assert.equal(accepted.status, 'human_accepted');
+        assert.equal(accepted.confidence, 1);
+        assert.deepEqual({ ...accepted.review, reviewed_at: 0 }, {
+            decision: 'accepted', reviewer: 'awa', comment: 'ok', previous_tgt: 'ànɛ zɩ̀ nà zaabā',
+            previous_status: 'review_recommended', previous_confidence: 0.62, reviewed_at: 0
+        });
+        assert.deepEqual(accepted.candidates, records[0].candidates);
+
+        const rejected = await store.review('r2', { decision: 'reject', reviewer: 'awa' });
+        assert.equal(rejected.confidence, 0.1);
+
+        const lines = fs.readFileSync(outputPath, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(lines.length, 5);
+        assert.deepEqual(latestVersions(lines).map(record => [record.id, record.status]), [
+            ['r1', 'human_accepted'], ['r2', 'human_rejected'], ['r3', 'auto_accepted']
+        ]);
+        assert.equal((await new ReviewStore(outputPath).load()).get('r1').history.length, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('concurrent reviews of a record get successive versions, and a stale version is refused', async () => {
+    const { dir, outputPath } = tempOutput();
+    try {
+        const store = new ReviewStore(outputPath);
+        const [first, second] = await Promise.all([
+            store.review('r1', { decision: 'accept', reviewer: 'awa' }),
+            store.review('r1', { decision: 'edit', reviewer: 'issa', tgt: 'N zɩ̀ nà zaabā.' })
+        ]);
+        assert.deepEqual([first.version, second.version], [2, 3]);
+        assert.equal(second.review.previous_tgt, 'ànɛ zɩ̀ nà zaabā');
+
+        const results = await Promise.allSettled([
+            store.review('r2', { decision: 'reject', reviewer: 'awa', version: 1 }),
+            store.review('r2', { decision: 'reject', reviewer: 'issa', version: 1 })
+        ]);
+        assert.equal(results[0].value.version, 2);
+        assert.equal(results[1].reason.statusCode, 409);
+
+        const versions = fs.readFileSync(outputPath, 'utf-8').trim().split('\n').map(line => JSON.parse(line))
+            .filter(record => record.version).map(record => [record.id, record.version]);
+        assert.deepEqual(versions, [['r1', 2], ['r1', 3], ['r2', 2]]);
+        assert.equal(store.queues.size, 0);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('corrupt lines are skipped with a warning', async t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { dir, outputPath } = tempOutput();
+    try {
+        fs.appendFileSync(outputPath, '{"id": "r4", "src": "Cou\n');
+        const store = await new ReviewStore(outputPath).load();
+        assert.deepEqual(store.latest().map(record => record.id), ['r1', 'r2', 'r3']);
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[0].arguments[0], /Skipping invalid JSON on line 4 of .*translations\.jsonl/);
+        assert.equal((await store.review('r2', { decision: 'reject', reviewer: 'awa' })).version, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('an edit becomes the first candidate and keeps the links of the words still there', async () => {
+    const { dir, outputPath } = tempOutput();
+    try {
+        const store = new ReviewStore(outputPath);
+        const edited = await store.review('r1', { decision: 'edit', reviewer: 'awa', tgt: 'N zɩ̀ nà zaabā.' });
+
+        assert.equal(edited.tgt, 'N zɩ̀ nà zaabā.');
+        assert.equal(edited.confidence, 1);
+        assert.equal(edited.review.decision, 'edited');
+        assert.deepEqual(edited.candidates.map(candidate => [candidate.source, candidate.tgt]), [
+            ['human', 'N zɩ̀ nà zaabā.'], ['dictionary', 'ànɛ zɩ̀ nà zaabā']
+        ]);
+        assert.deepEqual(edited.features, { source_confidence: 0.62 });
+        assert.deepEqual(edited.alignment.tgt_tokens, ['N', 'zɩ̀', 'nà', 'zaabā']);
+        assert.deepEqual(edited.alignment.links.map(link => [link.src, link.tgt]), [[1, 1], [2, 2], [3, 3]]);
+        assert.equal(edited.explanation, 'Corrected by awa during review');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('invalid reviews are refused with their HTTP status', async () => {
+    const { dir, outputPath } = tempOutput();
+    try {
+        const store = new ReviewStore(outputPath);
+        const statusOf = input => store.review(input.id || 'r1', input).then(() => 'ok', error => error.statusCode);
+
+        assert.equal(await statusOf({ id: 'missing', decision: 'accept', reviewer: 'awa' }), 404);
+        assert.equal(await statusOf({ decision: 'approve', reviewer: 'awa' }), 400);
+        assert.equal(await statusOf({ decision: 'accept', reviewer: ' ' }), 400);
+        assert.equal(await statusOf({ decision: 'edit', reviewer: 'awa', tgt: '' }), 400);
+        assert.equal(await statusOf({ decision: 'accept', reviewer: 'awa', version: 1 }), 'ok');
+        // A second reviewer still looking at version 1
+        assert.equal(await statusOf({ decision: 'reject', reviewer: 'issa', version: 1 }), 409);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the server lists, shows and reviews records over its JSON API', async () => {
+    const { dir, outputPath } = tempOutput();
+    const server = new ReviewServer(new ReviewStore(outputPath), { port: 0 });
+    try {
+        const url = await server.start();
+
+        const pending = await request(`${url}/api/records`);
+        assert.deepEqual(pending.json.records.map(record => record.id), ['r1', 'r2']);
+        assert.equal((await request(`${url}/api/records?status=all`)).json.total, 3);
+        assert.equal((await request(`${url}/api/records?status=auto_accepted`)).json.records[0].id, 'r3');
+
+        const reviewed = await request(`${url}/api/records/r1/review`, 'POST', { decision: 'accept', reviewer: 'awa', version: 1 });
+        assert.equal(reviewed.status, 201);
+        assert.equal(reviewed.json.record.version, 2);
+
+        const conflict = await request(`${url}/api/records/r1/review`, 'POST', { decision: 'reject', reviewer: 'issa', version: 1 });
+        assert.equal(conflict.status, 409);
+        assert.match(conflict.json.error, /changed since version 1 \(now 2\)/);
+
+        const shown = await request(`${url}/api/records/r1`);
+        assert.equal(shown.json.history.length, 2);
+        assert.equal(shown.json.record.status, 'human_accepted');
+    } finally {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the server answers bad requests with 4xx, not 500', async () => {
+    const { dir, outputPath } = tempOutput();
+    const server = new ReviewServer(new ReviewStore(outputPath), { port: 0 });
+    try {
+        const url = await server.start();
+
+        const malformed = await request(`${url}/api/records/%E0`);
+        assert.equal(malformed.status, 400);
+        assert.match(malformed.json.error, /Malformed URL/);
+        assert.equal((await request(`${url}/api/records/missing`)).status, 404);
+        assert.equal((await request(`${url}/api/nothing`)).status, 404);
+        assert.equal((await request(`${url}/api/records/r1/review`, 'POST', '{"decision":', 'application/json')).status, 400);
+    } finally {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the HTML page escapes record text and form posts redirect back to the list', async () => {
+    const { dir, outputPath } = tempOutput();
+    const server = new ReviewServer(new ReviewStore(outputPath), { port: 0, reviewer: 'awa' });
+    try {
+        const url = await server.start();
+
+        const page = await request(`${url}/`);
+        assert.equal(page.status, 200);
+        assert.match(page.text, /2 record\(s\) with status <strong>pending<\/strong>/);
+        assert.match(page.text, /&lt;UNK:il&gt; &lt;UNK:pleut&gt;/);
+        assert.doesNotMatch(page.text, /<UNK:/);
+
+        const form = new URLSearchParams({ decision: 'edit', reviewer: 'awa', tgt: 'Saagã wata.', version: '1', list_status: 'pending' });
+        const posted = await request(`${url}/records/r2/review`, 'POST', form.toString(), 'application/x-www-form-urlencoded');
+        assert.equal(posted.status, 303);
+        assert.equal(posted.headers.get('location'), '/?reviewer=awa&status=pending');
+        assert.equal((await request(`${url}/api/records/r2`)).json.record.tgt, 'Saagã wata.');
+
+        const failed = await request(`${url}/records/r2/review`, 'POST', form.toString(), 'application/x-www-form-urlencoded');
+        assert.equal(failed.status, 409);
+        assert.match(failed.text, /<p class="error">Record r2 changed since version 1/);
+    } finally {
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { loadSource, toCorpusPairs, toDictionaryEntries, CsvLoader } = require('../sources');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+test('text loader splits paragraphs on blank lines and keeps their first line', async () => {
+    const document = await loadSource(fixture('notice.txt'));
+    assert.equal(document.type, 'text');
+    assert.deepEqual(document.paragraphs.map(paragraph => paragraph.text), [
+        'Le centre de santé ouvre à huit heures.\nApportez votre carnet de vaccination.',
+        'Les enfants de moins de cinq ans sont vus en priorité.'
+    ]);
+    assert.deepEqual(document.paragraphs[1].provenance, { document: fixture('notice.txt'), paragraph: 2, line: 4 });
+});
+
+test('html loader drops navigation and scripts, decodes entities and keeps line breaks', async () => {
+    const document = await loadSource(fixture('communique.html'));
+    assert.equal(document.title, 'Communiqué du ministère');
+    assert.deepEqual(document.paragraphs.map(paragraph => paragraph.text), [
+        'Campagne de vaccination',
+        'La campagne commence le lundi dans tous les districts sanitaires.',
+        'Les parents sont invités à se présenter avec leurs enfants.\nMerci de votre participation.'
+    ]);
+});
+
+test('pdf loader rebuilds paragraphs from line gaps and rejoins hyphenated words', async () => {
+    const document = await loadSource(fixture('guide.pdf'));
+    assert.equal(document.title, 'Guide de santé');
+    assert.equal(document.pages, 1);
+    assert.deepEqual(document.paragraphs.map(paragraph => paragraph.text), [
+        'Le centre de santé ouvre tous les matins à huit heures.',
+        'Les enfants de moins de cinq ans sont vus en priorité.'
+    ]);
+    assert.deepEqual(document.paragraphs[1].provenance, { document: fixture('guide.pdf'), page: 1, paragraph: 2 });
+});
+
+test('docx loader returns non-empty Word paragraphs and conversion warnings', async () => {
+    const document = await loadSource(fixture('rapport.docx'));
+    assert.deepEqual(document.paragraphs.map(paragraph => paragraph.text), [
+        "Rapport annuel de l'association",
+        'Nous avons formé vingt enseignants.',
+        'Les écoles ont reçu des manuels en mooré.'
+    ]);
+    assert.deepEqual(document.warnings, []);
+});
+
+test('csv loader handles quoted delimiters and maps rows to dictionary entries', async () => {
+    const document = await loadSource(fixture('lexique.csv'));
+    assert.deepEqual(document.columns, ['fr', 'mos', 'pos', 'score']);
+    assert.equal(document.rows[2].values.fr, 'bonjour, madame');
+    assert.equal(document.rows[2].provenance.row, 4);
+
+    const entries = toDictionaryEntries(document, { src: 'fr', tgt: 'mos', pos: 'pos', score: 'score' });
+    assert.deepEqual(entries[0], { src: 'eau', tgt: 'kõom', pos: 'NOUN', score: 0.9 });
+    assert.throws(() => toDictionaryEntries(document, { src: 'dyu' }), /no column "dyu"/);
+});
+
+test('tsv loader reads the header and gives corpus pairs with provenance', async () => {
+    const document = await loadSource(fixture('pairs.tsv'));
+    const pairs = toCorpusPairs(document, { srcColumn: 'fr', tgtColumn: 'mos' });
+    assert.equal(pairs.length, 2);
+    assert.deepEqual(pairs[0], {
+        src: 'Je vais au marché.',
+        tgt: 'N zɩ̀ nà zaabā.',
+        source: 'pairs.tsv',
+        provenance: { document: fixture('pairs.tsv'), row: 2 }
+    });
+});
+
+test('csv text column becomes translatable paragraphs', () => {
+    const document = new CsvLoader({ textColumn: 'fr' }).parse('fr,mos\neau,kõom\n,\n', 'inline.csv');
+    assert.deepEqual(document.paragraphs, [{ text: 'eau', provenance: { document: 'inline.csv', row: 2, column: 'fr' } }]);
+    assert.throws(() => new CsvLoader({ textColumn: 'dyu' }).parse('fr,mos\n', 'inline.csv'), /no column "dyu"/);
+});
+
+test('unknown extensions are refused', async () => {
+    await assert.rejects(loadSource('notes.odt'), /No source loader for "\.odt"/);
+});
+
+test('ingest reads a headed TSV through the table loader, without its header row', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-ingest-'));
+    const corpusPath = path.join(dir, 'corpus.jsonl');
+    try {
+        const output = execFileSync(process.execPath, [
+            path.join(__dirname, '..', 'cli.js'), 'ingest', fixture('pairs.tsv'),
+            '--corpus', corpusPath, '--dict', path.join(dir, 'dict.tsv'), '--output', path.join(dir, 'out.jsonl'), '--json'
+        ], { cwd: dir, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] });
+
+        assert.deepEqual(JSON.parse(output), { read: 2, added: 2, skipped: 0, corpus_path: corpusPath });
+        const lines = fs.readFileSync(corpusPath, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(lines.map(line => line.fr), ['Je vais au marché.', 'Bonjour.']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Splitter = require('../utils/spliter');
+const { LanguageRegistry } = require('../utils/languages');
+
+const french = new LanguageRegistry().get('fr');
+
+test('segments keep real offsets into the source text', async () => {
+    const src = 'Bonjour, comment ça va? Je vais bien.';
+    const { segments } = await Splitter.process({ src }, french);
+
+    assert.deepEqual(segments.map(segment => segment.text), ['Bonjour, comment ça va?', 'Je vais bien.']);
+    for (const segment of segments) {
+        assert.equal(src.slice(segment.start, segment.end), segment.text);
+    }
+    assert.deepEqual(segments.map(segment => segment.seg_id), ['s1', 's2']);
+});
+
+test('abbreviations and decimals do not end a sentence, sentence-final abbreviations do', async () => {
+    const { segments } = await Splitter.process({ src: 'M. Ouédraogo a payé 3.5 millions, etc. Il est parti.' }, french);
+    assert.deepEqual(segments.map(segment => segment.text), ['M. Ouédraogo a payé 3.5 millions, etc.', 'Il est parti.']);
+    assert.ok(segments[0].tokens.includes('3.5'));
+});
+
+test('list items and blank lines start new segments without their markers', async () => {
+    const src = 'Liste :\n1. Eau potable.\n- Savon\n\nNouveau paragraphe sans point';
+    const { segments } = await Splitter.process({ src }, french);
+    assert.deepEqual(segments.map(segment => segment.text), ['Liste :', 'Eau potable.', 'Savon', 'Nouveau paragraphe sans point']);
+    assert.equal(src.slice(segments[1].start, segments[1].end), 'Eau potable.');
+});
+
+test('tokens come from the language tokenizer', async () => {
+    const { segments } = await Splitter.process({ src: "J'aime aujourd'hui l'école." }, french);
+    assert.deepEqual(segments[0].tokens, ["J'", 'aime', "aujourd'hui", "l'", 'école']);
+    assert.equal(segments[0].token_spans[0].norm, 'je');
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Tokenizer, createTokenizer } = require('../utils/tokenizer');
+const { LanguageRegistry } = require('../utils/languages');
+
+const registry = new LanguageRegistry();
+
+test('elision and clitics are split with their lookup forms', () => {
+    const tokens = createTokenizer(registry.get('fr')).tokenizeDetailed("Qu'est-ce que l'enfant va-t-il dire ?");
+    assert.deepEqual(tokens.map(token => [token.text, token.norm, token.type]), [
+        ["Qu'", 'que', 'elision'],
+        ['est', 'est', 'word'],
+        ['-ce', 'ce', 'clitic'],
+        ['que', 'que', 'word'],
+        ["l'", 'le', 'elision'],
+        ['enfant', 'enfant', 'word'],
+        ['va', 'va', 'word'],
+        ['-t-il', 'il', 'clitic'],
+        ['dire', 'dire', 'word']
+    ]);
+});
+
+test('offsets index the raw text', () => {
+    const text = 'Je vais au marché demain.';
+    for (const token of createTokenizer(registry.get('fr')).tokenizeDetailed(text)) {
+        assert.equal(text.slice(token.start, token.end).normalize('NFC'), token.text);
+    }
+});
+
+test('combining tone marks match however they were typed', () => {
+    const tokenizer = createTokenizer(registry.get('mos'));
+    const composed = tokenizer.tokenizeDetailed('z\u0269\u0303 b\u00F5e');
+    const decomposed = tokenizer.tokenizeDetailed('z\u0269\u0303 bo\u0303e');
+    assert.deepEqual(decomposed.map(token => token.norm), composed.map(token => token.norm));
+    assert.deepEqual(decomposed.map(token => [token.start, token.end]), [[0, 3], [4, 8]]);
+});
+
+test('protected entries are matched when normalization changes the text length', () => {
+    const tokenizer = new Tokenizer({ normalization: { form: 'NFC' }, tokenizer: { protected: ["aujourd'hui", 'Burkina Faso'] } });
+    // "é" typed as e + combining acute: NFC makes the text one character shorter
+    const text = 'Le te\u0301le\u0301phone du BURKINA FASO marche aujourd\u2019hui.';
+    const tokens = tokenizer.tokenizeDetailed(text);
+    const spans = tokens.filter(token => token.type === 'protected');
+
+    assert.deepEqual(spans.map(token => token.norm), ['burkina faso', "aujourd'hui"]);
+    for (const token of spans) {
+        assert.equal(text.slice(token.start, token.end), token.text);
+    }
+    assert.deepEqual(tokens.map(token => token.text), ['Le', 'téléphone', 'du', 'BURKINA FASO', 'marche', 'aujourd’hui']);
+});
+
+test('protected entries need word boundaries', () => {
+    const tokenizer = new Tokenizer({ tokenizer: { protected: ['au revoir'] } });
+    assert.deepEqual(tokenizer.tokenize('Dis au revoir.'), ['Dis', 'au revoir']);
+    assert.deepEqual(tokenizer.tokenize('beau revoir'), ['beau', 'revoir']);
+});
+
+test('unknown tokenizer types are refused', () => {
+    assert.throws(() => createTokenizer({ tokenizer: { type: 'bpe' } }), /Unsupported tokenizer: bpe/);
+});
+
+test('ambiguous elisions keep their other readings as alternatives', () => {
+    const tokens = createTokenizer(registry.get('fr')).tokenizeDetailed("S'il va à l'école, j'y vais");
+    assert.deepEqual(tokens.filter(token => token.type === 'elision').map(token => [token.text, token.norm, token.alternatives]), [
+        ["S'", 'se', ['si']],
+        ["l'", 'le', ['la']],
+        ["j'", 'je', undefined]
+    ]);
+});
+
+test('protected compounds are not split as a word and a clitic', () => {
+    const tokenizer = createTokenizer(registry.get('fr'));
+    assert.deepEqual(tokenizer.tokenizeDetailed('Prenez rendez-vous demain').map(token => [token.text, token.type]), [
+        ['Prenez', 'word'], ['rendez-vous', 'protected'], ['demain', 'word']
+    ]);
+    assert.deepEqual(tokenizer.tokenize('Venez-vous ?'), ['Venez', '-vous']);
+});
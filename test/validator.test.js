@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Model = require('../utils/model');
+const { Validator, Scorer, AfropairPipeline } = require('../index');
+const { LanguageRegistry } = require('../utils/languages');
+
+const pair = new LanguageRegistry().pair('fr', 'mos');
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+const result = {
+    seg_id: 's1',
+    src_text: 'Je vais au marché.',
+    final: 'N zɩ̀ nà zaabā.',
+    candidates: [{ tgt: 'N zɩ̀ nà zaabā.', source: 'corpus', confidence: 0.9 }]
+};
+
+test('verdicts are clamped to the 1-5 scale and mapped to a 0-1 score', () => {
+    const validator = new Validator(new Model('mock'), pair);
+    assert.deepEqual(validator.parseVerdict({ adequacy: 7, fluency: '3', terminology: 0, hallucination: 'true' }), {
+        adequacy: 5, fluency: 3, terminology: 1, hallucination: true, comment: '', score: 0.5
+    });
+    assert.equal(validator.parseVerdict({ adequacy: 5, fluency: 5 }), null);
+    assert.equal(validator.parseVerdict(null), null);
+});
+
+test('the mock judge answers the rubric and the verdict is cached on disk', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-judge-'));
+    const cachePath = path.join(dir, 'judge_cache.json');
+    try {
+        const model = new Model('mock');
+        const first = await new Validator(model, pair, { cachePath }).process({ final_results: [result] });
+        const [validation] = first.validations;
+        assert.equal(validation.cached, false);
+        assert.ok(validation.verdict.score >= 0.5 && validation.verdict.score <= 1);
+        assert.equal(validation.verdict.hallucination, false);
+        assert.ok(fs.existsSync(cachePath));
+
+        const second = await new Validator(model, pair, { cachePath }).process({ final_results: [result] });
+        assert.deepEqual(second.validations[0], { ...validation, cached: true });
+        assert.equal(second.meta.cached, 1);
+        assert.equal(model.client.calls.length, 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('untranslated segments are skipped and unparseable answers give no verdict', async () => {
+    const validator = new Validator(new Model('mock', null, { responses: 'Très bonne traduction.' }), pair);
+    const { validations } = await validator.process({ final_results: [{ ...result, seg_id: 's0', candidates: [] }, result] });
+    assert.deepEqual(validations[0], { seg_id: 's0', verdict: null, cached: false, skipped: true });
+    assert.equal(validations[1].verdict, null);
+    assert.equal(validations[1].error, 'Unparseable judge verdict');
+});
+
+test('the Scorer blends the verdict at the judge weight and caps hallucinations', () => {
+    const verdict = { adequacy: 5, fluency: 5, terminology: 5, hallucination: false, score: 1 };
+    const heuristic = new Scorer().calculateCompositeScore(result).confidence;
+
+    assert.equal(new Scorer({ judgeWeight: undefined }).judgeWeight, 0.5);
+    assert.equal(new Scorer().calculateCompositeScore(result, verdict).confidence, 0.5 * heuristic + 0.5);
+    assert.equal(new Scorer({ judgeWeight: 0 }).calculateCompositeScore(result, verdict).confidence, heuristic);
+    assert.equal(new Scorer().calculateCompositeScore(result, { ...verdict, hallucination: true }).confidence, 0.5);
+    assert.equal(new Scorer().calculateCompositeScore(result, verdict).features.judge_score, 1);
+});
+
+test('the pipeline judges with the configured model unless validation is turned off', async t => {
+    t.mock.method(console, 'log', () => {});
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-judge-'));
+    try {
+        const pipeline = new AfropairPipeline({
+            dictPath: fixture('fr_mos_dict.tsv'),
+            corpusPath: fixture('fr_mos_corpus.jsonl'),
+            outputPath: path.join(dir, 'translations.jsonl'),
+            judge: { provider: 'mock' }
+        });
+        const judged = await pipeline.translateSentence('Je vais au marché.');
+        assert.equal(judged.context.validations.length, 1);
+        assert.ok('judge_score' in judged.context.scored_results[0].quality_features);
+        assert.ok(fs.existsSync(path.join(dir, 'judge_cache.json')));
+
+        const skipped = await pipeline.translateSentence('Bonjour.', { validate: false });
+        assert.equal(skipped.context.validations, undefined);
+        assert.ok(!('judge_score' in skipped.context.scored_results[0].quality_features));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
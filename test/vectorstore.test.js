@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VectorStore = require('../utils/vectorstore');
+
+const items = [
+    { id: 'c1', vector: [1, 0, 0], metadata: { src: 'Bonjour', tgt: 'Ne y windga', src_lang: 'fr', tgt_lang: 'mos' } },
+    { id: 'c2', vector: [0.8, 0.6, 0], metadata: { src: 'Bonsoir', tgt: 'Ne y zaabre', src_lang: 'fr', tgt_lang: 'mos' } },
+    { id: 'c3', vector: [0, 0, 1], metadata: { src: 'Merci', tgt: 'Barka', src_lang: 'fr', tgt_lang: 'dyu' } }
+];
+
+test('the file store searches in memory with cosine scores and metadata filters', async () => {
+    const store = new VectorStore('file');
+    assert.equal(await store.upsert(items), 3);
+    assert.equal(store.dimension, 3);
+
+    const hits = await store.search([1, 0, 0], 2);
+    assert.deepEqual(hits.map(hit => hit.id), ['c1', 'c2']);
+    assert.equal(hits[0].score, 1);
+    assert.ok(Math.abs(hits[1].score - 0.8) < 1e-6);
+    assert.ok(Math.abs(hits[1].distance - 0.2) < 1e-6);
+
+    assert.deepEqual((await store.search([0, 1, 0], 5, { tgt_lang: 'mos' })).map(hit => hit.id), ['c2', 'c1']);
+    assert.equal(await store.count({ tgt_lang: ['mos', 'dyu'] }), 3);
+    assert.equal(await store.count({ src: 'Merci' }), 1);
+});
+
+test('l2 and inner product scores are higher for closer vectors', async () => {
+    const l2 = new VectorStore('file', { metric: 'l2' });
+    await l2.upsert(items);
+    const [near, far] = await l2.search([1, 0, 0], 2);
+    assert.deepEqual([near.id, near.score, near.distance], ['c1', -0, 0]);
+    assert.ok(far.score < near.score);
+
+    const ip = new VectorStore('file', { metric: 'ip' });
+    await ip.upsert(items);
+    assert.equal((await ip.search([0, 0, 2], 1))[0].score, 2);
+
+    assert.throws(() => new VectorStore('file', { metric: 'manhattan' }), /Unsupported metric: manhattan/);
+});
+
+test('upsert replaces, delete removes, and wrong dimensions are refused', async () => {
+    const store = new VectorStore('file', { dimension: 3 });
+    await store.upsert(items);
+    await store.upsert([{ id: 'c1', vector: [0, 1, 0], metadata: { src: 'Salut' } }]);
+
+    assert.deepEqual(await store.get('c1'), { id: 'c1', vector: [0, 1, 0], metadata: { src: 'Salut' } });
+    assert.equal(await store.delete(['c1', 'missing']), 1);
+    assert.equal(await store.get('c1'), null);
+    assert.equal(await store.count(), 2);
+
+    await assert.rejects(store.upsert([{ id: 'c4', vector: [1, 0] }]), /dimension 2, store expects 3/);
+    await assert.rejects(store.upsert([{ vector: [1, 0, 0] }]), /need an "id"/);
+    await assert.rejects(store.search([], 1), /non-empty arrays/);
+});
+
+test('a file store persists to disk and refuses a different metric or dimension', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'afropairs-vectors-'));
+    const storePath = path.join(dir, 'vectors.json');
+    try {
+        const store = new VectorStore('file', { path: storePath, metric: 'cosine' });
+        const id = await store.add('Bonjour', 'Ne y windga', [0.25, 0.5, 1], { src_lang: 'fr' });
+        await store.close();
+
+        const reopened = new VectorStore('file', { path: storePath, metric: 'cosine' });
+        assert.deepEqual(await reopened.get(id), {
+            id,
+            vector: [0.25, 0.5, 1],
+            metadata: { src: 'Bonjour', tgt: 'Ne y windga', src_lang: 'fr' }
+        });
+        assert.equal(reopened.dimension, 3);
+
+        await assert.rejects(new VectorStore('file', { path: storePath, metric: 'l2' }).init(), /built for metric "cosine"/);
+        await assert.rejects(new VectorStore('file', { path: storePath, metric: 'cosine', dimension: 4 }).init(), /has dimension 3, expected 4/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('unknown backends are refused', () => {
+    assert.throws(() => new VectorStore('faiss'), /Unsupported vector store: faiss \(available: file, pgvector\)/);
+});
+
+test('a failed init is not cached, so the next call retries it', async () => {
+    let attempts = 0;
+    VectorStore.registerBackend('flaky', class {
+        async init() {
+            attempts++;
+            if (attempts === 1) throw new Error('connection refused');
+        }
+
+        async count() {
+            return 0;
+        }
+
+        async close() {}
+    });
+
+    const store = new VectorStore('flaky');
+    await assert.rejects(store.count(), /connection refused/);
+    assert.equal(await store.count(), 0);
+    assert.equal(await store.count(), 0);
+    assert.equal(attempts, 2);
+    await store.close();
+});
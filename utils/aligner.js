@@ -0,0 +1,230 @@
+/*
+* This is the document aligner utility module. It aligns the sentences of a document with the sentences of its translation.
+* In a standard Afropair pipeline, it turns comparable bilingual sources (a ministry leaflet and its Mooré version) into corpus pairs.
+* Both documents are split with the Splitter, then aligned with the Gale–Church (1993) length-based dynamic programme:
+* sentence lengths in characters are expected to be proportional across languages, with the ratio estimated from the two documents.
+* The length cost is refined with dictionary anchors: source words whose dictionary translation appears in the candidate target
+* sentences make that alignment cheaper, which keeps the DP on track through runs of similar-length sentences.
+* Supported beads are 1-1, 1-2, 2-1 and the skips 1-0 and 0-1 (a sentence with no counterpart, kept in the output but never emitted as a pair).
+* The search is restricted to a band around the diagonal (options.band sentences on each side), as translations rarely drift further.
+* Every bead gets a score in [0, 1]: the Gale–Church length probability, averaged with the anchor ratio when the dictionary knows some words.
+* Example usage:
+* const aligner = new DocumentAligner(registry.pair('fr', 'mos'), { dictLookup });
+* const result = await aligner.align(frenchText, mooreText);
+* console.log(result.alignments[0]); // Outputs: { type: '1-1', src: 'Je vais au marché.', tgt: 'N zɩ̀ nà zaabā.', score: 0.93, ... }
+* const entries = aligner.toCorpus(result, { source: 'ministry_leaflet_2024', minScore: 0.5 });
+*/
+const Splitter = require('./spliter');
+const { createTokenizer } = require('./tokenizer');
+const { normalize } = require('./languages');
+
+// Gale & Church (1993): prior of each bead type and variance of the length difference
+const BEADS = [
+    { src: 1, tgt: 1, prior: 0.89 },
+    { src: 1, tgt: 0, prior: 0.0099 / 2 },
+    { src: 0, tgt: 1, prior: 0.0099 / 2 },
+    { src: 2, tgt: 1, prior: 0.089 / 2 },
+    { src: 1, tgt: 2, prior: 0.089 / 2 }
+];
+const VARIANCE = 6.8;
+
+class DocumentAligner {
+    constructor(pair = {}, options = {}) {
+        this.pair = pair;
+        this.dictLookup = options.dictLookup || null;
+        // Cost (in nats) saved by a bead whose source words are all matched by dictionary anchors
+        this.anchorWeight = options.anchorWeight !== undefined ? options.anchorWeight : 3;
+        // Half-width, in sentences, of the band around the diagonal searched by the dynamic programme
+        this.band = options.band || 30;
+        this.tgtTokenizer = createTokenizer(pair.tgt || {});
+    }
+
+    async align(srcText, tgtText) {
+        const srcSegments = (await Splitter.process({ src: srcText }, this.pair.src || {})).segments;
+        const tgtSegments = (await Splitter.process({ src: tgtText }, this.pair.tgt || {})).segments;
+
+        const srcLengths = srcSegments.map(segment => segment.text.length);
+        const tgtLengths = tgtSegments.map(segment => segment.text.length);
+        const srcTotal = srcLengths.reduce((sum, length) => sum + length, 0);
+        const tgtTotal = tgtLengths.reduce((sum, length) => sum + length, 0);
+        // Characters of target per character of source, measured on these two documents
+        const ratio = srcTotal > 0 && tgtTotal > 0 ? tgtTotal / srcTotal : 1;
+
+        const anchors = await this.sourceAnchors(srcSegments);
+        const tgtNorms = tgtSegments.map(segment => this.targetNorms(segment));
+
+        const beads = this.search(srcLengths, tgtLengths, ratio, anchors, tgtNorms);
+        const alignments = beads.map(bead => {
+            const src = srcSegments.slice(bead.i, bead.i + bead.src);
+            const tgt = tgtSegments.slice(bead.j, bead.j + bead.tgt);
+            return {
+                type: `${bead.src}-${bead.tgt}`,
+                src_ids: src.map(segment => segment.seg_id),
+                tgt_ids: tgt.map(segment => segment.seg_id),
+                src: src.map(segment => segment.text).join(' '),
+                tgt: tgt.map(segment => segment.text).join(' '),
+                score: bead.score,
+                length_prob: bead.lengthProb,
+                anchors: bead.anchors
+            };
+        });
+
+        return {
+            step: "document_aligner",
+            alignments,
+            stats: {
+                src_segments: srcSegments.length,
+                tgt_segments: tgtSegments.length,
+                length_ratio: ratio,
+                beads: alignments.reduce((counts, alignment) => {
+                    counts[alignment.type] = (counts[alignment.type] || 0) + 1;
+                    return counts;
+                }, {})
+            },
+            meta: {
+                timestamp: Date.now(),
+                provenance: ["document_aligner_v1"]
+            }
+        };
+    }
+
+    // ---------------------------------------------------------------
+    // Dynamic programme
+    // ---------------------------------------------------------------
+    search(srcLengths, tgtLengths, ratio, anchors, tgtNorms) {
+        const n = srcLengths.length;
+        const m = tgtLengths.length;
+        // Only cells within `band` sentences of the diagonal are explored, so memory and time grow with (n + m) * band.
+        // The band is never narrower than the slope m / n, or consecutive rows would not overlap and (n, m) would be unreachable.
+        const band = n === 0 || m === 0 ? Math.max(n, m) : Math.max(this.band, 2, Math.ceil(m / n));
+        const rows = [];
+        for (let i = 0; i <= n; i++) {
+            const center = n > 0 ? i * m / n : 0;
+            const lo = Math.max(0, Math.floor(center - band));
+            const hi = Math.min(m, Math.ceil(center + band));
+            rows.push({ lo, hi, cost: new Array(hi - lo + 1).fill(Infinity), back: new Array(hi - lo + 1).fill(null) });
+        }
+        const costAt = (i, j) => (j < rows[i].lo || j > rows[i].hi ? Infinity : rows[i].cost[j - rows[i].lo]);
+        rows[0].cost[0] = 0;
+
+        for (let i = 0; i <= n; i++) {
+            const row = rows[i];
+            for (let j = row.lo; j <= row.hi; j++) {
+                if (i === 0 && j === 0) continue;
+
+                for (const type of BEADS) {
+                    const pi = i - type.src;
+                    const pj = j - type.tgt;
+                    if (pi < 0 || pj < 0 || costAt(pi, pj) === Infinity) continue;
+
+                    const bead = this.beadCost(type, pi, pj, srcLengths, tgtLengths, ratio, anchors, tgtNorms);
+                    if (costAt(pi, pj) + bead.cost < row.cost[j - row.lo]) {
+                        row.cost[j - row.lo] = costAt(pi, pj) + bead.cost;
+                        row.back[j - row.lo] = { ...bead, i: pi, j: pj, src: type.src, tgt: type.tgt };
+                    }
+                }
+            }
+        }
+
+        const beads = [];
+        for (let i = n, j = m; i > 0 || j > 0;) {
+            const bead = rows[i].back[j - rows[i].lo];
+            beads.unshift(bead);
+            i = bead.i;
+            j = bead.j;
+        }
+        return beads;
+    }
+
+    beadCost(type, i, j, srcLengths, tgtLengths, ratio, anchors, tgtNorms) {
+        const srcLength = sum(srcLengths, i, type.src);
+        const tgtLength = sum(tgtLengths, j, type.tgt);
+
+        // Gale–Church: delta is the normalized difference between the actual and expected target length
+        const mean = (srcLength + tgtLength / ratio) / 2;
+        const delta = mean > 0 ? (tgtLength - srcLength * ratio) / Math.sqrt(mean * VARIANCE) : 0;
+        const lengthProb = Math.max(2 * (1 - normalCdf(Math.abs(delta))), 1e-12);
+        let cost = -Math.log(type.prior) - Math.log(lengthProb);
+
+        const evidence = { matched: 0, possible: 0 };
+        if (type.src > 0 && type.tgt > 0) {
+            const targetNorms = new Set();
+            for (let k = j; k < j + type.tgt; k++) {
+                tgtNorms[k].forEach(norm => targetNorms.add(norm));
+            }
+            for (let k = i; k < i + type.src; k++) {
+                for (const options of anchors[k]) {
+                    evidence.possible++;
+                    if (options.some(words => words.every(word => targetNorms.has(word)))) evidence.matched++;
+                }
+            }
+        }
+
+        const anchorRatio = evidence.possible > 0 ? evidence.matched / evidence.possible : null;
+        if (anchorRatio !== null) {
+            // Clamped: a bead never costs less than nothing, however well anchored
+            cost = Math.max(0, cost - this.anchorWeight * anchorRatio);
+        }
+
+        const skip = type.src === 0 || type.tgt === 0;
+        return {
+            cost,
+            lengthProb: skip ? 0 : lengthProb,
+            anchors: evidence,
+            score: skip ? 0 : anchorRatio === null ? lengthProb : (lengthProb + anchorRatio) / 2
+        };
+    }
+
+    // ---------------------------------------------------------------
+    // Dictionary anchors
+    // ---------------------------------------------------------------
+    async sourceAnchors(segments) {
+        if (!this.dictLookup) return segments.map(() => []);
+        await this.dictLookup.loadDictionary();
+
+        // For each source sentence: one list of possible translations (each a list of target norms) per known word or phrase
+        return segments.map(segment => this.dictLookup.lookupSegment(segment)
+            .filter(entry => entry.candidates[0].pos !== 'UNK')
+            .map(entry => entry.candidates.map(candidate =>
+                this.tgtTokenizer.tokenizeDetailed(candidate.tgt).map(token => normalize(token.norm, this.pair.tgt))))
+            .filter(options => options.some(words => words.length > 0)));
+    }
+
+    targetNorms(segment) {
+        return segment.token_spans.map(token => normalize(token.norm, this.pair.tgt));
+    }
+
+    // ---------------------------------------------------------------
+    // Corpus output
+    // ---------------------------------------------------------------
+    toCorpus(result, options = {}) {
+        const columns = (this.pair.columns && this.pair.columns.corpus) || { src: 'src', tgt: 'tgt' };
+        const minScore = options.minScore || 0;
+
+        return result.alignments
+            .filter(alignment => alignment.src && alignment.tgt && alignment.score >= minScore)
+            .map(alignment => ({
+                [columns.src]: alignment.src,
+                [columns.tgt]: alignment.tgt,
+                source: options.source || 'document_aligner',
+                sim: alignment.score,
+                alignment: alignment.type
+            }));
+    }
+}
+
+function sum(values, start, count) {
+    let total = 0;
+    for (let k = start; k < start + count; k++) total += values[k];
+    return total;
+}
+
+// Standard normal CDF (Abramowitz & Stegun 26.2.17)
+function normalCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const density = Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+    const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return x >= 0 ? 1 - tail : tail;
+}
+
+module.exports = DocumentAligner;
@@ -0,0 +1,94 @@
+/*
+* This is the alignment scoring utility module. It tells how well a target sentence translates a source sentence, across languages.
+* In a standard Afropair pipeline, the scorer calls it on every produced pair, so misaligned pairs can be filtered out before export.
+* Both sides are embedded with a multilingual encoder (through the Embedding abstraction, e.g. a LaBSE or LASER-style model) and compared with:
+* - cosine: plain cosine similarity of the two sentence vectors
+* - margin: the ratio margin used for LASER/LaBSE bitext mining (Artetxe & Schwenk, 2019), i.e. the cosine divided by the average
+*   similarity of each side to its k nearest neighbours in the other language. It corrects for "hub" sentences that are close to
+*   everything; aligned pairs typically score above ~1.05. Without neighbour pools only the cosine is available.
+* Neighbour pools are monolingual sentence sets, usually the two sides of the parallel corpus; their vectors live in in-memory vector stores.
+* Example usage:
+* const scorer = new AlignmentScorer(new Embedding('local', null, { modelPath: './models/LaBSE' }), { k: 4 });
+* await scorer.setNeighbours(corpus.map(e => e.src), corpus.map(e => e.tgt));
+* const [score] = await scorer.scoreBatch([{ src: 'Je vais au marché.', tgt: 'N zɩ̀ nà zaabā.' }]);
+* console.log(score); // Outputs: { cosine: 0.83, margin: 1.21 }
+*/
+const VectorStore = require('./vectorstore');
+
+class AlignmentScorer {
+    constructor(embedding, options = {}) {
+        this.embedding = embedding;
+        this.k = options.k || 4;
+        this.srcNeighbours = null;
+        this.tgtNeighbours = null;
+    }
+
+    async setNeighbours(srcTexts, tgtTexts) {
+        this.srcNeighbours = await this.buildPool(srcTexts);
+        this.tgtNeighbours = await this.buildPool(tgtTexts);
+    }
+
+    async buildPool(texts) {
+        const unique = [...new Set(texts.filter(text => text && text.trim()))];
+        if (unique.length === 0) return null;
+
+        const store = new VectorStore('file', { metric: 'cosine' });
+        const vectors = await this.embedding.embedBatch(unique);
+        await store.upsert(unique.map((text, i) => ({ id: String(i), vector: vectors[i], metadata: { text } })));
+        return store;
+    }
+
+    async score(src, tgt) {
+        const [result] = await this.scoreBatch([{ src, tgt }]);
+        return result;
+    }
+
+    async scoreBatch(pairs) {
+        if (pairs.length === 0) return [];
+
+        const vectors = await this.embedding.embedBatch(pairs.flatMap(pair => [pair.src, pair.tgt]));
+        const results = [];
+
+        for (let i = 0; i < pairs.length; i++) {
+            const srcVector = vectors[2 * i];
+            const tgtVector = vectors[2 * i + 1];
+            const cosine = cosineSimilarity(srcVector, tgtVector);
+
+            // Neighbours of the source among targets and of the target among sources; the pair itself is excluded
+            const srcHood = await this.neighbourhood(this.tgtNeighbours, srcVector, pairs[i].tgt);
+            const tgtHood = await this.neighbourhood(this.srcNeighbours, tgtVector, pairs[i].src);
+
+            let margin = null;
+            if (srcHood !== null && tgtHood !== null) {
+                const denominator = (srcHood + tgtHood) / 2;
+                margin = denominator > 0 ? cosine / denominator : null;
+            }
+            results.push({ cosine, margin });
+        }
+        return results;
+    }
+
+    async neighbourhood(pool, vector, ownText) {
+        if (!pool) return null;
+
+        const hits = (await pool.search(vector, this.k + 1))
+            .filter(hit => hit.metadata.text !== ownText)
+            .slice(0, this.k);
+        if (hits.length === 0) return null;
+        return hits.reduce((sum, hit) => sum + hit.score, 0) / hits.length;
+    }
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = { AlignmentScorer, cosineSimilarity };
@@ -0,0 +1,334 @@
+/*
+* This is the corpus index utility module. It provides fast fuzzy retrieval over the source side of a parallel corpus.
+* In a standard Afropair pipeline, the corpus retriever builds it once when the corpus is loaded and queries it for every segment.
+* It is an in-process inverted index: BM25 over tokenizer norms (punctuation- and case-insensitive), plus character trigrams
+* so near-misses ("marchés", typos) are still found. Candidates are re-ranked with trigram overlap and edit distance.
+* Scores are normalized to [0, 1] (BM25 is divided by the score the query would get against itself), so they can be compared across queries.
+* Words found in more than 5% of the corpus ("de", "la") only add to the score of candidates found through rarer words or trigrams,
+* and only the best RERANK_POOL candidates (a bounded heap) are re-ranked, so a query full of stopwords does not score the whole corpus.
+* The index can be persisted to disk as JSON; it is tagged with a fingerprint of the corpus and of its analysis settings
+* (tokenizer rules, normalization) and rebuilt when either changes.
+* Example usage:
+* const index = new CorpusIndex(registry.get('fr'));
+* index.build(corpus.map(entry => entry.src));
+* const hits = index.search('Je vais au marché', 5);
+* console.log(hits); // Outputs: [{ id: 0, score: 1, bm25: 1, char: 1, edit: 1 }, ...]
+* console.log(index.score('Je vais au marché', 'Je vais au grand marché')); // Outputs: 0.84
+*/
+const fs = require('fs').promises;
+const path = require('path');
+const { createTokenizer } = require('./tokenizer');
+const { normalize } = require('./languages');
+
+const INDEX_VERSION = 1;
+const K1 = 1.2;
+const B = 0.75;
+// Weights of the three signals in the final score
+const WEIGHTS = { bm25: 0.5, char: 0.25, edit: 0.25 };
+// How many candidates get the (more expensive) character and edit-distance scoring
+const RERANK_POOL = 50;
+// Share of the corpus above which a word or trigram is too common to bring in candidates on its own
+const COMMON_RATIO = 0.05;
+
+class CorpusIndex {
+    constructor(language = {}) {
+        this.language = language;
+        this.tokenizer = createTokenizer(language);
+        this.reset();
+    }
+
+    reset() {
+        this.texts = [];
+        this.docLengths = [];
+        this.avgLength = 0;
+        this.postings = new Map();
+        this.grams = new Map();
+        this.fingerprint = null;
+    }
+
+    // ---------------------------------------------------------------
+    // Analysis
+    // ---------------------------------------------------------------
+    terms(text) {
+        return this.tokenizer.tokenizeDetailed(text).map(token => normalize(token.norm, this.language));
+    }
+
+    normalizeText(text) {
+        return this.terms(text).join(' ');
+    }
+
+    // Everything besides the texts that decides what gets indexed, for the fingerprint of a persisted index
+    analysisSettings() {
+        return {
+            version: INDEX_VERSION,
+            tokenizer: this.language.tokenizer || null,
+            normalization: this.language.normalization || null
+        };
+    }
+
+    trigrams(normalizedText) {
+        const padded = `  ${normalizedText} `;
+        const grams = new Set();
+        for (let i = 0; i < padded.length - 2; i++) {
+            grams.add(padded.slice(i, i + 3));
+        }
+        return grams;
+    }
+
+    // ---------------------------------------------------------------
+    // Building
+    // ---------------------------------------------------------------
+    build(texts, fingerprint = null) {
+        this.reset();
+        this.fingerprint = fingerprint;
+        for (const text of texts) {
+            this.add(text);
+        }
+        return this;
+    }
+
+    add(text) {
+        const id = this.texts.length;
+        const terms = this.terms(text);
+        const normalizedText = terms.join(' ');
+
+        this.texts.push(normalizedText);
+        this.docLengths.push(terms.length);
+        this.avgLength += (terms.length - this.avgLength) / this.texts.length;
+
+        for (const [term, tf] of termFrequencies(terms)) {
+            if (!this.postings.has(term)) this.postings.set(term, []);
+            this.postings.get(term).push([id, tf]);
+        }
+
+        for (const gram of this.trigrams(normalizedText)) {
+            if (!this.grams.has(gram)) this.grams.set(gram, []);
+            this.grams.get(gram).push(id);
+        }
+        return id;
+    }
+
+    get size() {
+        return this.texts.length;
+    }
+
+    // ---------------------------------------------------------------
+    // Scoring
+    // ---------------------------------------------------------------
+    idf(term) {
+        const df = this.postings.has(term) ? this.postings.get(term).length : 0;
+        return Math.log(1 + (this.size - df + 0.5) / (df + 0.5));
+    }
+
+    termScore(idf, tf, length) {
+        const norm = K1 * (1 - B + B * length / (this.avgLength || 1));
+        return idf * (tf * (K1 + 1)) / (tf + norm);
+    }
+
+    analyzeQuery(query) {
+        const terms = this.terms(query);
+        const normalizedQuery = terms.join(' ');
+        return { terms, normalizedQuery, frequencies: termFrequencies(terms), grams: this.trigrams(normalizedQuery) };
+    }
+
+    // BM25 score a query would get against itself: the normalization constant of its BM25 scores
+    selfScore(analyzed) {
+        let score = 0;
+        for (const [term, queryTf] of analyzed.frequencies) {
+            score += this.termScore(this.idf(term), queryTf, analyzed.terms.length);
+        }
+        return score;
+    }
+
+    // Final score of one text: normalized BM25 blended with trigram overlap and edit similarity
+    rescore(analyzed, bm25Score, text) {
+        const char = dice(analyzed.grams, this.trigrams(text));
+        const edit = editSimilarity(analyzed.normalizedQuery, text);
+        return {
+            score: WEIGHTS.bm25 * bm25Score + WEIGHTS.char * char + WEIGHTS.edit * edit,
+            bm25: bm25Score,
+            char,
+            edit
+        };
+    }
+
+    search(query, topK = 5, minScore = 0) {
+        if (this.size === 0) return [];
+
+        const analyzed = this.analyzeQuery(query);
+        const maxDf = Math.max(RERANK_POOL, this.size * COMMON_RATIO);
+
+        // Documents sharing rare trigrams are candidates even without a shared word
+        const queryGrams = analyzed.grams;
+        const shared = new Map();
+        for (const gram of queryGrams) {
+            const ids = this.grams.get(gram);
+            if (!ids || ids.length > maxDf) continue;
+            for (const id of ids) {
+                shared.set(id, (shared.get(id) || 0) + 1);
+            }
+        }
+
+        // BM25 over the postings of the query terms. Common terms only score documents already brought in
+        // by a rarer term or a trigram, unless the query has nothing rarer
+        const queryTerms = [...analyzed.frequencies.keys()].filter(term => this.postings.has(term));
+        const rare = queryTerms.filter(term => this.postings.get(term).length <= maxDf);
+        const seeds = rare.length > 0 ? rare : queryTerms;
+        const common = queryTerms.filter(term => !seeds.includes(term));
+        const bm25 = new Map();
+        const selfScore = this.selfScore(analyzed);
+        for (const term of [...seeds, ...common]) {
+            const seeding = seeds.includes(term);
+            const idf = this.idf(term);
+            for (const [id, tf] of this.postings.get(term)) {
+                if (!seeding && !bm25.has(id) && !shared.has(id)) continue;
+                bm25.set(id, (bm25.get(id) || 0) + this.termScore(idf, tf, this.docLengths[id]));
+            }
+        }
+
+        const pool = new Map();
+        for (const [id, score] of bm25) {
+            pool.set(id, selfScore > 0 ? Math.min(1, score / selfScore) : 0);
+        }
+        for (const id of shared.keys()) {
+            if (!pool.has(id)) pool.set(id, 0);
+        }
+
+        const candidates = largest(pool.entries(), RERANK_POOL, ([id, bm25Score]) => bm25Score + (shared.get(id) || 0) / queryGrams.size);
+
+        return candidates
+            .map(([id, bm25Score]) => ({ id, ...this.rescore(analyzed, bm25Score, this.texts[id]) }))
+            .filter(hit => hit.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK);
+    }
+
+    // Score of `text` as a match for `query`, on the same [0, 1] scale as search() and with this corpus's
+    // term statistics, whether or not the text is indexed
+    score(query, text) {
+        const analyzed = this.analyzeQuery(query);
+        const terms = this.terms(text);
+        const frequencies = termFrequencies(terms);
+
+        let bm25 = 0;
+        for (const term of analyzed.frequencies.keys()) {
+            if (frequencies.has(term)) bm25 += this.termScore(this.idf(term), frequencies.get(term), terms.length);
+        }
+        const selfScore = this.selfScore(analyzed);
+        return this.rescore(analyzed, selfScore > 0 ? Math.min(1, bm25 / selfScore) : 0, terms.join(' ')).score;
+    }
+
+    // ---------------------------------------------------------------
+    // Persistence
+    // ---------------------------------------------------------------
+    toJSON() {
+        return {
+            version: INDEX_VERSION,
+            fingerprint: this.fingerprint,
+            texts: this.texts,
+            docLengths: this.docLengths,
+            avgLength: this.avgLength,
+            postings: [...this.postings.entries()]
+        };
+    }
+
+    async save(indexPath) {
+        await fs.mkdir(path.dirname(indexPath), { recursive: true });
+        const tmpPath = `${indexPath}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(this.toJSON()));
+        await fs.rename(tmpPath, indexPath);
+    }
+
+    async load(indexPath, fingerprint = null) {
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(indexPath, 'utf-8'));
+        } catch (error) {
+            return false;
+        }
+        if (data.version !== INDEX_VERSION || (fingerprint && data.fingerprint !== fingerprint)) {
+            return false;
+        }
+
+        this.reset();
+        this.fingerprint = data.fingerprint;
+        this.texts = data.texts;
+        this.docLengths = data.docLengths;
+        this.avgLength = data.avgLength;
+        this.postings = new Map(data.postings);
+        // Trigram postings are cheap to rebuild and would double the file size
+        this.texts.forEach((text, id) => {
+            for (const gram of this.trigrams(text)) {
+                if (!this.grams.has(gram)) this.grams.set(gram, []);
+                this.grams.get(gram).push(id);
+            }
+        });
+        return true;
+    }
+}
+
+// The n items with the highest key, best first, kept in a bounded min-heap instead of sorting everything
+function largest(items, n, key) {
+    const heap = [];
+    const swap = (i, j) => { [heap[i], heap[j]] = [heap[j], heap[i]]; };
+    const siftDown = i => {
+        for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left].key < heap[smallest].key) smallest = left;
+            if (right < heap.length && heap[right].key < heap[smallest].key) smallest = right;
+            if (smallest === i) return;
+            swap(i, smallest);
+            i = smallest;
+        }
+    };
+
+    for (const item of items) {
+        const entry = { item, key: key(item) };
+        if (heap.length < n) {
+            heap.push(entry);
+            for (let i = heap.length - 1; i > 0 && heap[i].key < heap[(i - 1) >> 1].key; i = (i - 1) >> 1) swap(i, (i - 1) >> 1);
+        } else if (n > 0 && entry.key > heap[0].key) {
+            heap[0] = entry;
+            siftDown(0);
+        }
+    }
+    return heap.sort((a, b) => b.key - a.key).map(entry => entry.item);
+}
+
+function termFrequencies(terms) {
+    const frequencies = new Map();
+    for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    return frequencies;
+}
+
+function dice(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let intersection = 0;
+    for (const gram of a) {
+        if (b.has(gram)) intersection++;
+    }
+    return (2 * intersection) / (a.size + b.size);
+}
+
+function editSimilarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) return 1;
+
+    // Levenshtein distance with a single rolling row
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return 1 - previous[b.length] / longest;
+}
+
+module.exports = { CorpusIndex, editSimilarity };
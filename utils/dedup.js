@@ -0,0 +1,202 @@
+/*
+* This is the deduplication utility module. It finds exact and near-duplicate translation pairs.
+* In a standard Afropair pipeline, the Logger uses it as a guard so the same pair is not written again on every run,
+* and the "dedup" command runs it as a standalone pass over an output file or a corpus.
+* Exact duplicates are found with a hash of the normalized text (NFKC, lowercase, collapsed spaces, no punctuation but a final ? or !).
+* Near-duplicates are found with MinHash signatures over character 4-grams and LSH banding: only items sharing a band
+* are compared, and they match when the estimated Jaccard similarity reaches the threshold.
+* Items are compared on the source ("src"), the target ("tgt") or both sides together ("pair", the default).
+* Example usage:
+* const dedup = new Deduplicator({ on: 'pair', threshold: 0.85 });
+* dedup.add({ src: 'Je vais au marché.', tgt: 'N zɩ̀ nà zaabā.' }, 'r1');
+* console.log(dedup.find({ src: 'je vais au marché', tgt: 'N zɩ̀ nà zaabā' })); // Outputs: { id: 'r1', similarity: 1, exact: true }
+* const { kept, clusters } = deduplicate(records, { on: 'src' });
+*/
+const crypto = require('crypto');
+
+const MODES = ['pair', 'src', 'tgt'];
+
+function normalizeText(text) {
+    const normalized = String(text || '').normalize('NFKC').toLowerCase();
+    // "Tu viens ?" and "Tu viens." are different sentences: a final question or exclamation mark is kept
+    const ending = normalized.match(/[\p{P}\p{S}\s]*$/u)[0];
+    const mark = ending.includes('?') ? ' ?' : ending.includes('!') ? ' !' : '';
+    return (normalized.replace(/[\p{P}\p{S}]+/gu, ' ') + mark)
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// 32-bit FNV-1a, then a murmur3 finalizer per permutation seed
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function mix(hash, seed) {
+    let h = (hash ^ seed) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+class Deduplicator {
+    constructor(options = {}) {
+        this.on = options.on || 'pair';
+        if (!MODES.includes(this.on)) {
+            throw new Error(`Unknown dedup mode: ${this.on} (expected ${MODES.join(', ')})`);
+        }
+        this.threshold = options.threshold !== undefined ? options.threshold : 0.85;
+        this.bands = options.bands || 32;
+        this.rows = options.rows || 4;
+        this.shingleSize = options.shingleSize || 4;
+
+        // Deterministic seeds, so signatures are comparable across runs
+        this.seeds = [];
+        let state = 0x9e3779b9;
+        for (let i = 0; i < this.bands * this.rows; i++) {
+            state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+            this.seeds.push(state);
+        }
+
+        this.exact = new Map();    // normalized hash -> id
+        this.buckets = new Map();  // band key -> ids
+        this.signatures = new Map();
+    }
+
+    texts(item) {
+        if (this.on === 'src') return [normalizeText(item.src)];
+        if (this.on === 'tgt') return [normalizeText(item.tgt)];
+        return [normalizeText(item.src), normalizeText(item.tgt)];
+    }
+
+    key(item) {
+        return crypto.createHash('sha1').update(this.texts(item).join('\u0000')).digest('hex');
+    }
+
+    shingles(item) {
+        const shingles = new Set();
+        this.texts(item).forEach((text, side) => {
+            // Short texts are a single shingle
+            if (text.length <= this.shingleSize) {
+                shingles.add(`${side}:${text}`);
+                return;
+            }
+            for (let i = 0; i <= text.length - this.shingleSize; i++) {
+                shingles.add(`${side}:${text.slice(i, i + this.shingleSize)}`);
+            }
+        });
+        return shingles;
+    }
+
+    signature(item) {
+        const hashes = [...this.shingles(item)].map(fnv1a);
+        return this.seeds.map(seed => {
+            let min = 0xffffffff;
+            for (const hash of hashes) {
+                const value = mix(hash, seed);
+                if (value < min) min = value;
+            }
+            return min;
+        });
+    }
+
+    bandKeys(signature) {
+        const keys = [];
+        for (let band = 0; band < this.bands; band++) {
+            keys.push(`${band}:${signature.slice(band * this.rows, (band + 1) * this.rows).join(',')}`);
+        }
+        return keys;
+    }
+
+    // Share of equal MinHash values: an unbiased estimate of the Jaccard similarity of the shingle sets
+    similarity(a, b) {
+        let equal = 0;
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] === b[i]) equal++;
+        }
+        return equal / a.length;
+    }
+
+    // Best match among the added items, or null
+    find(item) {
+        const exactId = this.exact.get(this.key(item));
+        if (exactId !== undefined) return { id: exactId, similarity: 1, exact: true };
+
+        const signature = this.signature(item);
+        const candidates = new Set();
+        for (const bandKey of this.bandKeys(signature)) {
+            for (const id of this.buckets.get(bandKey) || []) candidates.add(id);
+        }
+
+        let best = null;
+        for (const id of candidates) {
+            const similarity = this.similarity(signature, this.signatures.get(id));
+            if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+                best = { id, similarity, exact: false };
+            }
+        }
+        return best;
+    }
+
+    add(item, id) {
+        const key = this.key(item);
+        if (!this.exact.has(key)) this.exact.set(key, id);
+
+        const signature = this.signature(item);
+        this.signatures.set(id, signature);
+        for (const bandKey of this.bandKeys(signature)) {
+            if (!this.buckets.has(bandKey)) this.buckets.set(bandKey, []);
+            this.buckets.get(bandKey).push(id);
+        }
+        return id;
+    }
+
+    // Guard: returns the match of a duplicate, or registers the item and returns null
+    check(item, id) {
+        const match = this.find(item);
+        if (!match) this.add(item, id);
+        return match;
+    }
+
+    get size() {
+        return this.signatures.size;
+    }
+}
+
+// Standalone pass. Items are visited in options.rank order (default: as given); the first item of each cluster is kept
+// and later duplicates are merged into it. Returns kept item indices and the clusters that merged something.
+function deduplicate(items, options = {}) {
+    const dedup = new Deduplicator(options);
+    const order = items.map((item, index) => index);
+    if (options.rank) order.sort((a, b) => options.rank(items[a], items[b]) || a - b);
+
+    const kept = [];
+    const clusters = new Map();
+    for (const index of order) {
+        const match = dedup.find(items[index]);
+        if (!match) {
+            dedup.add(items[index], index);
+            kept.push(index);
+            continue;
+        }
+        if (!clusters.has(match.id)) clusters.set(match.id, { kept: match.id, merged: [] });
+        clusters.get(match.id).merged.push({ index, similarity: match.similarity, exact: match.exact });
+    }
+
+    return {
+        kept: kept.sort((a, b) => a - b),
+        clusters: [...clusters.values()],
+        stats: {
+            items: items.length,
+            kept: kept.length,
+            merged: items.length - kept.length,
+            exact: [...clusters.values()].reduce((sum, cluster) => sum + cluster.merged.filter(member => member.exact).length, 0)
+        }
+    };
+}
+
+module.exports = { Deduplicator, deduplicate, normalizeText };
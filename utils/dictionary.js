@@ -1,10 +1,13 @@
 /*
 * This is the dictionary utility module. It provides functions to load and query a bilingual dictionary.
-* In a standard Afropair pipeline, this is usually the second step after text splitting. It is a tsv dictionary wrapper. 
+* In a standard Afropair pipeline, this is usually the second step after text splitting. It is a tsv dictionary wrapper.
 * i is designed to load a tab-separated values (TSV) file containing word pairs and provide lookup functionality.
 * it also contains functions to load entries and add, list, read, update and delete entries to the dictionary. And it can be used to translate text based on the dictionary entries.
 * There are many ways to improve this dictionary utility, such as adding support for more complex lookup strategies, handling multi-word expressions, or integrating with external dictionary services.
 * There are some required fields in the dictionary tsv file such as "source", "target", "pos" (part of speech), "freq" (frequency), and "notes". However, the dictionary can contain additional fields as needed. they just have to be added in the config file.
+* The first line of the file is a header. Its column names are mapped to entry fields by the "columns.dictionary" block of the language pair config,
+* e.g. { "src": "fr_word", "tgt": "mos_word", "pos": "pos", "score": "score", "extra": ["domain"] }. Without a mapping, common names ("source", "target", "fr_word"...) are recognized.
+* Unknown columns are kept as-is, and save() writes the whole file back atomically (temp file + rename) with the original column order.
 * Example dictionary entry (TSV format):
 * source	target	pos	freq	notes
 * bonjour	nɛ bɛɛ̀dã	interjection	1000	common greeting
@@ -14,4 +17,238 @@
 * await dict.load();
 * const translation = dict.lookup('bonjour');
 * console.log(translation); // Outputs: nɛ bɛɛ̀dã
-*/
\ No newline at end of file
+* dict.add({ src: 'école', tgt: 'karen-saka', pos: 'NOUN', score: 0.9 });
+* dict.update({ src: 'maison' }, { notes: 'house, home' });
+* await dict.save();
+*/
+const fs = require('fs').promises;
+const path = require('path');
+const { normalize } = require('./languages');
+
+const FIELDS = ['src', 'tgt', 'pos', 'score', 'freq', 'notes'];
+const NUMERIC_FIELDS = ['score', 'freq'];
+const FIELD_ALIASES = {
+    src: ['src', 'source', 'headword'],
+    tgt: ['tgt', 'target', 'translation'],
+    pos: ['pos', 'part_of_speech'],
+    score: ['score', 'confidence'],
+    freq: ['freq', 'frequency'],
+    notes: ['notes', 'note', 'comment']
+};
+const DEFAULT_HEADER = ['src', 'tgt', 'pos', 'score'];
+
+class Dictionary {
+    constructor(dictPath, options = {}) {
+        this.dictPath = dictPath;
+        this.language = options.language || {};
+        this.srcCode = options.srcCode || this.language.code;
+        this.tgtCode = options.tgtCode;
+        this.columns = options.columns || {};
+        this.header = [];
+        this.fieldByColumn = new Map();
+        this.entries = [];
+        this.exists = false;
+        this.loaded = false;
+    }
+
+    async load() {
+        let data;
+        try {
+            data = await fs.readFile(this.dictPath, 'utf-8');
+            this.exists = true;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            // A missing file is an empty dictionary; save() creates it
+            this.exists = false;
+            data = '';
+        }
+
+        const lines = data.split('\n').map(line => line.replace(/\r$/, '')).filter(line => line.trim());
+        const firstRow = lines.length > 0 ? lines[0].split('\t') : [];
+
+        if (this.isHeader(firstRow)) {
+            this.setHeader(firstRow);
+            lines.shift();
+        } else {
+            // Headerless legacy file: assume src, tgt, pos, score
+            this.setHeader(DEFAULT_HEADER);
+        }
+
+        this.entries = [];
+        for (const line of lines) {
+            const entry = this.parseRow(line.split('\t'));
+            if (entry.src && entry.tgt) {
+                this.entries.push(entry);
+            }
+        }
+
+        this.loaded = true;
+        return this;
+    }
+
+    // ---------------------------------------------------------------
+    // Header handling
+    // ---------------------------------------------------------------
+    columnNames(field) {
+        if (this.columns[field]) return [this.columns[field]];
+
+        const names = [...(FIELD_ALIASES[field] || [field])];
+        if (field === 'src' && this.srcCode) names.push(`${this.srcCode}_word`, this.srcCode);
+        if (field === 'tgt' && this.tgtCode) names.push(`${this.tgtCode}_word`, this.tgtCode);
+        return names;
+    }
+
+    isHeader(row) {
+        const cells = row.map(cell => cell.trim().toLowerCase());
+        return ['src', 'tgt'].every(field =>
+            this.columnNames(field).some(name => cells.includes(name.toLowerCase())));
+    }
+
+    setHeader(header) {
+        this.header = header.map(column => column.trim());
+        this.fieldByColumn = new Map();
+
+        for (const column of this.header) {
+            const field = FIELDS.find(candidate =>
+                this.columnNames(candidate).some(name => name.toLowerCase() === column.toLowerCase()));
+            this.fieldByColumn.set(column, field || column);
+        }
+
+        // Declared extra columns are always written, even if the file predates them
+        for (const column of this.columns.extra || []) {
+            if (!this.fieldByColumn.has(column)) {
+                this.header.push(column);
+                this.fieldByColumn.set(column, column);
+            }
+        }
+        for (const field of ['src', 'tgt']) {
+            if (![...this.fieldByColumn.values()].includes(field)) {
+                throw new Error(`Dictionary ${this.dictPath} has no column for "${field}" (expected one of: ${this.columnNames(field).join(', ')})`);
+            }
+        }
+    }
+
+    parseRow(cells) {
+        const entry = {};
+        this.header.forEach((column, index) => {
+            const field = this.fieldByColumn.get(column);
+            const value = cells[index] === undefined ? '' : cells[index].trim();
+            if (value === '') return;
+            entry[field] = NUMERIC_FIELDS.includes(field) ? parseFloat(value) : value;
+        });
+        return entry;
+    }
+
+    formatRow(entry) {
+        return this.header
+            .map(column => {
+                const value = entry[this.fieldByColumn.get(column)];
+                return value === undefined || value === null ? '' : String(value).replace(/[\t\n]/g, ' ');
+            })
+            .join('\t');
+    }
+
+    // ---------------------------------------------------------------
+    // Queries
+    // ---------------------------------------------------------------
+    key(text) {
+        return normalize(text, this.language);
+    }
+
+    list() {
+        return [...this.entries];
+    }
+
+    lookup(headword) {
+        const best = this.read(headword)[0];
+        return best ? best.tgt : null;
+    }
+
+    read(headword) {
+        const key = this.key(headword);
+        return this.entries
+            .filter(entry => this.key(entry.src) === key)
+            .sort((a, b) => (b.score || 0) - (a.score || 0));
+    }
+
+    query(criteria = {}) {
+        return this.entries.filter(entry => this.matches(entry, criteria));
+    }
+
+    matches(entry, criteria) {
+        return Object.entries(this.criteria(criteria)).every(([field, expected]) => {
+            if (field === 'src') return this.key(entry.src) === this.key(expected);
+            if (field === 'tgt') return normalize(entry.tgt) === normalize(expected);
+            if (field === 'pos') return String(entry.pos || '').toUpperCase() === String(expected).toUpperCase();
+            return entry[field] === expected;
+        });
+    }
+
+    // Criteria without their undefined fields: { src: undefined } is no criterion at all
+    criteria(criteria = {}) {
+        return Object.fromEntries(Object.entries(criteria).filter(([, expected]) => expected !== undefined));
+    }
+
+    // ---------------------------------------------------------------
+    // Mutations (in memory until save())
+    // ---------------------------------------------------------------
+    add(entry) {
+        if (!entry || !entry.src || !entry.tgt) {
+            throw new Error('Dictionary entries need at least "src" and "tgt"');
+        }
+        if (this.query({ src: entry.src, tgt: entry.tgt, pos: entry.pos }).length > 0) {
+            throw new Error(`Dictionary entry already exists: ${entry.src} -> ${entry.tgt}`);
+        }
+
+        this.ensureColumns(entry);
+        this.entries.push({ ...entry });
+        return entry;
+    }
+
+    update(criteria, changes) {
+        const updated = this.query(criteria);
+        for (const entry of updated) {
+            Object.assign(entry, changes);
+            this.ensureColumns(entry);
+        }
+        return updated.length;
+    }
+
+    delete(criteria) {
+        if (Object.keys(this.criteria(criteria)).length === 0) {
+            throw new Error('Refusing to delete dictionary entries without criteria');
+        }
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => !this.matches(entry, criteria));
+        return before - this.entries.length;
+    }
+
+    ensureColumns(entry) {
+        const fields = new Set(this.fieldByColumn.values());
+        for (const field of Object.keys(entry)) {
+            if (fields.has(field)) continue;
+            const column = this.columns[field] || field;
+            this.header.push(column);
+            this.fieldByColumn.set(column, field);
+            fields.add(field);
+        }
+    }
+
+    async save(targetPath = this.dictPath) {
+        const content = [this.header.join('\t'), ...this.entries.map(entry => this.formatRow(entry))].join('\n') + '\n';
+
+        // Write next to the target and rename, so readers never see a half-written file
+        await fs.mkdir(path.dirname(targetPath), { recursive: true });
+        const tmpPath = path.join(path.dirname(targetPath), `.${path.basename(targetPath)}.${process.pid}.${Date.now()}.tmp`);
+        await fs.writeFile(tmpPath, content);
+        try {
+            await fs.rename(tmpPath, targetPath);
+        } catch (error) {
+            await fs.unlink(tmpPath).catch(() => {});
+            throw error;
+        }
+        return targetPath;
+    }
+}
+
+module.exports = Dictionary;
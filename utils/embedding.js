@@ -2,39 +2,231 @@
 * This is the embedding utility module. It provides functions to generate text embeddings using various embedding models.
 * In a standard Afropair pipeline, this is usually used after the dictionary lookup and translation steps to generate embeddings for text data.
 * It is designed to work with different embedding models, allowing for flexibility in choosing the best model for specific tasks.
-* The module can be extended to include additional functionality such as batch processing, caching, and more.
+* Each provider is an adapter registered in PROVIDERS and embeds a whole batch of texts per call:
+* - "openai": OpenAI embeddings API, or any OpenAI-compatible server through OPENAI_API_BASE_URL
+* - "local": a sentence encoder running on the CPU with transformers.js (ONNX), loaded from a local directory (LOCAL_EMBEDDING_MODEL_PATH)
+* - "hashing": deterministic feature hashing of words and character trigrams, no model needed; for tests and offline runs
+* Vectors are cached on disk when a cache directory is given (options.cacheDir or EMBEDDING_CACHE_DIR). The cache is content-addressed:
+* each vector is stored under the sha256 of (provider, model, text), local models being identified by their resolved directory, so re-running over the same corpus does not recompute anything.
 * Example usage:
-* const embedding = new Embedding('openai', 'text-embedding-ada-002');
+* const embedding = new Embedding('local', null, { modelPath: './models/paraphrase-multilingual-MiniLM-L12-v2', cacheDir: './output/embeddings' });
+* const vectors = await embedding.embedBatch(['Bonjour', 'Je vais au marché.']);
 * const vector = await embedding.embed('Bonjour');
 * console.log(vector); // Outputs: [0.1, 0.2, 0.3, ...]
 */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { postJSON } = require('./model');
+
+const DEFAULT_BATCH_SIZE = 64;
+
+// ===================================================================
+// PROVIDER ADAPTERS
+// Each adapter takes (texts, model) and returns one vector (array of numbers) per text, in order.
+// ===================================================================
+class OpenAIEmbeddingProvider {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || process.env.OPENAI_API_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.OPENAI_API_KEY;
+        this.timeoutMs = options.timeoutMs;
+    }
+
+    async embed(texts, model) {
+        const headers = this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {};
+        const raw = await postJSON(`${this.baseUrl}/embeddings`, { model, input: texts }, headers, this.timeoutMs);
+        // The API may answer out of order; "index" is the position in the input
+        return [...raw.data]
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+}
+
+class LocalEmbeddingProvider {
+    constructor(options = {}) {
+        this.modelPath = options.modelPath || process.env.LOCAL_EMBEDDING_MODEL_PATH;
+        this.pooling = options.pooling || 'mean';
+        this.extractor = null;
+    }
+
+    async load() {
+        if (this.extractor) return this.extractor;
+        if (!this.modelPath) {
+            throw new Error('Local embeddings need a model directory (options.modelPath or LOCAL_EMBEDDING_MODEL_PATH)');
+        }
+
+        // transformers.js is an ES module; it is only required when this provider is used
+        const { pipeline, env } = await import('@huggingface/transformers');
+        env.allowRemoteModels = false;
+        env.localModelPath = path.dirname(path.resolve(this.modelPath));
+        this.extractor = await pipeline('feature-extraction', path.basename(this.modelPath), { local_files_only: true });
+        return this.extractor;
+    }
+
+    async embed(texts) {
+        const extractor = await this.load();
+        const output = await extractor(texts, { pooling: this.pooling, normalize: true });
+        return output.tolist();
+    }
+}
+
+class HashingEmbeddingProvider {
+    constructor(options = {}) {
+        this.dimension = options.dimension || 256;
+    }
+
+    async embed(texts) {
+        return texts.map(text => this.vector(text));
+    }
+
+    vector(text) {
+        const vector = new Array(this.dimension).fill(0);
+        const words = text.normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+
+        const features = [...words];
+        for (const word of words) {
+            const padded = ` ${word} `;
+            for (let i = 0; i < padded.length - 2; i++) {
+                features.push(`#${padded.slice(i, i + 3)}`);
+            }
+        }
+
+        // Signed hashing trick: the sign bit keeps collisions from only ever adding up
+        for (const feature of features) {
+            const digest = crypto.createHash('md5').update(feature).digest();
+            const index = digest.readUInt32LE(0) % this.dimension;
+            vector[index] += digest[4] & 1 ? 1 : -1;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => value / norm) : vector;
+    }
+}
+
+const PROVIDERS = {
+    openai: OpenAIEmbeddingProvider,
+    local: LocalEmbeddingProvider,
+    hashing: HashingEmbeddingProvider
+};
+
+const DEFAULT_MODELS = {
+    openai: 'text-embedding-ada-002',
+    hashing: 'hashing'
+};
+
+// ===================================================================
+// DISK CACHE
+// ===================================================================
+class EmbeddingCache {
+    constructor(cacheDir) {
+        this.cacheDir = cacheDir;
+    }
+
+    key(provider, model, text) {
+        return crypto.createHash('sha256').update(`${provider}\u0000${model}\u0000${text}`).digest('hex');
+    }
+
+    file(key) {
+        // Two-level fan-out keeps directories small on large corpora
+        return path.join(this.cacheDir, key.slice(0, 2), `${key}.json`);
+    }
+
+    async get(key) {
+        try {
+            return JSON.parse(await fs.readFile(this.file(key), 'utf-8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async set(key, vector) {
+        const file = this.file(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmpPath = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(vector));
+        await fs.rename(tmpPath, file);
+    }
+}
+
+// ===================================================================
+// EMBEDDING
+// ===================================================================
 class Embedding {
-    constructor(provider = 'openai', model = 'text-embedding-ada-002') {
-        this.provider = provider;
-        this.model = model;
-        // Initialize the embedding model based on the provider
-        if (provider === 'openai') {
-            const { Configuration, OpenAIApi } = require('openai');
-            const configuration = new Configuration({
-                apiKey: process.env.OPENAI_API_KEY,
-            });
-            this.client = new OpenAIApi(configuration);
-        } else {
-            throw new Error(`Unsupported provider: ${provider}`);
+    constructor(provider = 'openai', model = null, options = {}) {
+        const Provider = PROVIDERS[provider];
+        if (!Provider) {
+            throw new Error(`Unsupported provider: ${provider} (available: ${Object.keys(PROVIDERS).join(', ')})`);
         }
+
+        this.provider = provider;
+        this.client = new Provider(options);
+        this.model = model || DEFAULT_MODELS[provider] ||
+            (this.client.modelPath ? path.basename(this.client.modelPath) : provider);
+        if (provider === 'hashing') this.model = `${this.model}-${this.client.dimension}`;
+        // What the vectors are keyed on: two local model directories with the same name are different models
+        this.modelKey = this.client.modelPath ? path.resolve(this.client.modelPath) : this.model;
+
+        this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+        const cacheDir = options.cacheDir !== undefined ? options.cacheDir : process.env.EMBEDDING_CACHE_DIR;
+        this.cache = cacheDir ? new EmbeddingCache(cacheDir) : null;
+        this.dimension = this.client.dimension || null;
+        this.stats = { requested: 0, cached: 0, computed: 0 };
+    }
+
+    static registerProvider(name, Provider, defaultModel = null) {
+        PROVIDERS[name] = Provider;
+        if (defaultModel) DEFAULT_MODELS[name] = defaultModel;
     }
 
     async embed(text) {
-        if (this.provider === 'openai') {
-            const response = await this.client.createEmbedding({
-                model: this.model,
-                input: text,
-            });
-            return response.data.data[0].embedding;
-        } else {
-            throw new Error(`Unsupported provider: ${this.provider}`);
+        const [vector] = await this.embedBatch([text]);
+        return vector;
+    }
+
+    async embedBatch(texts) {
+        const vectors = new Array(texts.length).fill(null);
+        const pending = new Map(); // text -> positions still to compute
+
+        for (let i = 0; i < texts.length; i++) {
+            const text = texts[i];
+            const cached = this.cache ? await this.cache.get(this.cache.key(this.provider, this.modelKey, text)) : null;
+            if (cached) {
+                vectors[i] = cached;
+                this.stats.cached++;
+            } else {
+                if (!pending.has(text)) pending.set(text, []);
+                pending.get(text).push(i);
+            }
+        }
+        this.stats.requested += texts.length;
+
+        // Duplicates are embedded once
+        const missing = [...pending.keys()];
+        for (let start = 0; start < missing.length; start += this.batchSize) {
+            const batch = missing.slice(start, start + this.batchSize);
+            const computed = await this.client.embed(batch, this.model);
+            if (computed.length !== batch.length) {
+                throw new Error(`Embedding provider ${this.provider} returned ${computed.length} vectors for ${batch.length} texts`);
+            }
+
+            for (let j = 0; j < batch.length; j++) {
+                const vector = Array.from(computed[j]);
+                for (const position of pending.get(batch[j])) {
+                    vectors[position] = vector;
+                }
+                if (this.cache) {
+                    await this.cache.set(this.cache.key(this.provider, this.modelKey, batch[j]), vector);
+                }
+            }
+            this.stats.computed += batch.length;
+        }
+
+        if (!this.dimension && vectors.length > 0) {
+            this.dimension = vectors[0].length;
         }
+        return vectors;
     }
 }
 
-module.exports = Embedding;
\ No newline at end of file
+module.exports = Embedding;
+module.exports.PROVIDERS = PROVIDERS;
@@ -0,0 +1,118 @@
+/*
+* This is the language registry module. It loads the per-language configuration files stored in config/<code>.json.
+* In a standard Afropair pipeline, the registry is consulted once when the pipeline is constructed, so every stage works on a generic src/tgt pair instead of hard-coded languages.
+* A language config declares its ISO code, script, normalization rules and, for target languages, the resources available for each source language (dictionary, corpus and their column mappings).
+* Registering a new language pair only requires adding a config file, no code change.
+* Example config (config/mos.json):
+* {
+*   "code": "mos",
+*   "name": "Mooré",
+*   "script": "Latn",
+*   "normalization": { "form": "NFC", "lowercase": true },
+*   "pairs": {
+*     "fr": {
+*       "dictionary": "./data/fr_mos_dict.tsv",
+*       "corpus": "./data/fr_mos_corpus.jsonl",
+*       "columns": {
+*         "dictionary": { "src": "fr_word", "tgt": "mos_word", "pos": "pos", "score": "score" },
+*         "corpus": { "src": "fr", "tgt": "mos" }
+*       }
+*     }
+*   }
+* }
+* Example usage:
+* const registry = new LanguageRegistry();
+* const pair = registry.pair('fr', 'mos');
+* console.log(pair.dictPath); // Outputs: ./data/fr_mos_dict.tsv
+* const reverse = registry.pair('mos', 'fr');
+* console.log(reverse.reversed, reverse.dictPath); // Outputs: true ./data/fr_mos_dict.tsv
+*/
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+
+const DEFAULT_NORMALIZATION = { form: 'NFC', lowercase: true };
+
+class LanguageRegistry {
+    constructor(configDir = CONFIG_DIR) {
+        this.configDir = configDir;
+        this.languages = new Map();
+    }
+
+    register(config) {
+        if (!config || !config.code) {
+            throw new Error('Language config must declare a "code"');
+        }
+
+        const language = {
+            name: config.code,
+            script: 'Latn',
+            pairs: {},
+            ...config,
+            normalization: { ...DEFAULT_NORMALIZATION, ...(config.normalization || {}) }
+        };
+
+        this.languages.set(language.code, language);
+        return language;
+    }
+
+    get(code) {
+        if (this.languages.has(code)) return this.languages.get(code);
+
+        const configPath = path.join(this.configDir, `${code}.json`);
+        let data;
+        try {
+            data = fs.readFileSync(configPath, 'utf-8');
+        } catch (error) {
+            throw new Error(`Language "${code}" is not registered (no config at ${configPath})`);
+        }
+
+        let config;
+        try {
+            config = JSON.parse(data);
+        } catch (error) {
+            throw new Error(`Invalid language config ${configPath}: ${error.message}`);
+        }
+
+        return this.register({ code, ...config });
+    }
+
+    pair(srcCode, tgtCode) {
+        const src = this.get(srcCode);
+        const tgt = this.get(tgtCode);
+
+        // Resources are registered once per pair (fr->mos in mos.json); mos->fr reuses them reversed
+        const reversed = !tgt.pairs[srcCode] && Boolean(src.pairs[tgtCode]);
+        const [resourceSrc, resourceTgt] = reversed ? [tgtCode, srcCode] : [srcCode, tgtCode];
+        const resources = (reversed ? src.pairs[tgtCode] : tgt.pairs[srcCode]) || {};
+        const columns = resources.columns || {};
+        const corpusColumns = { src: resourceSrc, tgt: resourceTgt, ...(columns.corpus || {}) };
+
+        return {
+            key: `${srcCode}-${tgtCode}`,
+            src,
+            tgt,
+            reversed,
+            resources: { src: resourceSrc, tgt: resourceTgt },
+            dictPath: resources.dictionary || `./data/${resourceSrc}_${resourceTgt}_dict.tsv`,
+            corpusPath: resources.corpus || `./data/${resourceSrc}_${resourceTgt}_corpus.jsonl`,
+            columns: {
+                // Dictionary columns stay in resource orientation; DictionaryLookup flips entries when reversed
+                dictionary: columns.dictionary || {},
+                corpus: reversed ? { src: corpusColumns.tgt, tgt: corpusColumns.src } : corpusColumns
+            }
+        };
+    }
+}
+
+function normalize(text, language = {}) {
+    const rules = { ...DEFAULT_NORMALIZATION, ...(language.normalization || {}) };
+    let normalized = rules.form ? text.normalize(rules.form) : text;
+    if (rules.lowercase) {
+        normalized = normalized.toLowerCase();
+    }
+    return normalized;
+}
+
+module.exports = { LanguageRegistry, normalize };
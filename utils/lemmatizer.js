@@ -0,0 +1,188 @@
+/*
+* This is the lemmatizer utility module. It maps inflected source words back to dictionary headwords ("vais" -> "aller", "partons" -> "partir").
+* In a standard Afropair pipeline, the dictionary lookup consults it before marking a token as unknown.
+* It is fully offline: a lookup table of irregular forms plus suffix rules for regular conjugations and plurals.
+* Every analysis carries the lemma and its morphological features (tense, person, number, gender), so later stages can pick the right target form.
+* Analyses overgenerate on purpose ("mange" -> "manger", "mang"); the dictionary lookup only keeps lemmas that exist in the dictionary.
+* The lemmatizer is selected by the "lemmatizer" block of config/<lang>.json, and extra form -> lemma pairs can be declared in its "lexicon".
+* Example usage:
+* const lemmatizer = createLemmatizer(registry.get('fr'));
+* console.log(lemmatizer.analyze('vais')); // Outputs: [{ lemma: 'aller', pos: 'VERB', features: { tense: 'present', person: 1, number: 'sg' } }]
+*/
+const PERSONS = [[1, 'sg'], [2, 'sg'], [3, 'sg'], [1, 'pl'], [2, 'pl'], [3, 'pl']];
+const IMPERFECT_ENDINGS = ['ais', 'ais', 'ait', 'ions', 'iez', 'aient'];
+const FUTURE_ENDINGS = ['ai', 'as', 'a', 'ons', 'ez', 'ont'];
+const PARTICIPLE_FORMS = [['sg', 'm'], ['sg', 'f'], ['pl', 'm'], ['pl', 'f']];
+
+// French irregular verbs: present forms, imperfect stem, future stem, past participles
+const FRENCH_IRREGULAR_VERBS = {
+    'être': { present: ['suis', 'es', 'est', 'sommes', 'êtes', 'sont'], imperfect: 'ét', future: 'ser', participle: ['été'] },
+    avoir: { present: ['ai', 'as', 'a', 'avons', 'avez', 'ont'], imperfect: 'av', future: 'aur', participle: ['eu', 'eue', 'eus', 'eues'] },
+    aller: { present: ['vais', 'vas', 'va', 'allons', 'allez', 'vont'], imperfect: 'all', future: 'ir', participle: ['allé', 'allée', 'allés', 'allées'] },
+    faire: { present: ['fais', 'fais', 'fait', 'faisons', 'faites', 'font'], imperfect: 'fais', future: 'fer', participle: ['fait', 'faite', 'faits', 'faites'] },
+    dire: { present: ['dis', 'dis', 'dit', 'disons', 'dites', 'disent'], imperfect: 'dis', future: 'dir', participle: ['dit', 'dite', 'dits', 'dites'] },
+    venir: { present: ['viens', 'viens', 'vient', 'venons', 'venez', 'viennent'], imperfect: 'ven', future: 'viendr', participle: ['venu', 'venue', 'venus', 'venues'], derived: ['devenir', 'revenir', 'souvenir'] },
+    tenir: { present: ['tiens', 'tiens', 'tient', 'tenons', 'tenez', 'tiennent'], imperfect: 'ten', future: 'tiendr', participle: ['tenu', 'tenue', 'tenus', 'tenues'], derived: ['obtenir', 'retenir', 'appartenir'] },
+    voir: { present: ['vois', 'vois', 'voit', 'voyons', 'voyez', 'voient'], imperfect: 'voy', future: 'verr', participle: ['vu', 'vue', 'vus', 'vues'], derived: ['revoir'] },
+    savoir: { present: ['sais', 'sais', 'sait', 'savons', 'savez', 'savent'], imperfect: 'sav', future: 'saur', participle: ['su', 'sue', 'sus', 'sues'] },
+    pouvoir: { present: ['peux', 'peux', 'peut', 'pouvons', 'pouvez', 'peuvent'], imperfect: 'pouv', future: 'pourr', participle: ['pu'] },
+    vouloir: { present: ['veux', 'veux', 'veut', 'voulons', 'voulez', 'veulent'], imperfect: 'voul', future: 'voudr', participle: ['voulu', 'voulue', 'voulus', 'voulues'] },
+    devoir: { present: ['dois', 'dois', 'doit', 'devons', 'devez', 'doivent'], imperfect: 'dev', future: 'devr', participle: ['dû', 'due', 'dus', 'dues'] },
+    prendre: { present: ['prends', 'prends', 'prend', 'prenons', 'prenez', 'prennent'], imperfect: 'pren', future: 'prendr', participle: ['pris', 'prise', 'pris', 'prises'], derived: ['comprendre', 'apprendre', 'reprendre', 'surprendre'] },
+    mettre: { present: ['mets', 'mets', 'met', 'mettons', 'mettez', 'mettent'], imperfect: 'mett', future: 'mettr', participle: ['mis', 'mise', 'mis', 'mises'], derived: ['permettre', 'promettre', 'remettre'] },
+    partir: { present: ['pars', 'pars', 'part', 'partons', 'partez', 'partent'], imperfect: 'part', future: 'partir', participle: ['parti', 'partie', 'partis', 'parties'], derived: ['repartir'] },
+    sortir: { present: ['sors', 'sors', 'sort', 'sortons', 'sortez', 'sortent'], imperfect: 'sort', future: 'sortir', participle: ['sorti', 'sortie', 'sortis', 'sorties'] },
+    dormir: { present: ['dors', 'dors', 'dort', 'dormons', 'dormez', 'dorment'], imperfect: 'dorm', future: 'dormir', participle: ['dormi'] },
+    boire: { present: ['bois', 'bois', 'boit', 'buvons', 'buvez', 'boivent'], imperfect: 'buv', future: 'boir', participle: ['bu', 'bue', 'bus', 'bues'] },
+    lire: { present: ['lis', 'lis', 'lit', 'lisons', 'lisez', 'lisent'], imperfect: 'lis', future: 'lir', participle: ['lu', 'lue', 'lus', 'lues'] },
+    'écrire': { present: ['écris', 'écris', 'écrit', 'écrivons', 'écrivez', 'écrivent'], imperfect: 'écriv', future: 'écrir', participle: ['écrit', 'écrite', 'écrits', 'écrites'] },
+    'connaître': { present: ['connais', 'connais', 'connaît', 'connaissons', 'connaissez', 'connaissent'], imperfect: 'connaiss', future: 'connaîtr', participle: ['connu', 'connue', 'connus', 'connues'] }
+};
+
+const FRENCH_IRREGULAR_NOMINALS = {
+    beau: { bel: ['sg', 'm'], belle: ['sg', 'f'], beaux: ['pl', 'm'], belles: ['pl', 'f'] },
+    nouveau: { nouvel: ['sg', 'm'], nouvelle: ['sg', 'f'], nouveaux: ['pl', 'm'], nouvelles: ['pl', 'f'] },
+    vieux: { vieil: ['sg', 'm'], vieille: ['sg', 'f'], vieilles: ['pl', 'f'] },
+    'œil': { yeux: ['pl', 'm'] }
+};
+
+const verb = (tense, person, number) => ({ pos: 'VERB', features: person ? { tense, person, number } : { tense } });
+const nominal = (number, gender) => ({ pos: 'NOUN', features: gender ? { number, gender } : { number } });
+
+function conjugationRules(replacement, endings, tense, prefix = '') {
+    return endings.map((ending, index) => [prefix + ending, replacement, verb(tense, ...PERSONS[index])]);
+}
+
+// [suffix, replacement, analysis], tried longest suffix first
+const FRENCH_SUFFIX_RULES = [
+    // 1st group (-er)
+    ...conjugationRules('er', ['e', 'es', 'e', 'ons', 'ez', 'ent'], 'present'),
+    ...conjugationRules('er', IMPERFECT_ENDINGS, 'imperfect'),
+    ...conjugationRules('er', FUTURE_ENDINGS, 'future', 'er'),
+    ['geons', 'ger', verb('present', 1, 'pl')],
+    ['çons', 'cer', verb('present', 1, 'pl')],
+    ['geais', 'ger', verb('imperfect', 1, 'sg')], ['geait', 'ger', verb('imperfect', 3, 'sg')],
+    ['geaient', 'ger', verb('imperfect', 3, 'pl')],
+    ['é', 'er', verb('past_participle')], ['ée', 'er', verb('past_participle')],
+    ['és', 'er', verb('past_participle')], ['ées', 'er', verb('past_participle')],
+    ['ant', 'er', verb('present_participle')],
+    // 2nd group (-ir)
+    ...conjugationRules('ir', ['is', 'is', 'it', 'issons', 'issez', 'issent'], 'present'),
+    ...conjugationRules('ir', IMPERFECT_ENDINGS, 'imperfect', 'iss'),
+    ...conjugationRules('ir', FUTURE_ENDINGS, 'future', 'ir'),
+    ['i', 'ir', verb('past_participle')], ['ie', 'ir', verb('past_participle')], ['ies', 'ir', verb('past_participle')],
+    ['issant', 'ir', verb('present_participle')],
+    // 3rd group (-dre: vendre, attendre, répondre)
+    ...conjugationRules('dre', ['ds', 'ds', 'd', 'dons', 'dez', 'dent'], 'present'),
+    ...conjugationRules('dre', IMPERFECT_ENDINGS, 'imperfect', 'd'),
+    ...conjugationRules('dre', FUTURE_ENDINGS, 'future', 'dr'),
+    ['du', 'dre', verb('past_participle')], ['due', 'dre', verb('past_participle')],
+    ['dus', 'dre', verb('past_participle')], ['dues', 'dre', verb('past_participle')],
+    // Nouns and adjectives: plural and feminine forms
+    ['aux', 'al', nominal('pl')], ['eaux', 'eau', nominal('pl')],
+    ['euse', 'eux', nominal('sg', 'f')], ['euses', 'eux', nominal('pl', 'f')],
+    ['ive', 'if', nominal('sg', 'f')], ['ives', 'if', nominal('pl', 'f')],
+    ['elle', 'el', nominal('sg', 'f')], ['elles', 'el', nominal('pl', 'f')],
+    ['enne', 'en', nominal('sg', 'f')], ['ennes', 'en', nominal('pl', 'f')],
+    ['onne', 'on', nominal('sg', 'f')], ['onnes', 'on', nominal('pl', 'f')],
+    ['ette', 'et', nominal('sg', 'f')], ['ettes', 'et', nominal('pl', 'f')],
+    ['e', '', nominal('sg', 'f')], ['es', '', nominal('pl', 'f')],
+    ['s', '', nominal('pl')], ['x', '', nominal('pl')]
+].sort((a, b) => b[0].length - a[0].length);
+
+function buildFrenchLexicon() {
+    const lexicon = new Map();
+    const add = (form, lemma, analysis) => {
+        if (!lexicon.has(form)) lexicon.set(form, []);
+        lexicon.get(form).push({ lemma, ...analysis });
+    };
+
+    for (const [lemma, paradigm] of Object.entries(FRENCH_IRREGULAR_VERBS)) {
+        for (const derived of [lemma, ...(paradigm.derived || [])]) {
+            const prefix = derived.slice(0, derived.length - lemma.length);
+            paradigm.present.forEach((form, index) => add(prefix + form, derived, verb('present', ...PERSONS[index])));
+            IMPERFECT_ENDINGS.forEach((ending, index) => add(prefix + paradigm.imperfect + ending, derived, verb('imperfect', ...PERSONS[index])));
+            FUTURE_ENDINGS.forEach((ending, index) => add(prefix + paradigm.future + ending, derived, verb('future', ...PERSONS[index])));
+            paradigm.participle.forEach((form, index) => {
+                const [number, gender] = PARTICIPLE_FORMS[index] || PARTICIPLE_FORMS[0];
+                add(prefix + form, derived, { pos: 'VERB', features: { tense: 'past_participle', number, gender } });
+            });
+        }
+    }
+
+    for (const [lemma, forms] of Object.entries(FRENCH_IRREGULAR_NOMINALS)) {
+        for (const [form, [number, gender]] of Object.entries(forms)) {
+            add(form, lemma, { pos: 'ADJ', features: { number, gender } });
+        }
+    }
+
+    return lexicon;
+}
+
+class Lemmatizer {
+    constructor(language = {}, lexicon = new Map(), rules = []) {
+        this.language = language;
+        this.lexicon = lexicon;
+        this.rules = rules;
+
+        // Project-specific form -> lemma overrides from the language config
+        const extra = (language.lemmatizer && language.lemmatizer.lexicon) || {};
+        for (const [form, lemma] of Object.entries(extra)) {
+            this.lexicon.set(form, [{ lemma, pos: 'UNK', features: {} }, ...(this.lexicon.get(form) || [])]);
+        }
+    }
+
+    analyze(form) {
+        const word = form.normalize('NFC').toLowerCase();
+        const analyses = [...(this.lexicon.get(word) || [])];
+
+        for (const [suffix, replacement, analysis] of this.rules) {
+            if (!word.endsWith(suffix)) continue;
+
+            const stem = word.slice(0, word.length - suffix.length);
+            if (stem.length < 2) continue;
+
+            const lemma = stem + replacement;
+            if (lemma !== word) {
+                analyses.push({ lemma, ...analysis });
+            }
+        }
+
+        return analyses;
+    }
+}
+
+class FrenchLemmatizer extends Lemmatizer {
+    constructor(language = {}) {
+        super(language, buildFrenchLexicon(), FRENCH_SUFFIX_RULES);
+    }
+}
+
+const LEMMATIZERS = {
+    french: FrenchLemmatizer
+};
+
+const cache = new WeakMap();
+
+function createLemmatizer(language = {}) {
+    if (cache.has(language)) return cache.get(language);
+
+    const type = language.lemmatizer && language.lemmatizer.type;
+    let lemmatizer = null;
+    if (type) {
+        const LemmatizerClass = LEMMATIZERS[type];
+        if (!LemmatizerClass) {
+            throw new Error(`Unsupported lemmatizer: ${type}`);
+        }
+        lemmatizer = new LemmatizerClass(language);
+    }
+
+    cache.set(language, lemmatizer);
+    return lemmatizer;
+}
+
+function registerLemmatizer(type, LemmatizerClass) {
+    LEMMATIZERS[type] = LemmatizerClass;
+}
+
+module.exports = { Lemmatizer, FrenchLemmatizer, createLemmatizer, registerLemmatizer };
@@ -0,0 +1,261 @@
+/*
+* This is the lexicon induction utility module. It learns candidate word and phrase translations from the parallel corpus,
+* so the dictionary does not have to be typed entirely by hand.
+* It trains IBM Model 1 with EM in both directions (p(tgt|src) and p(src|tgt), with a NULL word for unaligned tokens),
+* symmetrizes the Viterbi word alignments (intersection, grown towards adjacent union links) and extracts the phrase pairs
+* consistent with them, Moses-style, up to maxPhrase words per side.
+* Each candidate is scored with the geometric mean of both directions, sqrt(p(tgt|src) * p(src|tgt)), which is in [0, 1]
+* like the scores of hand-written entries, and keeps how many times it was aligned in the corpus as "freq".
+* Candidates are proposals: they are written to a separate TSV marked origin "induced" for lexicographers to review before merging.
+* Example usage:
+* const inducer = new LexiconInducer(pair, { iterations: 5, minCount: 2 });
+* const entries = inducer.induce(corpus); // corpus: [{ src: 'Je vais au marché.', tgt: 'N zɩ̀ nà zaabā.' }, ...]
+* console.log(entries[0]); // Outputs: { src: 'marché', tgt: 'zaabā', score: 0.91, freq: 12, p_tgt_src: 0.93, p_src_tgt: 0.89 }
+*/
+const { createTokenizer } = require('./tokenizer');
+const { normalize } = require('./languages');
+
+const NULL = '\u0000NULL';
+
+class LexiconInducer {
+    constructor(pair = {}, options = {}) {
+        this.srcLanguage = pair.src || {};
+        this.tgtLanguage = pair.tgt || {};
+        this.srcTokenizer = createTokenizer(this.srcLanguage);
+        this.tgtTokenizer = createTokenizer(this.tgtLanguage);
+        this.iterations = options.iterations || 5;
+        this.minCount = options.minCount || 2;
+        this.minScore = options.minScore !== undefined ? options.minScore : 0.1;
+        this.maxPhrase = options.maxPhrase || 3;
+        this.maxCandidates = options.maxCandidates || 3;
+    }
+
+    // ---------------------------------------------------------------
+    // Analysis
+    // ---------------------------------------------------------------
+    analyze(text, tokenizer, language) {
+        const tokens = tokenizer.tokenizeDetailed(text);
+        return {
+            text,
+            norms: tokens.map(token => normalize(token.norm, language)),
+            tokens
+        };
+    }
+
+    // Surface form of tokens [from, to), taken from the sentence so elisions ("l'école") keep their spelling
+    surface(sentence, from, to) {
+        const first = sentence.tokens[from];
+        const last = sentence.tokens[to - 1];
+        return sentence.text.slice(first.start, last.end).replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    // ---------------------------------------------------------------
+    // IBM Model 1
+    // ---------------------------------------------------------------
+    // Returns t(f|e) as Map<e, Map<f, probability>>, for every f generated by e or NULL
+    train(pairs, from, to) {
+        const table = new Map();
+        // Uniform start: the first E-step only needs every co-occurring pair to have the same weight
+        for (const pair of pairs) {
+            for (const e of [NULL, ...pair[from]]) {
+                if (!table.has(e)) table.set(e, new Map());
+                const row = table.get(e);
+                for (const f of pair[to]) row.set(f, 1);
+            }
+        }
+
+        for (let iteration = 0; iteration < this.iterations; iteration++) {
+            const counts = new Map();
+            const totals = new Map();
+            for (const pair of pairs) {
+                const sources = [NULL, ...pair[from]];
+                for (const f of pair[to]) {
+                    let z = 0;
+                    for (const e of sources) z += table.get(e).get(f);
+                    for (const e of sources) {
+                        const c = table.get(e).get(f) / z;
+                        if (!counts.has(e)) counts.set(e, new Map());
+                        counts.get(e).set(f, (counts.get(e).get(f) || 0) + c);
+                        totals.set(e, (totals.get(e) || 0) + c);
+                    }
+                }
+            }
+            for (const [e, row] of counts) {
+                const total = totals.get(e);
+                const tableRow = table.get(e);
+                for (const [f, c] of row) tableRow.set(f, c / total);
+            }
+        }
+        return table;
+    }
+
+    // Best generator of each target position (-1 for NULL)
+    viterbi(table, sources, targets) {
+        return targets.map(f => {
+            let best = -1;
+            let bestProbability = table.get(NULL).get(f) || 0;
+            sources.forEach((e, i) => {
+                const probability = table.get(e).get(f) || 0;
+                if (probability > bestProbability) {
+                    best = i;
+                    bestProbability = probability;
+                }
+            });
+            return best;
+        });
+    }
+
+    // Intersection of both directions, grown with union links next to an existing link that align a still-unaligned word
+    symmetrize(forward, backward) {
+        const union = new Set();
+        const links = new Set();
+        forward.forEach((i, j) => { if (i >= 0) union.add(`${i},${j}`); });
+        backward.forEach((j, i) => { if (j >= 0) union.add(`${i},${j}`); });
+        forward.forEach((i, j) => { if (i >= 0 && backward[i] === j) links.add(`${i},${j}`); });
+
+        const alignedSrc = new Set([...links].map(link => Number(link.split(',')[0])));
+        const alignedTgt = new Set([...links].map(link => Number(link.split(',')[1])));
+        let grown = true;
+        while (grown) {
+            grown = false;
+            for (const link of [...links]) {
+                const [i, j] = link.split(',').map(Number);
+                for (const [di, dj] of [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [-1, 1], [1, -1], [1, 1]]) {
+                    const candidate = `${i + di},${j + dj}`;
+                    if (links.has(candidate) || !union.has(candidate)) continue;
+                    if (alignedSrc.has(i + di) && alignedTgt.has(j + dj)) continue;
+                    links.add(candidate);
+                    alignedSrc.add(i + di);
+                    alignedTgt.add(j + dj);
+                    grown = true;
+                }
+            }
+        }
+        return [...links].map(link => link.split(',').map(Number));
+    }
+
+    // Phrase pairs consistent with the alignment: no link leaves the box [i1, i2] x [j1, j2]
+    extractPhrases(links, srcLength) {
+        const phrases = [];
+        for (let i1 = 0; i1 < srcLength; i1++) {
+            for (let i2 = i1; i2 < Math.min(srcLength, i1 + this.maxPhrase); i2++) {
+                const inside = links.filter(([i]) => i >= i1 && i <= i2);
+                if (inside.length === 0) continue;
+                const j1 = Math.min(...inside.map(([, j]) => j));
+                const j2 = Math.max(...inside.map(([, j]) => j));
+                if (j2 - j1 >= this.maxPhrase) continue;
+                if (links.some(([i, j]) => j >= j1 && j <= j2 && (i < i1 || i > i2))) continue;
+                // Single words on both sides come from the lexical tables
+                if (i1 === i2 && j1 === j2) continue;
+                // Only minimal phrases: "je veux" -> "n rata" is already covered by its two words
+                if (this.decomposable(links.filter(([i]) => i >= i1 && i <= i2), i1, i2)) continue;
+                phrases.push([i1, i2 + 1, j1, j2 + 1]);
+            }
+        }
+        return phrases;
+    }
+
+    // True when the box splits into two smaller consistent phrase pairs, in order or swapped
+    decomposable(box, i1, i2) {
+        for (let k = i1 + 1; k <= i2; k++) {
+            const left = box.filter(([i]) => i < k).map(([, j]) => j);
+            const right = box.filter(([i]) => i >= k).map(([, j]) => j);
+            if (left.length === 0 || right.length === 0) continue;
+            if (Math.max(...left) < Math.min(...right) || Math.max(...right) < Math.min(...left)) return true;
+        }
+        return false;
+    }
+
+    // ---------------------------------------------------------------
+    // Induction
+    // ---------------------------------------------------------------
+    // corpus: [{ src, tgt }] in translation direction; returns entries sorted by source headword then score
+    induce(corpus) {
+        const sentences = corpus.map(entry => ({
+            src: this.analyze(entry.src, this.srcTokenizer, this.srcLanguage),
+            tgt: this.analyze(entry.tgt, this.tgtTokenizer, this.tgtLanguage)
+        })).filter(pair => pair.src.norms.length > 0 && pair.tgt.norms.length > 0);
+        const pairs = sentences.map(pair => ({ src: pair.src.norms, tgt: pair.tgt.norms }));
+
+        const forwardTable = this.train(pairs, 'src', 'tgt');   // t(tgt|src)
+        const backwardTable = this.train(pairs, 'tgt', 'src');  // t(src|tgt)
+
+        const words = new Map();
+        const phrases = new Map();
+        const record = (table, key, fields) => {
+            const entry = table.get(key) || { ...fields, count: 0 };
+            entry.count++;
+            table.set(key, entry);
+        };
+        // How often each phrase of up to maxPhrase words occurs at all, aligned or not
+        const occurrences = { src: new Map(), tgt: new Map() };
+        const countOccurrences = (sentence, counts) => {
+            for (let from = 0; from < sentence.tokens.length; from++) {
+                for (let to = from + 1; to <= Math.min(sentence.tokens.length, from + this.maxPhrase); to++) {
+                    const phrase = this.surface(sentence, from, to);
+                    counts.set(phrase, (counts.get(phrase) || 0) + 1);
+                }
+            }
+        };
+
+        for (const { src, tgt } of sentences) {
+            countOccurrences(src, occurrences.src);
+            countOccurrences(tgt, occurrences.tgt);
+
+            const forward = this.viterbi(forwardTable, src.norms, tgt.norms);
+            const backward = this.viterbi(backwardTable, tgt.norms, src.norms);
+            const links = this.symmetrize(forward, backward);
+
+            for (const [i, j] of links) {
+                record(words, `${src.norms[i]}\t${tgt.norms[j]}`, { src: src.norms[i], tgt: tgt.norms[j] });
+            }
+            for (const [i1, i2, j1, j2] of this.extractPhrases(links, src.norms.length)) {
+                const srcPhrase = this.surface(src, i1, i2);
+                const tgtPhrase = this.surface(tgt, j1, j2);
+                record(phrases, `${srcPhrase}\t${tgtPhrase}`, { src: srcPhrase, tgt: tgtPhrase, norms: src.norms.slice(i1, i2) });
+            }
+        }
+
+        const entries = [];
+        const wordScores = new Map();
+        for (const [key, { src, tgt, count }] of words) {
+            const pTgtSrc = forwardTable.get(src).get(tgt) || 0;
+            const pSrcTgt = backwardTable.get(tgt).get(src) || 0;
+            const entry = this.entry(src, tgt, count, pTgtSrc, pSrcTgt);
+            wordScores.set(key, entry.score);
+            entries.push(entry);
+        }
+        for (const { src, tgt, norms, count } of phrases.values()) {
+            // Relative frequencies: how often the phrase pair is extracted when either side occurs
+            const entry = this.entry(src, tgt, count, count / occurrences.src.get(src), count / occurrences.tgt.get(tgt));
+            // "achète le" -> "rɑɑda" is only "achète" -> "rɑɑda" with an unaligned word attached
+            if (norms.some(norm => (wordScores.get(`${norm}\t${tgt}`) || 0) >= entry.score)) continue;
+            entries.push(entry);
+        }
+
+        // Best few candidates per headword, above the thresholds
+        const byHeadword = new Map();
+        for (const entry of entries) {
+            if (entry.freq < this.minCount || entry.score < this.minScore) continue;
+            if (!byHeadword.has(entry.src)) byHeadword.set(entry.src, []);
+            byHeadword.get(entry.src).push(entry);
+        }
+        return [...byHeadword.keys()].sort().flatMap(headword => byHeadword.get(headword)
+            .sort((a, b) => b.score - a.score || b.freq - a.freq)
+            .slice(0, this.maxCandidates));
+    }
+
+    entry(src, tgt, count, pTgtSrc, pSrcTgt) {
+        const round = value => Math.round(value * 1000) / 1000;
+        return {
+            src,
+            tgt,
+            score: round(Math.sqrt(pTgtSrc * pSrcTgt)),
+            freq: count,
+            p_tgt_src: round(pTgtSrc),
+            p_src_tgt: round(pSrcTgt)
+        };
+    }
+}
+
+module.exports = LexiconInducer;
@@ -4,59 +4,309 @@ In a standard Afropair pipeline, this is usually the last step after text splitt
 It is designed to provide a consistent interface for interacting with different LLMs, allowing for easy switching between providers or models.
 The module can be extended to include additional functionality such as prompt engineering, response parsing, and more.
 It will dynamically load the appropriate LLM provider based on the configuration settings.
+Each provider is an adapter registered in PROVIDERS; all of them speak plain HTTP (fetch), so no vendor SDK is needed:
+- "openai": OpenAI chat completions, or any OpenAI-compatible server through OPENAI_API_BASE_URL
+- "local": an OpenAI-compatible local server (llama.cpp, Ollama, vLLM) at LOCAL_LLM_BASE_URL, no API key needed
+- "anthropic": Anthropic messages API (ANTHROPIC_API_KEY)
+- "gemini": Google Gemini generateContent API (GEMINI_API_KEY)
+- "mock": deterministic offline responses for tests and dry runs
+Example usage:
+const model = new Model('local', 'llama3');
+const result = await model.chat([{ role: 'user', content: 'Traduis "bonjour" en mooré.' }], { system: 'Tu es traducteur.', temperature: 0, json: false });
+console.log(result.content, result.usage); // Outputs: "nɛ bɛɛ̀dã" { input_tokens: 21, output_tokens: 5, total_tokens: 26 }
 */
+const crypto = require('crypto');
 
-// import necessary libraries for different providers
-class Model {
-    constructor(provider = 'openai', model = 'gpt-3.5-turbo') {
-        this.provider = provider;
-        this.model = model;
-        // Initialize the model based on the provider
-        if (provider === 'openai') {
-            const { Configuration, OpenAIApi } = require('openai');
-            const configuration = new Configuration({
-                apiKey: process.env.OPENAI_API_KEY,
-                baseurl: process.env.OPENAI_API_BASE_URL, // Optional, for custom endpoints
-            });
-            this.client = new OpenAIApi(configuration);
+const DEFAULT_TIMEOUT_MS = 60000;
+const JSON_INSTRUCTION = 'Respond with a single valid JSON object and nothing else.';
+
+async function postJSON(url, body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+        const text = await response.text();
+        if (!response.ok) {
+            throw new Error(`LLM request to ${url} failed with ${response.status}: ${text.slice(0, 500)}`);
+        }
+        return JSON.parse(text);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`LLM request to ${url} timed out after ${timeoutMs}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function usage(inputTokens = 0, outputTokens = 0) {
+    return { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens };
+}
+
+// ===================================================================
+// PROVIDER ADAPTERS
+// Each adapter takes a normalized request { model, system, messages, temperature, maxTokens, json }
+// and returns { content, usage, raw }.
+// ===================================================================
+class OpenAICompatibleProvider {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || process.env.OPENAI_API_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+        this.apiKey = options.apiKey !== undefined ? options.apiKey : process.env.OPENAI_API_KEY;
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    }
+
+    async chat(request) {
+        const messages = request.system
+            ? [{ role: 'system', content: request.system }, ...request.messages]
+            : request.messages;
+
+        const body = {
+            model: request.model,
+            messages,
+            ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+            ...(request.maxTokens ? { max_tokens: request.maxTokens } : {}),
+            ...(request.json ? { response_format: { type: 'json_object' } } : {})
+        };
+        const headers = this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {};
+
+        const raw = await postJSON(`${this.baseUrl}/chat/completions`, body, headers, this.timeoutMs);
+        const choice = raw.choices && raw.choices[0];
+        return {
+            content: choice && choice.message ? choice.message.content || '' : '',
+            usage: usage(raw.usage && raw.usage.prompt_tokens, raw.usage && raw.usage.completion_tokens),
+            raw
+        };
+    }
+}
+
+class LocalProvider extends OpenAICompatibleProvider {
+    constructor(options = {}) {
+        super({
+            baseUrl: options.baseUrl || process.env.LOCAL_LLM_BASE_URL || 'http://localhost:8080/v1',
+            apiKey: options.apiKey || process.env.LOCAL_LLM_API_KEY || null,
+            timeoutMs: options.timeoutMs
+        });
+    }
+}
+
+class AnthropicProvider {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || process.env.ANTHROPIC_API_BASE_URL || 'https://api.anthropic.com/v1').replace(/\/$/, '');
+        this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    }
+
+    async chat(request) {
+        // No native JSON mode: ask for it in the system prompt
+        const system = [request.system, request.json ? JSON_INSTRUCTION : null].filter(Boolean).join('\n\n');
+        const body = {
+            model: request.model,
+            max_tokens: request.maxTokens || 1024,
+            messages: request.messages,
+            ...(system ? { system } : {}),
+            ...(request.temperature !== undefined ? { temperature: request.temperature } : {})
+        };
+        const headers = { 'x-api-key': this.apiKey, 'anthropic-version': '2023-06-01' };
+
+        const raw = await postJSON(`${this.baseUrl}/messages`, body, headers, this.timeoutMs);
+        const content = (raw.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        return {
+            content,
+            usage: usage(raw.usage && raw.usage.input_tokens, raw.usage && raw.usage.output_tokens),
+            raw
+        };
+    }
+}
+
+class GeminiProvider {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || process.env.GEMINI_API_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/$/, '');
+        this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+        this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    }
+
+    async chat(request) {
+        const body = {
+            contents: request.messages.map(message => ({
+                role: message.role === 'assistant' ? 'model' : 'user',
+                parts: [{ text: message.content }]
+            })),
+            ...(request.system ? { systemInstruction: { parts: [{ text: request.system }] } } : {}),
+            generationConfig: {
+                ...(request.temperature !== undefined ? { temperature: request.temperature } : {}),
+                ...(request.maxTokens ? { maxOutputTokens: request.maxTokens } : {}),
+                ...(request.json ? { responseMimeType: 'application/json' } : {})
+            }
+        };
+        const url = `${this.baseUrl}/models/${encodeURIComponent(request.model)}:generateContent`;
+
+        const raw = await postJSON(url, body, { 'x-goog-api-key': this.apiKey }, this.timeoutMs);
+        const candidate = raw.candidates && raw.candidates[0];
+        const parts = (candidate && candidate.content && candidate.content.parts) || [];
+        const metadata = raw.usageMetadata || {};
+        return {
+            content: parts.map(part => part.text || '').join(''),
+            usage: usage(metadata.promptTokenCount, metadata.candidatesTokenCount),
+            raw
+        };
+    }
+}
+
+// Deterministic values for the fields of the first `{"field": type, ...}` shape in the prompt
+function mockObject(text, digest) {
+    const shape = text.match(/\{\s*"\w+":[^{}]*\}/);
+    const fields = shape ? [...shape[0].matchAll(/"(\w+)":\s*(string\[\]|string|int(?:eger)?|number|bool(?:ean)?|\[[^\]]*\]\[\])/g)] : [];
+    if (fields.length === 0) return { mock: true, digest };
+
+    const object = {};
+    fields.forEach(([, field, type], index) => {
+        if (type === 'string') object[field] = `[mock:${digest}]`;
+        else if (type === 'string[]') object[field] = [`[mock:${digest}:${index}]`];
+        // Ratings between 3 and 5, varying with the prompt
+        else if (/^(int|number)/.test(type)) object[field] = 3 + parseInt(digest.slice(index * 2, index * 2 + 2), 16) % 3;
+        else if (/^bool/.test(type)) object[field] = false;
+        else object[field] = [];
+    });
+    return object;
+}
+
+class MockProvider {
+    // options.responses: a string, an array of strings (served in order, last one repeats)
+    // or a function (request) => string. Without it, answers are derived from a hash of the prompt:
+    // in JSON mode they fill the object shape the prompt asks for ({"translation": string, "adequacy": int, ...}).
+    constructor(options = {}) {
+        this.responses = options.responses;
+        this.calls = [];
+    }
+
+    async chat(request) {
+        this.calls.push(request);
+        const prompt = request.messages.map(message => message.content).join('\n');
+
+        let content;
+        if (typeof this.responses === 'function') {
+            content = await this.responses(request);
+        } else if (Array.isArray(this.responses)) {
+            content = this.responses[Math.min(this.calls.length, this.responses.length) - 1];
+        } else if (typeof this.responses === 'string') {
+            content = this.responses;
         } else {
-            throw new Error(`Unsupported provider: ${provider}`);
+            const digest = crypto.createHash('sha1').update(`${request.system || ''}\n${prompt}`).digest('hex').slice(0, 12);
+            content = request.json ? JSON.stringify(mockObject(`${request.system || ''}\n${prompt}`, digest)) : `[mock:${digest}]`;
         }
 
-        // anthropic as provider
-        if (provider === 'anthropic') {
-            const { Anthropic } = require('@anthropic-ai/sdk');
-            this.client = new Anthropic({
-                apiKey: process.env.ANTHROPIC_API_KEY,
-            });
-        }   else {
-            throw new Error(`Unsupported provider: ${provider}`);
+        const count = text => (text.match(/\S+/g) || []).length;
+        return {
+            content,
+            usage: usage(count(`${request.system || ''} ${prompt}`), count(content)),
+            raw: { mock: true }
+        };
+    }
+}
+
+const PROVIDERS = {
+    openai: OpenAICompatibleProvider,
+    'openai-compatible': OpenAICompatibleProvider,
+    local: LocalProvider,
+    anthropic: AnthropicProvider,
+    gemini: GeminiProvider,
+    mock: MockProvider
+};
+
+const DEFAULT_MODELS = {
+    openai: 'gpt-3.5-turbo',
+    'openai-compatible': 'gpt-3.5-turbo',
+    local: 'local-model',
+    anthropic: 'claude-3-5-haiku-latest',
+    gemini: 'gemini-1.5-flash',
+    mock: 'mock'
+};
+
+// ===================================================================
+// MODEL
+// ===================================================================
+class Model {
+    constructor(provider = 'openai', model = null, options = {}) {
+        const Provider = PROVIDERS[provider];
+        if (!Provider) {
+            throw new Error(`Unsupported provider: ${provider} (available: ${Object.keys(PROVIDERS).join(', ')})`);
         }
 
-        // Gemini as provider
-        if (provider === 'gemini') {
-            const { Gemini } = require('gemini-sdk');
-            this.client = new Gemini({
-                apiKey: process.env.GEMINI_API_KEY,
-            });
-        }   else {
-            throw new Error(`Unsupported provider: ${provider}`);
-        }   
-        // Add more providers as needed
+        this.provider = provider;
+        this.model = model || DEFAULT_MODELS[provider] || provider;
+        this.defaults = options.defaults || {};
+        this.client = new Provider(options);
+        this.usage = usage();
+    }
+
+    static registerProvider(name, Provider, defaultModel = null) {
+        PROVIDERS[name] = Provider;
+        if (defaultModel) DEFAULT_MODELS[name] = defaultModel;
+    }
+
+    async chat(messages, options = {}) {
+        const settings = { ...this.defaults, ...options };
+
+        // System prompts may come as messages or as an option; providers receive them separately
+        const systemParts = messages.filter(message => message.role === 'system').map(message => message.content);
+        if (settings.system) systemParts.unshift(settings.system);
+
+        const request = {
+            model: this.model,
+            system: systemParts.join('\n\n') || null,
+            messages: messages.filter(message => message.role !== 'system'),
+            temperature: settings.temperature,
+            maxTokens: settings.maxTokens,
+            json: Boolean(settings.json)
+        };
+
+        const result = await this.client.chat(request);
+
+        this.usage = usage(
+            this.usage.input_tokens + result.usage.input_tokens,
+            this.usage.output_tokens + result.usage.output_tokens
+        );
+
+        return {
+            provider: this.provider,
+            model: this.model,
+            content: result.content,
+            json: request.json ? Model.parseJSON(result.content) : undefined,
+            usage: result.usage,
+            raw: result.raw
+        };
     }
 
     async generate(prompt, options = {}) {
-        if (this.provider === 'openai') {
-            const response = await this.client.createChatCompletion({
-                model: this.model,
-                messages: [{ role: 'user', content: prompt }],
-                ...options,
-            });
-            return response.data.choices[0].message.content;
-        } else {
-            throw new Error(`Unsupported provider: ${this.provider}`);
+        const result = await this.chat([{ role: 'user', content: prompt }], options);
+        return result.content;
+    }
+
+    static parseJSON(content) {
+        if (!content) return null;
+        // Models sometimes wrap JSON in a code fence or add a sentence around it
+        const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+        const candidate = fenced ? fenced[1] : content;
+        const start = candidate.search(/[{[]/);
+        if (start === -1) return null;
+        const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+        try {
+            return JSON.parse(candidate.slice(start, end + 1));
+        } catch (error) {
+            return null;
         }
     }
 }
 
-module.exports = Model;
\ No newline at end of file
+module.exports = Model;
+module.exports.PROVIDERS = PROVIDERS;
+module.exports.postJSON = postJSON;
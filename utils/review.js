@@ -0,0 +1,446 @@
+/*
+* This is the human review utility module. It lets a person act on the records the Logger could not accept on its own
+* ("review_recommended" and "manual_review_required").
+* The output JSONL stays append-only: a decision never rewrites a line, it appends a new version of the record with the same id,
+* an incremented "version", the new status ("human_accepted" or "human_rejected") and a "review" block saying who decided what.
+* Older versions stay in the file as the record's history; latestVersions() gives the current state for exports and statistics.
+* Accepted versions have a confidence of 1. An edit also puts the corrected text first among the candidates (source "human") and
+* keeps only the word links whose target word is still in it.
+* ReviewServer is a small local HTTP app on top of ReviewStore (no framework): an HTML page for reviewers and a JSON API.
+* - GET  /                          pending records with source, chosen target, candidates and explanation
+* - GET  /api/records?status=...    latest versions ("pending" by default, "all", or a comma-separated list of statuses)
+* - GET  /api/records/:id           latest version and full history
+* - POST /api/records/:id/review    { decision: "accept"|"edit"|"reject", reviewer, tgt?, comment?, version? }
+* Example usage:
+* const store = new ReviewStore('./output/translations.jsonl');
+* await store.review(recordId, { decision: 'edit', reviewer: 'awa', tgt: 'N zɩ̀ nà zaabā.' });
+* const server = new ReviewServer(store, { port: 8787 });
+* await server.start(); // Reviewers open http://127.0.0.1:8787
+*/
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const { LanguageRegistry } = require('./languages');
+const { createTokenizer } = require('./tokenizer');
+
+const PENDING_STATUSES = ['review_recommended', 'manual_review_required'];
+const DECISIONS = {
+    accept: { status: 'human_accepted', decision: 'accepted' },
+    edit: { status: 'human_accepted', decision: 'edited' },
+    reject: { status: 'human_rejected', decision: 'rejected' }
+};
+// Quality features computed on the machine target; an edited target no longer has them
+const TARGET_FEATURES = ['length_ratio', 'unknown_words', 'alignment_cosine', 'alignment_margin', 'misaligned',
+    'judge_score', 'judge_adequacy', 'judge_fluency', 'judge_terminology', 'judge_hallucination'];
+const MAX_BODY_BYTES = 1024 * 1024;
+const PAGE_SIZE = 50;
+
+class ReviewError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+// Records without a "version" field are the Logger's original lines
+function versionOf(record) {
+    return record.version || 1;
+}
+
+// Groups records by id and keeps the highest version of each, in order of first appearance
+function latestVersions(records) {
+    const latest = new Map();
+    for (const record of records) {
+        const current = latest.get(record.id);
+        if (!current || versionOf(record) >= versionOf(current)) {
+            // Map keeps the insertion order of the first version
+            latest.set(record.id, record);
+        }
+    }
+    return [...latest.values()];
+}
+
+// ===================================================================
+// REVIEW STORE
+// ===================================================================
+class ReviewStore {
+    // options.languages: the LanguageRegistry used to tokenize edited targets (default: config/)
+    constructor(outputPath, options = {}) {
+        this.outputPath = outputPath;
+        this.languages = options.languages || new LanguageRegistry();
+        this.versions = new Map();
+        this.stamp = null;
+        // Pending review of each record id: reviews of one record run one after the other
+        this.queues = new Map();
+    }
+
+    async load() {
+        let stat;
+        try {
+            stat = await fs.stat(this.outputPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.versions = new Map();
+            this.stamp = null;
+            return this;
+        }
+
+        // The pipeline may append while the server runs; only re-read when the file changed
+        const stamp = `${stat.mtimeMs}:${stat.size}`;
+        if (stamp === this.stamp) return this;
+
+        const data = await fs.readFile(this.outputPath, 'utf-8');
+        this.versions = new Map();
+        data.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                // A line cut short by a crash must not take the whole review app down
+                console.warn(`Skipping invalid JSON on line ${index + 1} of ${this.outputPath}`);
+                return;
+            }
+            if (!this.versions.has(record.id)) this.versions.set(record.id, []);
+            this.versions.get(record.id).push(record);
+        });
+        for (const history of this.versions.values()) {
+            history.sort((a, b) => versionOf(a) - versionOf(b));
+        }
+        this.stamp = stamp;
+        return this;
+    }
+
+    latest() {
+        return [...this.versions.values()].map(history => history[history.length - 1]);
+    }
+
+    list(statuses = PENDING_STATUSES) {
+        const wanted = statuses ? new Set(statuses) : null;
+        return this.latest().filter(record => !wanted || wanted.has(record.status));
+    }
+
+    get(id) {
+        const history = this.versions.get(id);
+        return history ? { record: history[history.length - 1], history } : null;
+    }
+
+    // Reviews of the same record are serialized, so two reviewers without a "version" get n+1 and n+2, not n+1 twice
+    review(id, input = {}) {
+        const run = (this.queues.get(id) || Promise.resolve()).then(() => this.applyReview(id, input));
+        const settled = run.catch(() => {});
+        this.queues.set(id, settled);
+        settled.then(() => {
+            if (this.queues.get(id) === settled) this.queues.delete(id);
+        });
+        return run;
+    }
+
+    async applyReview(id, input) {
+        await this.load();
+        const entry = this.get(id);
+        if (!entry) {
+            throw new ReviewError(`No record with id ${id}`, 404);
+        }
+
+        const action = DECISIONS[input.decision];
+        if (!action) {
+            throw new ReviewError(`Unknown decision "${input.decision}" (expected ${Object.keys(DECISIONS).join(', ')})`);
+        }
+        const reviewer = String(input.reviewer || '').trim();
+        if (!reviewer) {
+            throw new ReviewError('A reviewer id is required');
+        }
+        const tgt = input.decision === 'edit' ? String(input.tgt || '').trim() : entry.record.tgt;
+        if (!tgt) {
+            throw new ReviewError('An edit needs the corrected target text');
+        }
+        // Two reviewers working on the same record: the second one must look at the new version first
+        if (input.version !== undefined && input.version !== null && input.version !== ''
+            && Number(input.version) !== versionOf(entry.record)) {
+            throw new ReviewError(`Record ${id} changed since version ${input.version} (now ${versionOf(entry.record)})`, 409);
+        }
+
+        const now = Date.now();
+        const previous = entry.record;
+        const record = {
+            ...previous,
+            tgt,
+            status: action.status,
+            // A person vouches for accepted pairs; the machine confidence stays in the review block
+            confidence: action.status === 'human_accepted' ? 1 : previous.confidence,
+            version: versionOf(previous) + 1,
+            review: {
+                decision: action.decision,
+                reviewer,
+                ...(input.comment ? { comment: String(input.comment) } : {}),
+                previous_tgt: previous.tgt,
+                previous_status: previous.status,
+                previous_confidence: previous.confidence,
+                reviewed_at: now
+            },
+            timestamp: now
+        };
+        if (tgt !== previous.tgt) {
+            Object.assign(record, this.edited(previous, tgt, reviewer));
+        }
+
+        await fs.mkdir(path.dirname(this.outputPath), { recursive: true });
+        await fs.appendFile(this.outputPath, JSON.stringify(record) + '\n');
+        entry.history.push(record);
+        return record;
+    }
+
+    // Fields of an edited version that described the machine target: the reviewer's text becomes the first candidate,
+    // target-side features are dropped and word links are kept only for target words still in the corrected text
+    edited(previous, tgt, reviewer) {
+        const features = { ...(previous.features || {}) };
+        TARGET_FEATURES.forEach(feature => delete features[feature]);
+        return {
+            features,
+            candidates: [{ tgt, source: 'human', confidence: 1, details: { reviewer } }, ...(previous.candidates || [])],
+            alignment: this.realign(previous.alignment, tgt, previous.tgt_lang),
+            explanation: `Corrected by ${reviewer} during review`
+        };
+    }
+
+    realign(alignment, tgt, language) {
+        if (!alignment || !Array.isArray(alignment.tgt_tokens)) return alignment || null;
+
+        let config = {};
+        try {
+            config = language ? this.languages.get(language) : {};
+        } catch (error) {
+            // Unregistered language: the default tokenizer still splits words
+        }
+        const tokens = createTokenizer(config).tokenize(tgt);
+
+        // Old target index -> index of the same word in the corrected text, matched in order so repeated words keep their own links
+        const moved = new Map();
+        let from = 0;
+        alignment.tgt_tokens.forEach((token, index) => {
+            const found = tokens.indexOf(token, from);
+            if (found < 0) return;
+            moved.set(index, found);
+            from = found + 1;
+        });
+
+        return {
+            ...alignment,
+            tgt_tokens: tokens,
+            links: (alignment.links || [])
+                .filter(link => moved.has(link.tgt))
+                .map(link => ({ ...link, tgt: moved.get(link.tgt) }))
+        };
+    }
+}
+
+// ===================================================================
+// REVIEW SERVER
+// ===================================================================
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function parseStatuses(value) {
+    if (!value || value === 'pending') return PENDING_STATUSES;
+    if (value === 'all') return null;
+    return value.split(',').map(status => status.trim()).filter(Boolean);
+}
+
+class ReviewServer {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port !== undefined ? options.port : 8787;
+        this.reviewer = options.reviewer || '';
+        this.server = null;
+    }
+
+    async start() {
+        this.server = http.createServer((request, response) => {
+            this.handle(request, response).catch(error => {
+                const statusCode = error.statusCode || 500;
+                this.send(response, statusCode, { error: error.message }, request);
+            });
+        });
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+        const { port } = this.server.address();
+        this.url = `http://${this.host}:${port}`;
+        return this.url;
+    }
+
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    async handle(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        let parts;
+        try {
+            parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            throw new ReviewError(`Malformed URL: ${url.pathname}`);
+        }
+        await this.store.load();
+
+        if (request.method === 'GET' && parts.length === 0) {
+            return this.sendHtml(response, this.renderPage(url.searchParams));
+        }
+
+        if (parts[0] === 'api' && parts[1] === 'records') {
+            if (request.method === 'GET' && parts.length === 2) {
+                const records = this.store.list(parseStatuses(url.searchParams.get('status')));
+                return this.send(response, 200, { total: records.length, records });
+            }
+            if (request.method === 'GET' && parts.length === 3) {
+                const entry = this.store.get(parts[2]);
+                if (!entry) throw new ReviewError(`No record with id ${parts[2]}`, 404);
+                return this.send(response, 200, entry);
+            }
+            if (request.method === 'POST' && parts.length === 4 && parts[3] === 'review') {
+                const record = await this.store.review(parts[2], await this.readBody(request));
+                return this.send(response, 201, { record });
+            }
+        }
+
+        // HTML form posts, answered with a redirect back to the list
+        if (request.method === 'POST' && parts[0] === 'records' && parts.length === 3 && parts[2] === 'review') {
+            const input = await this.readBody(request);
+            await this.store.review(parts[1], input);
+            const back = new URLSearchParams({ reviewer: input.reviewer || '', status: input.list_status || 'pending' });
+            response.writeHead(303, { location: `/?${back}` });
+            return response.end();
+        }
+
+        throw new ReviewError(`Not found: ${request.method} ${url.pathname}`, 404);
+    }
+
+    async readBody(request) {
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of request) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) throw new ReviewError('Request body too large', 413);
+            chunks.push(chunk);
+        }
+        const body = Buffer.concat(chunks).toString('utf-8');
+        const type = request.headers['content-type'] || '';
+
+        if (type.includes('application/x-www-form-urlencoded')) {
+            return Object.fromEntries(new URLSearchParams(body));
+        }
+        try {
+            return body ? JSON.parse(body) : {};
+        } catch (error) {
+            throw new ReviewError('Request body is not valid JSON');
+        }
+    }
+
+    send(response, statusCode, data, request = null) {
+        // Errors from form posts are shown as a page, API errors as JSON
+        const wantsHtml = request && !request.url.startsWith('/api/');
+        if (wantsHtml && data.error) {
+            return this.sendHtml(response, this.layout('Error', `<p class="error">${escapeHtml(data.error)}</p><p><a href="/">Back to the list</a></p>`), statusCode);
+        }
+        response.writeHead(statusCode, { 'content-type': 'application/json; charset=utf-8' });
+        response.end(JSON.stringify(data));
+    }
+
+    sendHtml(response, html, statusCode = 200) {
+        response.writeHead(statusCode, { 'content-type': 'text/html; charset=utf-8' });
+        response.end(html);
+    }
+
+    // ---------------------------------------------------------------
+    // HTML
+    // ---------------------------------------------------------------
+    renderPage(params) {
+        const listStatus = params.get('status') || 'pending';
+        const reviewer = params.get('reviewer') || this.reviewer;
+        const offset = Math.max(0, parseInt(params.get('offset'), 10) || 0);
+        const records = this.store.list(parseStatuses(listStatus));
+        const page = records.slice(offset, offset + PAGE_SIZE);
+
+        const link = changes => `/?${new URLSearchParams({ status: listStatus, reviewer, offset, ...changes })}`;
+        const nav = [
+            offset > 0 ? `<a href="${escapeHtml(link({ offset: Math.max(0, offset - PAGE_SIZE) }))}">&larr; Previous</a>` : '',
+            offset + PAGE_SIZE < records.length ? `<a href="${escapeHtml(link({ offset: offset + PAGE_SIZE }))}">Next &rarr;</a>` : ''
+        ].join(' ');
+
+        const body = [
+            `<p>${records.length} record(s) with status <strong>${escapeHtml(listStatus)}</strong>`,
+            ` &middot; show: <a href="${escapeHtml(link({ status: 'pending', offset: 0 }))}">pending</a>,`,
+            ` <a href="${escapeHtml(link({ status: 'human_accepted,human_rejected', offset: 0 }))}">reviewed</a>,`,
+            ` <a href="${escapeHtml(link({ status: 'all', offset: 0 }))}">all</a></p>`,
+            page.length === 0 ? '<p>Nothing to review.</p>' : page.map(record => this.renderRecord(record, reviewer, listStatus)).join('\n'),
+            `<p>${nav}</p>`
+        ].join('');
+
+        return this.layout('Afropairs review', body);
+    }
+
+    renderRecord(record, reviewer, listStatus) {
+        const candidates = (record.candidates || []).map(candidate => `
+            <tr><td>${escapeHtml(candidate.source)}</td><td>${Number(candidate.confidence || 0).toFixed(3)}</td><td>${escapeHtml(candidate.tgt)}</td></tr>`).join('');
+        const review = record.review
+            ? `<p class="meta">v${versionOf(record)}: ${escapeHtml(record.review.decision)} by ${escapeHtml(record.review.reviewer)}${record.review.comment ? ` &ldquo;${escapeHtml(record.review.comment)}&rdquo;` : ''}</p>`
+            : '';
+
+        return `
+        <section>
+            <p class="meta">${escapeHtml(record.src_lang)} &rarr; ${escapeHtml(record.tgt_lang)} &middot; ${escapeHtml(record.status)} &middot; confidence ${Number(record.confidence || 0).toFixed(3)} &middot; <a href="/api/records/${encodeURIComponent(record.id)}">${escapeHtml(record.id)}</a></p>
+            <p class="src">${escapeHtml(record.src)}</p>
+            <p class="tgt">${escapeHtml(record.tgt)}</p>
+            <p class="meta">${escapeHtml(record.explanation)}</p>
+            ${review}
+            <table><tr><th>source</th><th>confidence</th><th>candidate</th></tr>${candidates}</table>
+            <form method="post" action="/records/${encodeURIComponent(record.id)}/review">
+                <input type="hidden" name="version" value="${versionOf(record)}">
+                <input type="hidden" name="list_status" value="${escapeHtml(listStatus)}">
+                <textarea name="tgt" rows="2">${escapeHtml(record.tgt)}</textarea>
+                <input name="reviewer" placeholder="reviewer id" value="${escapeHtml(reviewer)}" required>
+                <input name="comment" placeholder="comment (optional)">
+                <button name="decision" value="accept">Accept</button>
+                <button name="decision" value="edit">Save edit</button>
+                <button name="decision" value="reject">Reject</button>
+            </form>
+        </section>`;
+    }
+
+    layout(title, body) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: sans-serif; max-width: 60rem; margin: 2rem auto; padding: 0 1rem; }
+    section { border: 1px solid #ccc; border-radius: 4px; padding: 0.5rem 1rem; margin-bottom: 1rem; }
+    .src { font-size: 1.1rem; } .tgt { font-size: 1.1rem; font-weight: bold; }
+    .meta { color: #666; font-size: 0.85rem; } .error { color: #b00; }
+    table { border-collapse: collapse; font-size: 0.9rem; margin-bottom: 0.5rem; }
+    td, th { border-bottom: 1px solid #eee; padding: 0.2rem 0.5rem; text-align: left; }
+    textarea { width: 100%; box-sizing: border-box; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = { ReviewStore, ReviewServer, ReviewError, latestVersions, PENDING_STATUSES };
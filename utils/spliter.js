@@ -1,7 +1,11 @@
-/* 
+/*
 * A simple text splitter that divides input text into sentences and tokens.
 * It processes a JSON input with a "src" field and outputs a structured JSON.
 * in a standard Afropair pipeline format this is the first step. The next step is usually the dictionary lookup.
+* Segment offsets are real character offsets into "src" (end is exclusive), so src.slice(start, end) === text and outputs can be re-aligned with the source document.
+* Terminal punctuation and closing quotes are kept in the segment. Abbreviations ("M.", "etc.") come from the source language config, decimals ("3.5") never split,
+* blank lines end a paragraph and list items ("1.", "a)", "-", "•") start a new segment with the marker left out of the text.
+* Tokens come from the language's tokenizer (utils/tokenizer.js); "token_spans" keeps their offsets in the segment and the normalized form used for lookups.
 * Example input:
 * {
 *   "src": "Bonjour, comment ça va? Je vais bien."
@@ -13,51 +17,150 @@
 *     {
 *       "seg_id": "s1",
 *       "text": "Bonjour, comment ça va?",
-*       "tokens": ["Bonjour", ",", "comment", "ça", "va", "?"],
+*       "tokens": ["Bonjour", "comment", "ça", "va"],
+*       "token_spans": [{ "text": "Bonjour", "norm": "bonjour", "start": 0, "end": 7, "type": "word" }, ...],
 *       "start": 0,
-*       "end": 27
+*       "end": 23
 *     },
 *     {
 *       "seg_id": "s2",
 *       "text": "Je vais bien.",
-*       "tokens": ["Je", "vais", "bien", "."],
-*       "start": 28,
-*       "end": 42
+*       "tokens": ["Je", "vais", "bien"],
+*       "token_spans": [...],
+*       "start": 24,
+*       "end": 37
 *     }
 *   ],
 *   "meta": {
 *     "timestamp": 1633036800000,
-*     "provenance": ["splitter_v1"] // Example provenance
+*     "provenance": ["splitter_v2"] // Example provenance
 *   }
 * }
 */
+const { createTokenizer } = require('./tokenizer');
+
+const TERMINALS = '.!?…';
+const LIST_MARKER = /^[ \t]*(?:\d+[.)]|[a-z][.)]|[-*•–])[ \t]+/;
+// What may follow a sentence boundary: capital, digit, opening quote/bracket or list marker
+const SENTENCE_START = /[\p{Lu}\p{N}«“"'(\[¿¡*•–-]/u;
+
 class Splitter {
-    static async process(inputJSON) {
+    static async process(inputJSON, language = {}) {
         const { src } = inputJSON;
-        
-        // Simple sentence splitting - can be enhanced later
-        const sentences = src.split(/[.!?]+/).filter(s => s.trim().length > 0);
-        
-        const segments = sentences.map((sentence, index) => ({
-            seg_id: `s${index + 1}`,
-            text: sentence.trim(),
-            tokens: this.tokenize(sentence.trim()),
-            start: 0, // Could calculate actual positions
-            end: sentence.trim().length
-        }));
+        const tokenizer = createTokenizer(language);
+
+        const segments = this.split(src, language).map((span, index) => {
+            const tokenSpans = tokenizer.tokenizeDetailed(span.text);
+            return {
+                seg_id: `s${index + 1}`,
+                text: span.text,
+                tokens: tokenSpans.map(token => token.text),
+                token_spans: tokenSpans,
+                start: span.start,
+                end: span.end,
+                ...(span.marker ? { marker: span.marker } : {})
+            };
+        });
 
         return {
             step: "splitter",
             segments: segments,
-            meta: { 
+            meta: {
                 timestamp: Date.now(),
-                provenance: ["splitter_v1"]
+                provenance: ["splitter_v2"]
+            }
+        };
+    }
+
+    static split(text, language = {}) {
+        const abbreviations = new Set((language.abbreviations || []).map(a => a.toLowerCase()));
+        const finalAbbreviations = new Set((language.sentence_final_abbreviations || []).map(a => a.toLowerCase()));
+        const spans = [];
+        let start = 0;
+
+        const push = (from, to) => {
+            let marker;
+            const list = text.slice(from, to).match(LIST_MARKER);
+            if (list) {
+                marker = list[0].trim();
+                from += list[0].length;
+            }
+            while (from < to && /\s/.test(text[from])) from++;
+            while (to > from && /\s/.test(text[to - 1])) to--;
+            if (to > from) {
+                spans.push({ text: text.slice(from, to), start: from, end: to, marker });
             }
         };
+
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+
+            // Paragraph break, or a new list item on the next line
+            if (char === '\n') {
+                const rest = text.slice(i + 1);
+                if (/^[ \t]*\n/.test(rest) || LIST_MARKER.test(rest)) {
+                    push(start, i);
+                    start = i + 1;
+                }
+                i++;
+                continue;
+            }
+
+            if (!TERMINALS.includes(char)) {
+                i++;
+                continue;
+            }
+
+            // Consume the whole terminal run ("...", "?!") and any closing quotes/brackets
+            let end = i + 1;
+            while (end < text.length && TERMINALS.includes(text[end])) end++;
+            for (;;) {
+                const closer = text.slice(end).match(/^(?:[ \u00A0\u202F]*[»”)\]]|["’'])/);
+                if (!closer) break;
+                end += closer[0].length;
+            }
+
+            const following = text.slice(end).match(/^(\s*)(\S?)/u);
+            const atEnd = following[2] === '';
+            const spaced = following[1].length > 0;
+
+            let boundary = atEnd || (spaced && SENTENCE_START.test(following[2]));
+            if (boundary && !atEnd && char === '.' && end - i === 1) {
+                boundary = this.isSentencePeriod(text.slice(start, i), following[2], abbreviations, finalAbbreviations);
+            }
+
+            if (boundary) {
+                push(start, end);
+                start = end;
+            }
+            i = end;
+        }
+
+        push(start, text.length);
+        return spans;
     }
 
-    static tokenize(text) {
-        // Simple tokenization - split on whitespace and punctuation
-        return text.split(/[\s\p{P}]+/u).filter(token => token.length > 0);
+    static isSentencePeriod(before, nextChar, abbreviations, finalAbbreviations) {
+        const word = (before.match(/([\p{L}\p{N}°]+)$/u) || [])[1];
+        if (!word) return true;
+
+        // Initials such as "M. Ouédraogo" or "J. K."
+        if (/^\p{Lu}$/u.test(word)) return false;
+
+        // List numbering at the start of a segment ("1. Premier point")
+        if (/^\d+$/.test(word) && before.trim() === word) return false;
+
+        const key = word.toLowerCase();
+        if (finalAbbreviations.has(key)) {
+            return /\p{Lu}/u.test(nextChar);
+        }
+        return !abbreviations.has(key);
+    }
+
+    static tokenize(text, language = {}) {
+        return createTokenizer(language).tokenize(text);
     }
 }
+
+module.exports = Splitter;
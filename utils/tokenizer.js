@@ -0,0 +1,198 @@
+/*
+* This is the tokenizer utility module. It turns a segment of text into tokens that can be matched against the dictionary.
+* In a standard Afropair pipeline, it is called by the splitter for every segment, so the dictionary lookup receives language-aware tokens.
+* Tokenizers are pluggable per language: the "tokenizer" block of config/<lang>.json picks a type and its rules.
+* - "default": words, numbers and protected entries, Unicode-normalized so combining tone marks (ɩ̂, ẽ, ã) match however they were typed.
+* - "elision": adds elision ("l'", "qu'", "jusqu'") and hyphenated clitic ("est-il", "va-t-il") handling for languages such as French.
+* Each token keeps its surface form, its offsets in the segment and a "norm" form used for lookups ("J'" -> "je", "-t-il" -> "il").
+* An ambiguous elision maps to a list of full forms: the first is the norm, the others are kept as "alternatives"
+* ("l'" -> "le" or "la", "s'" -> "se" or "si") for the dictionary lookup to try.
+* Hyphenated compounds that end like a clitic ("rendez-vous") are listed as protected so they stay one token.
+* Example config (config/fr.json):
+* "tokenizer": {
+*   "type": "elision",
+*   "elision": { "l": ["le", "la"], "j": "je", "qu": "que" },
+*   "clitics": ["il", "elle", "on", "moi"],
+*   "protected": ["aujourd'hui", "au revoir", "rendez-vous"]
+* }
+* Example usage:
+* const tokenizer = createTokenizer(registry.get('fr'));
+* console.log(tokenizer.tokenize("J'aime aujourd'hui")); // Outputs: ["J'", "aime", "aujourd'hui"]
+*/
+const APOSTROPHES = /['’ʼ]/g;
+const WORD = /\p{N}+(?:[.,]\p{N}+)+|[\p{L}\p{M}\p{N}]+(?:['’ʼ-][\p{L}\p{M}\p{N}]+)*/gu;
+
+class Tokenizer {
+    constructor(language = {}) {
+        this.language = language;
+        this.form = (language.normalization && language.normalization.form) || 'NFC';
+
+        const rules = language.tokenizer || {};
+        this.protected = (rules.protected || [])
+            .map(entry => this.normalizeForm(entry))
+            .sort((a, b) => b.length - a.length);
+    }
+
+    normalizeForm(text) {
+        const normalized = this.form ? text.normalize(this.form) : text;
+        return normalized.replace(APOSTROPHES, "'").toLowerCase();
+    }
+
+    tokenize(text) {
+        return this.tokenizeDetailed(text).map(token => token.text);
+    }
+
+    tokenizeDetailed(text) {
+        const tokens = [];
+        const protectedSpans = this.findProtected(text);
+        let cursor = 0;
+
+        for (const span of protectedSpans) {
+            this.tokenizeRange(text, cursor, span.start, tokens);
+            tokens.push({ ...span, type: 'protected' });
+            cursor = span.end;
+        }
+        this.tokenizeRange(text, cursor, text.length, tokens);
+
+        return tokens;
+    }
+
+    tokenizeRange(text, from, to, tokens) {
+        const range = text.slice(from, to);
+        for (const match of range.matchAll(WORD)) {
+            const start = from + match.index;
+            tokens.push(...this.splitWord(match[0], start));
+        }
+    }
+
+    splitWord(word, start) {
+        const type = /^\p{N}/u.test(word) ? 'number' : 'word';
+        return [this.token(word, start, type)];
+    }
+
+    // "text" and "norm" are normalized, start/end always index the raw segment
+    token(surface, start, type, norm) {
+        return {
+            text: surface.normalize(this.form || 'NFC'),
+            norm: norm || this.normalizeForm(surface),
+            start,
+            end: start + surface.length,
+            type
+        };
+    }
+
+    findProtected(text) {
+        if (this.protected.length === 0) return [];
+
+        // Matching runs on the normalized text; offsets maps its character boundaries back to the raw text,
+        // since composing tone marks or lowercasing can change the length
+        const { normalized: haystack, offsets } = this.normalizeWithOffsets(text);
+
+        const spans = [];
+        let position = 0;
+        while (position < haystack.length) {
+            const entry = offsets.has(position) && this.protected.find(candidate =>
+                haystack.startsWith(candidate, position) &&
+                offsets.has(position + candidate.length) &&
+                this.isBoundary(haystack, position - 1) &&
+                this.isBoundary(haystack, position + candidate.length));
+
+            if (entry) {
+                const start = offsets.get(position);
+                const end = offsets.get(position + entry.length);
+                spans.push(this.token(text.slice(start, end), start, 'protected', entry));
+                position += entry.length;
+            } else {
+                position++;
+            }
+        }
+        return spans;
+    }
+
+    // Normalizes character by character (a base and its combining marks), recording where each one starts
+    normalizeWithOffsets(text) {
+        let normalized = '';
+        const offsets = new Map();
+        for (const match of text.matchAll(/\P{M}\p{M}*|\p{M}+/gu)) {
+            offsets.set(normalized.length, match.index);
+            normalized += this.normalizeForm(match[0]);
+        }
+        offsets.set(normalized.length, text.length);
+        return { normalized, offsets };
+    }
+
+    isBoundary(text, index) {
+        return index < 0 || index >= text.length || !/[\p{L}\p{M}\p{N}]/u.test(text[index]);
+    }
+}
+
+class ElisionTokenizer extends Tokenizer {
+    constructor(language = {}) {
+        super(language);
+        const rules = language.tokenizer || {};
+        this.elision = rules.elision || {};
+        this.clitics = new Set((rules.clitics || []).map(clitic => this.normalizeForm(clitic)));
+    }
+
+    splitWord(word, start) {
+        if (/^\p{N}/u.test(word)) {
+            return [this.token(word, start, 'number')];
+        }
+
+        const tokens = [];
+
+        // Elision: "l'homme" -> "l'" + "homme", "jusqu'à" -> "jusqu'" + "à"
+        for (;;) {
+            const match = word.match(/^([\p{L}]+)['’ʼ](?=[\p{L}\p{M}\p{N}])/u);
+            const prefix = match && this.normalizeForm(match[1]);
+            if (!match || !(prefix in this.elision)) break;
+
+            const [norm, ...alternatives] = [].concat(this.elision[prefix]);
+            const token = this.token(match[0], start, 'elision', norm);
+            if (alternatives.length > 0) token.alternatives = alternatives;
+            tokens.push(token);
+            word = word.slice(match[0].length);
+            start += match[0].length;
+        }
+
+        // Clitics: "est-il" -> "est" + "-il", "va-t-il" -> "va" + "-t-il"
+        const clitics = [];
+        for (;;) {
+            const match = word.match(/(-t)?-([\p{L}\p{M}]+)$/u);
+            if (!match || match.index === 0 || !this.clitics.has(this.normalizeForm(match[2]))) break;
+
+            clitics.unshift(this.token(match[0], start + match.index, 'clitic', this.normalizeForm(match[2])));
+            word = word.slice(0, match.index);
+        }
+
+        tokens.push(this.token(word, start, 'word'), ...clitics);
+        return tokens;
+    }
+}
+
+const TOKENIZERS = {
+    default: Tokenizer,
+    elision: ElisionTokenizer
+};
+
+const cache = new WeakMap();
+
+function createTokenizer(language = {}) {
+    if (cache.has(language)) return cache.get(language);
+
+    const type = (language.tokenizer && language.tokenizer.type) || 'default';
+    const TokenizerClass = TOKENIZERS[type];
+    if (!TokenizerClass) {
+        throw new Error(`Unsupported tokenizer: ${type}`);
+    }
+
+    const tokenizer = new TokenizerClass(language);
+    cache.set(language, tokenizer);
+    return tokenizer;
+}
+
+function registerTokenizer(type, TokenizerClass) {
+    TOKENIZERS[type] = TokenizerClass;
+}
+
+module.exports = { Tokenizer, ElisionTokenizer, createTokenizer, registerTokenizer };
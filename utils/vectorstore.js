@@ -3,66 +3,409 @@ This is the vectorstore utility module. It provides functions to create and mana
 In a standard Afropair pipeline, this is usually used after the dictionary lookup and translation steps to store and retrieve text embeddings for various NLP tasks.
 It is designed to work with a simple in-memory vector store, but can be extended to use more sophisticated storage solutions like Pinecone, FAISS, or others.
 The vector store can be used to add, search, and manage text embeddings efficiently.
+Backends are registered in BACKENDS and share one interface (init, upsert, get, has, delete, search, count, save, close):
+- "file": in-process flat (exact) index, persisted to a JSON file; also works purely in memory without a path. No database needed.
+- "pgvector": PostgreSQL with the pgvector extension (DATABASE_URL).
+Every item has an id, a vector and free-form metadata (src, tgt, src_lang, tgt_lang, source...). Searches can filter on metadata:
+a value matches by equality, an array matches any of its values.
+The dimension and the distance metric ("cosine", "l2" or "ip" for inner product) are configurable. Search results carry a
+"score" where higher is always better (cosine similarity, negative L2 distance or inner product) and the raw "distance".
 Example usage:
-const vectorStore = new VectorStore();
-await vectorStore.add('Bonjour', [0.1, 0.2, 0.3]);
-const results = await vectorStore.search([0.1, 0.2, 0.3], 5);
-console.log(results); // Outputs: top 5 closest vectors
+const vectorStore = new VectorStore('file', { path: './output/vectors.json', dimension: 256, metric: 'cosine' });
+await vectorStore.init();
+await vectorStore.upsert([{ id: 'c1', vector: [0.1, 0.2, 0.3], metadata: { src: 'Bonjour', tgt: 'Ne y windga', src_lang: 'fr', tgt_lang: 'mos' } }]);
+const results = await vectorStore.search([0.1, 0.2, 0.3], 5, { src_lang: 'fr', tgt_lang: 'mos' });
+console.log(results); // Outputs: [{ id: 'c1', score: 1, distance: 0, metadata: { ... } }]
+await vectorStore.close();
 */
-class VectorStore {
-    constructor(type = 'pgvector') {
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const STORE_VERSION = 1;
+const METRICS = ['cosine', 'l2', 'ip'];
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+function matchesFilter(metadata, filter) {
+    return Object.entries(filter).every(([key, expected]) => {
+        if (expected === undefined) return true;
+        return Array.isArray(expected) ? expected.includes(metadata[key]) : metadata[key] === expected;
+    });
+}
+
+// ===================================================================
+// FILE BACKEND
+// ===================================================================
+class FileVectorStore {
+    constructor(options = {}) {
+        this.path = options.path || null;
+        this.dimension = options.dimension || null;
+        this.metric = options.metric || 'cosine';
+        this.items = new Map(); // id -> { vector: Float32Array, norm, metadata }
+        this.dirty = false;
+    }
 
-        // if pgvector as type
-        if (type === 'pgvector') {
-            const { Client } = require('pg');
-            this.client = new Client({
-                connectionString: process.env.DATABASE_URL,
+    async init() {
+        if (!this.path) return;
+
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.path, 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        if (data.version !== STORE_VERSION) {
+            throw new Error(`Unsupported vector store version ${data.version} in ${this.path}`);
+        }
+        if (this.dimension && data.dimension && data.dimension !== this.dimension) {
+            throw new Error(`Vector store ${this.path} has dimension ${data.dimension}, expected ${this.dimension}`);
+        }
+        if (data.metric !== this.metric) {
+            throw new Error(`Vector store ${this.path} was built for metric "${data.metric}", not "${this.metric}"`);
+        }
+
+        this.dimension = data.dimension;
+        for (const item of data.items) {
+            // Vectors are stored as base64 Float32 to keep the file compact
+            const buffer = Buffer.from(item.vector, 'base64');
+            const vector = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.length / 4);
+            this.items.set(item.id, { vector, norm: Math.sqrt(dot(vector, vector)), metadata: item.metadata });
+        }
+    }
+
+    async upsert(items) {
+        for (const item of items) {
+            this.items.set(item.id, {
+                vector: Float32Array.from(item.vector),
+                norm: Math.sqrt(dot(item.vector, item.vector)),
+                metadata: item.metadata || {}
             });
-            this.client.connect();
-            // Ensure the table exists
-            this.client.query(`
-                CREATE TABLE IF NOT EXISTS vectors (
-                    id SERIAL PRIMARY KEY,
-                    src TEXT,
-                    tgt TEXT,
-                    embedding VECTOR(1536) -- Adjust dimension as needed
-                );
-            `);
-        } 
-    }
-    async add(src, tgt, embedding) {
-        // Add a new vector to the store
-        if (this.client) {
-            const query = 'INSERT INTO vectors (src, tgt, embedding) VALUES ($1, $2, $3)';
-            await this.client.query(query, [src, tgt, embedding]);
-        } else {
-            throw new Error('Vector store client not initialized.');
         }
+        this.dirty = true;
     }
 
-    async search(embedding, topK = 5) {
-        // Search for the top K closest vectors
-        if (this.client) {
-            const query = `
-                SELECT src, tgt, embedding <-> $1 AS distance
-                FROM vectors
-                ORDER BY distance
-                LIMIT $2;
-            `;
-            const res = await this.client.query(query, [embedding, topK]);
-            return res.rows;
-        } else {
-            throw new Error('Vector store client not initialized.');
+    async get(id) {
+        const item = this.items.get(id);
+        return item ? { id, vector: Array.from(item.vector), metadata: item.metadata } : null;
+    }
+
+    async has(ids) {
+        return new Set(ids.filter(id => this.items.has(id)));
+    }
+
+    async delete(ids) {
+        let deleted = 0;
+        for (const id of ids) {
+            if (this.items.delete(id)) deleted++;
         }
+        if (deleted > 0) this.dirty = true;
+        return deleted;
+    }
+
+    async search(vector, topK, filter) {
+        const queryNorm = Math.sqrt(dot(vector, vector));
+        const hits = [];
+
+        for (const [id, item] of this.items) {
+            if (!matchesFilter(item.metadata, filter)) continue;
+
+            let score;
+            let distance;
+            if (this.metric === 'cosine') {
+                // Clamped: float32 rounding can push identical vectors slightly past 1
+                score = queryNorm > 0 && item.norm > 0 ? Math.max(-1, Math.min(1, dot(vector, item.vector) / (queryNorm * item.norm))) : 0;
+                distance = 1 - score;
+            } else if (this.metric === 'l2') {
+                let sum = 0;
+                for (let i = 0; i < vector.length; i++) sum += (vector[i] - item.vector[i]) ** 2;
+                distance = Math.sqrt(sum);
+                score = -distance;
+            } else {
+                score = dot(vector, item.vector);
+                distance = -score;
+            }
+            hits.push({ id, score, distance, metadata: item.metadata });
+        }
+
+        return hits.sort((a, b) => b.score - a.score).slice(0, topK);
+    }
+
+    async count(filter) {
+        let count = 0;
+        for (const item of this.items.values()) {
+            if (matchesFilter(item.metadata, filter)) count++;
+        }
+        return count;
+    }
+
+    async save() {
+        if (!this.path || !this.dirty) return;
+
+        const data = {
+            version: STORE_VERSION,
+            dimension: this.dimension,
+            metric: this.metric,
+            items: [...this.items].map(([id, item]) => ({
+                id,
+                vector: Buffer.from(item.vector.buffer, item.vector.byteOffset, item.vector.byteLength).toString('base64'),
+                metadata: item.metadata
+            }))
+        };
+
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+        const tmpPath = `${this.path}.${process.pid}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(data));
+        await fs.rename(tmpPath, this.path);
+        this.dirty = false;
+    }
+
+    async close() {
+        await this.save();
+    }
+}
+
+// ===================================================================
+// PGVECTOR BACKEND
+// ===================================================================
+const PG_OPERATORS = { cosine: '<=>', l2: '<->', ip: '<#>' };
+
+class PgVectorStore {
+    constructor(options = {}) {
+        this.connectionString = options.connectionString || process.env.DATABASE_URL;
+        this.table = options.table || 'afropair_vectors';
+        this.dimension = options.dimension || 1536;
+        this.metric = options.metric || 'cosine';
+        this.client = null;
+
+        if (!/^[a-z_][a-z0-9_]*$/i.test(this.table)) {
+            throw new Error(`Invalid table name: ${this.table}`);
+        }
+    }
+
+    async init() {
+        const { Client } = require('pg');
+        this.client = new Client({ connectionString: this.connectionString });
+        await this.client.connect();
+        await this.client.query('CREATE EXTENSION IF NOT EXISTS vector');
+        await this.client.query(`
+            CREATE TABLE IF NOT EXISTS ${this.table} (
+                id TEXT PRIMARY KEY,
+                embedding VECTOR(${this.dimension}) NOT NULL,
+                metadata JSONB NOT NULL DEFAULT '{}'::jsonb
+            );
+        `);
+    }
+
+    toLiteral(vector) {
+        return `[${Array.from(vector).join(',')}]`;
+    }
+
+    whereClause(filter, params) {
+        const conditions = [];
+        for (const [key, expected] of Object.entries(filter)) {
+            if (expected === undefined) continue;
+            params.push(key);
+            const field = `metadata->>$${params.length}`;
+            if (Array.isArray(expected)) {
+                params.push(expected.map(String));
+                conditions.push(`${field} = ANY($${params.length})`);
+            } else {
+                params.push(String(expected));
+                conditions.push(`${field} = $${params.length}`);
+            }
+        }
+        return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    }
+
+    async upsert(items) {
+        for (const item of items) {
+            await this.client.query(
+                `INSERT INTO ${this.table} (id, embedding, metadata) VALUES ($1, $2, $3)
+                 ON CONFLICT (id) DO UPDATE SET embedding = EXCLUDED.embedding, metadata = EXCLUDED.metadata`,
+                [item.id, this.toLiteral(item.vector), JSON.stringify(item.metadata || {})]
+            );
+        }
+    }
+
+    async get(id) {
+        const res = await this.client.query(`SELECT id, embedding::text AS embedding, metadata FROM ${this.table} WHERE id = $1`, [id]);
+        if (res.rows.length === 0) return null;
+        const row = res.rows[0];
+        return { id: row.id, vector: JSON.parse(row.embedding), metadata: row.metadata };
+    }
+
+    // One query for the whole batch instead of a get() per id
+    async has(ids) {
+        if (ids.length === 0) return new Set();
+        const res = await this.client.query(`SELECT id FROM ${this.table} WHERE id = ANY($1)`, [ids]);
+        return new Set(res.rows.map(row => row.id));
+    }
+
+    async delete(ids) {
+        const res = await this.client.query(`DELETE FROM ${this.table} WHERE id = ANY($1)`, [ids]);
+        return res.rowCount;
+    }
+
+    async search(vector, topK, filter) {
+        const params = [this.toLiteral(vector)];
+        const where = this.whereClause(filter, params);
+        params.push(topK);
+        const res = await this.client.query(`
+            SELECT id, metadata, embedding ${PG_OPERATORS[this.metric]} $1 AS distance
+            FROM ${this.table}
+            ${where}
+            ORDER BY distance
+            LIMIT $${params.length};
+        `, params);
+
+        return res.rows.map(row => {
+            // <=> is the cosine distance, <-> the L2 distance and <#> the negative inner product
+            const distance = Number(row.distance);
+            const score = this.metric === 'cosine' ? 1 - distance : -distance;
+            return { id: row.id, score, distance, metadata: row.metadata };
+        });
+    }
+
+    async count(filter) {
+        const params = [];
+        const res = await this.client.query(`SELECT COUNT(*) AS count FROM ${this.table} ${this.whereClause(filter, params)}`, params);
+        return Number(res.rows[0].count);
+    }
+
+    async save() {
+        // Writes are committed as they happen
     }
 
     async close() {
-        // Close the database connection
         if (this.client) {
             await this.client.end();
+            this.client = null;
         }
-    }   
+    }
 }
 
-module.exports = VectorStore;
+const BACKENDS = {
+    file: FileVectorStore,
+    pgvector: PgVectorStore
+};
+
+// ===================================================================
+// VECTOR STORE
+// ===================================================================
+class VectorStore {
+    constructor(type = 'pgvector', options = {}) {
+        const Backend = BACKENDS[type];
+        if (!Backend) {
+            throw new Error(`Unsupported vector store: ${type} (available: ${Object.keys(BACKENDS).join(', ')})`);
+        }
+        if (options.metric && !METRICS.includes(options.metric)) {
+            throw new Error(`Unsupported metric: ${options.metric} (expected ${METRICS.join(', ')})`);
+        }
+
+        this.type = type;
+        this.backend = new Backend(options);
+        this.initializing = null;
+    }
+
+    static registerBackend(type, Backend) {
+        BACKENDS[type] = Backend;
+    }
+
+    get dimension() {
+        return this.backend.dimension;
+    }
+
+    get metric() {
+        return this.backend.metric;
+    }
+
+    // Idempotent: every method awaits it, so calling it explicitly is only needed to surface connection errors early
+    async init() {
+        if (!this.initializing) {
+            // A failed init (database not up yet) is retried by the next call instead of being cached
+            this.initializing = this.backend.init().catch(error => {
+                this.initializing = null;
+                throw error;
+            });
+        }
+        await this.initializing;
+        return this;
+    }
+
+    checkVector(vector) {
+        if (!vector || typeof vector.length !== 'number' || vector.length === 0) {
+            throw new Error('Vectors must be non-empty arrays of numbers');
+        }
+        if (!this.backend.dimension) {
+            // File stores without a configured dimension take it from the first vector
+            this.backend.dimension = vector.length;
+        }
+        if (vector.length !== this.backend.dimension) {
+            throw new Error(`Vector has dimension ${vector.length}, store expects ${this.backend.dimension}`);
+        }
+    }
+
+    async upsert(items) {
+        await this.init();
+        for (const item of items) {
+            if (!item.id) throw new Error('Vector store items need an "id"');
+            this.checkVector(item.vector);
+        }
+        await this.backend.upsert(items);
+        return items.length;
+    }
+
+    async add(src, tgt, embedding, metadata = {}) {
+        const id = metadata.id || crypto.randomUUID();
+        await this.upsert([{ id, vector: embedding, metadata: { src, tgt, ...metadata } }]);
+        return id;
+    }
+
+    async get(id) {
+        await this.init();
+        return this.backend.get(id);
+    }
+
+    // The subset of ids already stored, as a Set
+    async has(ids) {
+        await this.init();
+        return this.backend.has(Array.isArray(ids) ? ids : [ids]);
+    }
+
+    async delete(ids) {
+        await this.init();
+        return this.backend.delete(Array.isArray(ids) ? ids : [ids]);
+    }
+
+    async search(embedding, topK = 5, filter = {}) {
+        await this.init();
+        this.checkVector(embedding);
+        return this.backend.search(embedding, topK, filter);
+    }
+
+    async count(filter = {}) {
+        await this.init();
+        return this.backend.count(filter);
+    }
 
+    async save() {
+        await this.init();
+        await this.backend.save();
+    }
+
+    async close() {
+        if (!this.initializing) return;
+        await this.initializing;
+        await this.backend.close();
+        this.initializing = null;
+    }
+}
+
+module.exports = VectorStore;
+module.exports.BACKENDS = BACKENDS;